@@ -8,17 +8,30 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
+// LinkedIn hosts; point both at the mock server (npm run mock:linkedin) to
+// work offline, e.g. http://localhost:4010
+const linkedinOAuthBaseUrl = (process.env.LINKEDIN_OAUTH_BASE_URL || 'https://www.linkedin.com').replace(/\/+$/, '');
+const linkedinApiBaseUrl = (process.env.LINKEDIN_API_BASE_URL || 'https://api.linkedin.com').replace(/\/+$/, '');
+
 const config = {
   // LinkedIn OAuth 2.0 Configuration
   linkedin: {
     clientId: process.env.LINKEDIN_CLIENT_ID || '',
     clientSecret: process.env.LINKEDIN_CLIENT_SECRET || '',
     redirectUri: process.env.LINKEDIN_REDIRECT_URI || 'http://localhost:3000/auth/linkedin/callback',
-    scope: 'profile email w_member_social', // Default scopes
-    authorizationUrl: 'https://www.linkedin.com/oauth/v2/authorization',
-    tokenUrl: 'https://www.linkedin.com/oauth/v2/accessToken',
-    userInfoUrl: 'https://api.linkedin.com/v2/userinfo',
-    apiVersion: '202410' // LinkedIn API version header
+    scope: 'openid profile email w_member_social', // Default scopes (openid is required for userinfo)
+    authorizationUrl: `${linkedinOAuthBaseUrl}/oauth/v2/authorization`,
+    tokenUrl: `${linkedinOAuthBaseUrl}/oauth/v2/accessToken`,
+    userInfoUrl: `${linkedinApiBaseUrl}/v2/userinfo`,
+    // Token revocation endpoint; override to point at a local stub
+    revokeUrl: process.env.LINKEDIN_REVOKE_URL || `${linkedinOAuthBaseUrl}/oauth/v2/revoke`,
+    postsUrl: `${linkedinApiBaseUrl}/rest/posts`,
+    apiVersion: '202410', // LinkedIn API version header
+    // Reading posts needs r_member_social (Partner Program only)
+    partnerApiEnabled: process.env.LINKEDIN_PARTNER_API === 'true',
+    // Send a PKCE code challenge with authorization requests (default: enabled)
+    pkceEnabled: process.env.LINKEDIN_PKCE !== 'false',
+    stateTtlMinutes: 10 // How long a login may take before its state expires
   },
   
   // Session Configuration
@@ -26,6 +39,35 @@ const config = {
     secret: process.env.SESSION_SECRET || 'your-secret-key-change-in-production'
   },
   
+  // Frontend (SPA) that browsers are sent back to after login
+  frontend: {
+    // Default landing page after the OAuth callback, e.g. http://localhost:5173/dashboard
+    // (empty: browsers without returnTo get the JSON response)
+    url: process.env.FRONTEND_URL || '',
+    // Origins an absolute `returnTo` may point to (comma-separated, e.g.
+    // "https://app.example.com,http://localhost:5173"); relative URLs and the
+    // origin of FRONTEND_URL are always allowed
+    allowedRedirectOrigins: (process.env.ALLOWED_REDIRECT_ORIGINS || '')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean)
+  },
+  
+  // Encryption of OAuth tokens at rest
+  encryption: {
+    // Comma-separated "version:base64key" pairs of 32-byte keys, e.g. "1:abc...,2:def..."
+    keys: process.env.TOKEN_ENCRYPTION_KEYS || '',
+    // Version used for new values (default: highest configured version)
+    currentVersion: process.env.TOKEN_ENCRYPTION_KEY_VERSION || ''
+  },
+  
+  // LinkedIn archive import (POST /api/import/linkedin-archive)
+  archiveImport: {
+    // Largest uncompressed CSV read from an archive, and all of them together
+    maxFileBytes: (parseInt(process.env.ARCHIVE_MAX_FILE_MB, 10) || 50) * 1024 * 1024,
+    maxTotalBytes: (parseInt(process.env.ARCHIVE_MAX_TOTAL_MB, 10) || 100) * 1024 * 1024
+  },
+  
   // Database Configuration
   databaseUrl: process.env.DATABASE_URL || '',
   
@@ -39,7 +81,12 @@ const config = {
   scheduler: {
     schedule: process.env.CRON_SCHEDULE || '0 2 * * *', // Default: Daily at 2 AM
     timezone: process.env.TIMEZONE || 'America/New_York',
-    enabled: process.env.SCHEDULER_ENABLED !== 'false' // Default: enabled
+    enabled: process.env.SCHEDULER_ENABLED !== 'false', // Default: enabled
+    // Days to keep job run history (default: 90)
+    runRetentionDays: parseInt(process.env.SCHEDULER_RUN_RETENTION_DAYS, 10) || 90,
+    // Lock that lets one instance run each job occurrence; renewed while the
+    // job runs, so another instance can take over this long after a crash
+    lockTtlSeconds: parseInt(process.env.SCHEDULER_LOCK_TTL_SECONDS, 10) || 60
   },
   
   // Helper methods
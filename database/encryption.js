@@ -0,0 +1,220 @@
+/**
+ * Field Encryption
+ *
+ * Authenticated encryption (AES-256-GCM) for secrets stored in MongoDB,
+ * such as OAuth access and refresh tokens.
+ *
+ * Keys come from configuration (`TOKEN_ENCRYPTION_KEYS`) as numbered
+ * versions; new values are encrypted with the current version and the
+ * version is stored with each value, so old values stay readable after a
+ * new key is added. `database/scripts/rotate-token-key.js` re-encrypts
+ * existing values under the current key.
+ *
+ * Stored format: `enc:v<version>:<iv>:<auth tag>:<ciphertext>` (base64url)
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+/**
+ * Error raised for missing keys and values that cannot be decrypted
+ */
+class EncryptionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'EncryptionError';
+    this.code = code;
+  }
+}
+
+let keyring = null;
+let warnedPlaintext = false;
+
+/**
+ * Parse the configured keys
+ * @param {string} value - Comma-separated `version:base64key` pairs
+ * @returns {Map<number, Buffer>} Keys by version
+ */
+function parseKeys(value) {
+  const keys = new Map();
+
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const match = entry.match(/^(\d+):(.+)$/);
+    if (!match) {
+      throw new EncryptionError('invalid_key', 'Encryption keys must be "version:base64key" pairs');
+    }
+
+    const key = Buffer.from(match[2], 'base64');
+    if (key.length !== KEY_BYTES) {
+      throw new EncryptionError('invalid_key', `Encryption key version ${match[1]} must be ${KEY_BYTES} bytes`);
+    }
+    keys.set(Number(match[1]), key);
+  });
+
+  return keys;
+}
+
+/**
+ * Load (once) the configured keys and the current key version
+ * @returns {Object} { keys, currentVersion } (currentVersion is null without keys)
+ */
+function getKeyring() {
+  if (!keyring) {
+    const keys = parseKeys(config.encryption.keys);
+    let currentVersion = config.encryption.currentVersion
+      ? Number(config.encryption.currentVersion)
+      : Math.max(...keys.keys());
+
+    if (keys.size === 0) {
+      currentVersion = null;
+    } else if (!keys.has(currentVersion)) {
+      throw new EncryptionError('invalid_key', `Current encryption key version ${currentVersion} is not configured`);
+    }
+
+    keyring = { keys, currentVersion };
+  }
+  return keyring;
+}
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:v`);
+}
+
+/**
+ * Get the key version a stored value was encrypted with
+ * @param {*} value - Stored value
+ * @returns {number|null} Version, or null for plaintext values
+ */
+function getKeyVersion(value) {
+  if (!isEncrypted(value)) {
+    return null;
+  }
+  return Number(value.split(':')[1].slice(1));
+}
+
+/**
+ * Encrypt a value with the current key
+ *
+ * Without configured keys the value is returned unchanged (with a warning)
+ * outside production, so local setups work without a key.
+ *
+ * @param {string} plaintext - Value to encrypt
+ * @param {string} context - Associated data binding the value to its field
+ * @returns {string} Stored value
+ */
+function encrypt(plaintext, context = '') {
+  const { keys, currentVersion } = getKeyring();
+
+  if (currentVersion === null) {
+    if (config.isProduction()) {
+      throw new EncryptionError('missing_key', 'TOKEN_ENCRYPTION_KEYS must be set in production');
+    }
+    if (!warnedPlaintext) {
+      console.warn('⚠️  TOKEN_ENCRYPTION_KEYS is not set; OAuth tokens are stored unencrypted');
+      warnedPlaintext = true;
+    }
+    return plaintext;
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentVersion), iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [
+    PREFIX,
+    `v${currentVersion}`,
+    iv.toString('base64url'),
+    cipher.getAuthTag().toString('base64url'),
+    ciphertext.toString('base64url')
+  ].join(':');
+}
+
+/**
+ * Decrypt a stored value
+ *
+ * Plaintext values (written before encryption was enabled) are returned
+ * unchanged.
+ *
+ * @param {string} value - Stored value
+ * @param {string} context - Associated data used when encrypting
+ * @returns {string} Plaintext
+ * @throws {EncryptionError} If the key is missing or the value was tampered with
+ */
+function decrypt(value, context = '') {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, version, iv, tag, ciphertext] = value.split(':');
+  const key = getKeyring().keys.get(Number(version.slice(1)));
+  if (!key) {
+    throw new EncryptionError('missing_key', `Encryption key ${version} is not configured`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+    decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64url')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch {
+    throw new EncryptionError('decryption_failed', 'Stored value could not be decrypted (wrong key or tampered data)');
+  }
+}
+
+/**
+ * Build mongoose getter/setter options that encrypt a String path
+ *
+ * Setters also run on update queries (e.g. findOneAndUpdate), and values
+ * that are already encrypted are stored as-is. `encryptionContext` marks
+ * the path as encrypted so key rotation can find it.
+ *
+ * @param {string} context - Associated data, e.g. 'oauth_tokens.access_token'
+ * @returns {Object} { get, set, encryptionContext } for the schema path
+ */
+function encryptedField(context) {
+  return {
+    encryptionContext: context,
+    set: value => (value === null || value === undefined || isEncrypted(value) ? value : encrypt(value, context)),
+    get: value => (value === null || value === undefined ? value : decrypt(value, context))
+  };
+}
+
+/**
+ * Current key version
+ * @returns {number|null} Version, or null when no keys are configured
+ */
+function currentKeyVersion() {
+  return getKeyring().currentVersion;
+}
+
+/**
+ * Forget the loaded keys (after configuration changes)
+ */
+function resetKeyring() {
+  keyring = null;
+}
+
+module.exports = {
+  EncryptionError,
+  encrypt,
+  decrypt,
+  isEncrypted,
+  getKeyVersion,
+  currentKeyVersion,
+  encryptedField,
+  resetKeyring
+};
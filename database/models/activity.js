@@ -32,6 +32,11 @@ const activitySchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  source: {
+    type: String,
+    enum: ['manual', 'events'], // 'events' = derived from ActivityEvent by the rollup
+    default: 'manual'
+  },
   created_at: {
     type: Date,
     default: Date.now
@@ -0,0 +1,72 @@
+/**
+ * Activity Event Schema Definition
+ * Stores individual LinkedIn actions (one document per post, comment or reaction).
+ * Daily counters in the Activity collection are derived from these events.
+ */
+
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = ['post', 'comment', 'reaction'];
+
+const activityEventSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  source: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 64 // e.g. 'linkedin_archive', 'browser_extension', 'linkedin_api'
+  },
+  source_id: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 512 // Stable ID of the event within its source, used for deduplication
+  },
+  occurred_at: {
+    type: Date,
+    required: true
+  },
+  url: {
+    type: String,
+    trim: true,
+    maxlength: 2048
+  },
+  text: {
+    type: String,
+    maxlength: 10000
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed // Source-specific details (e.g. reaction kind)
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Deduplicate events coming from the same source
+activityEventSchema.index({ user_id: 1, source: 1, source_id: 1 }, { unique: true });
+
+// Index for per-user time range queries (rollups, day listings)
+activityEventSchema.index({ user_id: 1, occurred_at: -1 });
+
+const ActivityEvent = mongoose.model('ActivityEvent', activityEventSchema);
+
+ActivityEvent.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = ActivityEvent;
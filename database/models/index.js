@@ -6,9 +6,29 @@
 const User = require('./user');
 const Activity = require('./activity');
 const OAuthToken = require('./oauthToken');
+const ActivityEvent = require('./activityEvent');
+const IngestionToken = require('./ingestionToken');
+const SyncRun = require('./syncRun');
+const PersonalAccessToken = require('./personalAccessToken');
+const OAuthState = require('./oauthState');
+const Lease = require('./lease');
+const Session = require('./session');
+const TokenRevocation = require('./tokenRevocation');
+const ScheduledJob = require('./scheduledJob');
+const JobRun = require('./jobRun');
 
 module.exports = {
   User,
   Activity,
-  OAuthToken
+  OAuthToken,
+  ActivityEvent,
+  IngestionToken,
+  SyncRun,
+  PersonalAccessToken,
+  OAuthState,
+  Lease,
+  Session,
+  TokenRevocation,
+  ScheduledJob,
+  JobRun
 };
@@ -0,0 +1,77 @@
+/**
+ * Ingestion Token Schema Definition
+ * Stores per-user, revocable tokens that let clients such as the browser
+ * extension push activity events without a browser session.
+ */
+
+const mongoose = require('mongoose');
+
+const INGESTION_SCOPES = ['events:write'];
+
+const ingestionTokenSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false // SHA-256 of the token; the plaintext is only shown once
+  },
+  token_prefix: {
+    type: String,
+    required: true // First characters of the token, for display
+  },
+  source: {
+    type: String,
+    required: true,
+    default: 'browser_extension' // Push source events are recorded under
+  },
+  scopes: {
+    type: [{ type: String, enum: INGESTION_SCOPES }],
+    default: ['events:write']
+  },
+  last_used_at: {
+    type: Date,
+    default: null
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Method to check if the token can be used
+ingestionTokenSchema.methods.isActive = function() {
+  return !this.revoked_at;
+};
+
+// Method to check if the token grants a scope
+ingestionTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+const IngestionToken = mongoose.model('IngestionToken', ingestionTokenSchema);
+
+IngestionToken.SCOPES = INGESTION_SCOPES;
+
+module.exports = IngestionToken;
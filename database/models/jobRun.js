@@ -0,0 +1,87 @@
+/**
+ * Job Run Schema Definition
+ * Stores one record per scheduler job run (status, duration, error and the
+ * summary returned by the task). Records expire after the configured
+ * retention period.
+ */
+
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  job_name: {
+    type: String,
+    required: true
+  },
+  task: {
+    type: String,
+    default: null // Registered task name; null for in-memory jobs
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'catch-up', 'manual'],
+    default: 'schedule'
+  },
+  scheduled_for: {
+    type: Date,
+    default: null // Cron occurrence this run executes (scheduled and catch-up runs)
+  },
+  instance: {
+    type: String,
+    default: null // Process that ran the job: "<hostname>:<pid>:<random>"
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+  started_at: {
+    type: Date,
+    required: true
+  },
+  finished_at: {
+    type: Date,
+    default: null
+  },
+  duration_ms: {
+    type: Number,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0 // Attempts made, including retries
+  },
+  summary: {
+    type: mongoose.Schema.Types.Mixed, // Value returned by the task
+    default: null
+  },
+  error: {
+    type: {
+      _id: false,
+      message: String,
+      stack: String
+    },
+    default: null
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Index for listing a job's recent runs
+jobRunSchema.index({ job_name: 1, started_at: -1 });
+
+// One run per cron occurrence, whichever instance claims it first
+jobRunSchema.index(
+  { job_name: 1, scheduled_for: 1 },
+  { unique: true, partialFilterExpression: { scheduled_for: { $type: 'date' } } }
+);
+
+// Old runs are removed by MongoDB's TTL monitor
+jobRunSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
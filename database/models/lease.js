@@ -0,0 +1,34 @@
+/**
+ * Lease Schema Definition
+ * Stores named, expiring locks shared by all app processes (e.g. one
+ * OAuth token refresh per user at a time)
+ */
+
+const mongoose = require('mongoose');
+
+const leaseSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true // e.g. 'oauth-refresh:<userId>'
+  },
+  owner: {
+    type: String,
+    required: true // Process-unique ID of the holder
+  },
+  acquired_at: {
+    type: Date,
+    required: true
+  },
+  expires_at: {
+    type: Date,
+    required: true // Other processes may take over the lease after this
+  }
+});
+
+// Index for cleaning up expired leases
+leaseSchema.index({ expires_at: 1 });
+
+const Lease = mongoose.model('Lease', leaseSchema);
+
+module.exports = Lease;
@@ -0,0 +1,45 @@
+/**
+ * OAuth State Schema Definition
+ * Stores pending LinkedIn authorization requests: the CSRF state, the PKCE
+ * code verifier and where to send the user afterwards. Each state is
+ * single-use and expires after a few minutes.
+ */
+
+const mongoose = require('mongoose');
+const { encryptedField } = require('../encryption');
+
+const oauthStateSchema = new mongoose.Schema({
+  state_hash: {
+    type: String,
+    required: true,
+    unique: true // SHA-256 of the state sent to LinkedIn
+  },
+  session_id: {
+    type: String,
+    required: true // Browser session the flow was started from
+  },
+  code_verifier: {
+    type: String,
+    default: null, // PKCE verifier (null when PKCE is disabled)
+    ...encryptedField('oauth_states.code_verifier')
+  },
+  return_to: {
+    type: String,
+    default: null // Validated URL to redirect to after login (relative or an allowed origin)
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Expired states are removed by MongoDB's TTL monitor
+oauthStateSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+
+module.exports = OAuthState;
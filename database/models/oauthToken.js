@@ -1,9 +1,13 @@
 /**
  * OAuth Token Schema Definition
  * Stores OAuth 2.0 access and refresh tokens for LinkedIn authentication
+ *
+ * Both tokens are encrypted at rest (database/encryption.js); getters and
+ * setters encrypt and decrypt them transparently.
  */
 
 const mongoose = require('mongoose');
+const { encryptedField } = require('../encryption');
 
 const oauthTokenSchema = new mongoose.Schema({
   user_id: {
@@ -21,11 +25,13 @@ const oauthTokenSchema = new mongoose.Schema({
   access_token: {
     type: String,
     required: true,
-    select: false // Don't include in queries by default for security
+    select: false, // Don't include in queries by default for security
+    ...encryptedField('oauth_tokens.access_token')
   },
   refresh_token: {
     type: String,
-    select: false // Don't include in queries by default for security
+    select: false, // Don't include in queries by default for security
+    ...encryptedField('oauth_tokens.refresh_token')
   },
   token_type: {
     type: String,
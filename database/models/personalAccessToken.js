@@ -0,0 +1,76 @@
+/**
+ * Personal Access Token Schema Definition
+ * Stores named, expiring, revocable tokens that authenticate API requests
+ * (`Authorization: Bearer <token>`) without a browser session.
+ */
+
+const mongoose = require('mongoose');
+
+const ACCESS_TOKEN_SCOPES = ['activity:read', 'activity:write', 'admin'];
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false // SHA-256 of the token; the plaintext is only shown once
+  },
+  token_prefix: {
+    type: String,
+    required: true // First characters of the token, for display
+  },
+  scopes: {
+    type: [{ type: String, enum: ACCESS_TOKEN_SCOPES }],
+    default: ['activity:read']
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  last_used_at: {
+    type: Date,
+    default: null
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Method to check if the token can be used
+personalAccessTokenSchema.methods.isActive = function() {
+  return !this.revoked_at && new Date() < this.expires_at;
+};
+
+// Method to check if the token grants a scope (admin grants every scope)
+personalAccessTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope) || this.scopes.includes('admin');
+};
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+
+PersonalAccessToken.SCOPES = ACCESS_TOKEN_SCOPES;
+
+module.exports = PersonalAccessToken;
@@ -0,0 +1,124 @@
+/**
+ * Scheduled Job Schema Definition
+ * Stores scheduler job definitions so they survive restarts. Each job runs
+ * a task registered by name in the scheduler's task registry.
+ */
+
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+
+/**
+ * Check that a timezone is known to the runtime (IANA name, e.g. 'UTC')
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: [/^[a-z0-9][a-z0-9_-]{0,63}$/, 'Job names use lowercase letters, digits, "-" and "_"']
+  },
+  task: {
+    type: String,
+    required: true,
+    trim: true // Name of a task registered with the scheduler, e.g. 'refresh-expiring-tokens'
+  },
+  schedule: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: cron.validate,
+      message: props => `Invalid cron expression: ${props.value}`
+    }
+  },
+  timezone: {
+    type: String,
+    default: null, // null: config.scheduler.timezone
+    validate: {
+      validator: value => value === null || isValidTimezone(value),
+      message: props => `Unknown timezone: ${props.value}`
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed, // Passed to the task on every run
+    default: {}
+  },
+  description: {
+    type: String,
+    default: null,
+    maxlength: 500
+  },
+  concurrency: {
+    type: String,
+    enum: ['skip', 'queue', 'allow'],
+    default: 'skip' // When the job fires while its previous run is still going
+  },
+  timeout_seconds: {
+    type: Number,
+    default: null, // null: no limit
+    min: 1
+  },
+  retry_attempts: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 10
+  },
+  retry_delay_seconds: {
+    type: Number,
+    default: 60, // Doubles after each failed attempt
+    min: 1
+  },
+  catch_up: {
+    type: String,
+    enum: ['none', 'latest', 'all'],
+    default: 'none' // Occurrences missed while no instance was running, run on startup
+  },
+  last_run_at: {
+    type: Date,
+    default: null
+  },
+  last_success_at: {
+    type: Date,
+    default: null
+  },
+  last_failure_at: {
+    type: Date,
+    default: null
+  },
+  consecutive_failures: {
+    type: Number,
+    default: 0
+  },
+  last_error: {
+    type: String,
+    default: null
+  },
+  last_instance: {
+    type: String,
+    default: null // Process that ran the last run
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  minimize: false // Keep empty params objects
+});
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+module.exports = ScheduledJob;
@@ -0,0 +1,56 @@
+/**
+ * Session Schema Definition
+ * Stores express-session data so logins survive restarts and are shared
+ * by all app instances. Sessions are looked up by the SHA-256 hash of the
+ * session ID; the document `_id` is what users see when managing sessions.
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  sid_hash: {
+    type: String,
+    required: true,
+    unique: true // SHA-256 of the express-session ID from the cookie
+  },
+  data: {
+    type: String,
+    required: true // JSON-serialized session
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null, // Set once the session has logged in
+    index: true
+  },
+  user_agent: {
+    type: String,
+    default: null,
+    maxlength: 512
+  },
+  device: {
+    type: String,
+    default: null // Readable summary of the user agent, e.g. 'Chrome on macOS'
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  last_seen_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Expired sessions are removed by MongoDB's TTL monitor
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
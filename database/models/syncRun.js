@@ -0,0 +1,81 @@
+/**
+ * Sync Run Schema Definition
+ * Stores one report per activity sync (counts, errors, duration) for a user
+ */
+
+const mongoose = require('mongoose');
+
+const syncRunSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['api', 'scheduler', 'manual'],
+    default: 'manual'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'partial', 'failed', 'skipped'], // 'skipped' = no source was available
+    default: 'running'
+  },
+  started_at: {
+    type: Date,
+    required: true
+  },
+  finished_at: {
+    type: Date,
+    default: null
+  },
+  duration_ms: {
+    type: Number,
+    default: null
+  },
+  until: {
+    type: Date // Upper bound of the synced window
+  },
+  sources: {
+    type: mongoose.Schema.Types.Mixed, // Per-source summary keyed by source name
+    default: {}
+  },
+  events: {
+    received: { type: Number, default: 0 },
+    inserted: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 }
+  },
+  rollup: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  failures: [{
+    _id: false,
+    source: String,
+    code: String,
+    message: String
+  }],
+  unavailable: [{ // Sources that could not run (not enabled or not supported)
+    _id: false,
+    source: String,
+    code: String,
+    message: String
+  }],
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Index for listing a user's recent runs
+syncRunSchema.index({ user_id: 1, started_at: -1 });
+
+const SyncRun = mongoose.model('SyncRun', syncRunSchema);
+
+module.exports = SyncRun;
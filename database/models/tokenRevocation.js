@@ -0,0 +1,68 @@
+/**
+ * Token Revocation Schema Definition
+ * Records the revocation of a LinkedIn token at LinkedIn (on logout and
+ * account deletion). Failed revocations keep the token, encrypted, until
+ * a retry succeeds or gives up; the token is cleared afterwards.
+ */
+
+const mongoose = require('mongoose');
+const { encryptedField } = require('../encryption');
+
+const tokenRevocationSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // May point to a deleted user
+    required: true,
+    index: true
+  },
+  token_type: {
+    type: String,
+    enum: ['access_token', 'refresh_token'],
+    required: true
+  },
+  token: {
+    type: String,
+    default: null, // Cleared once the revocation succeeded or was abandoned
+    select: false,
+    ...encryptedField('token_revocations.token')
+  },
+  reason: {
+    type: String,
+    enum: ['logout', 'account_deletion'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'revoked', 'failed'],
+    default: 'pending' // pending: not yet accepted by LinkedIn, retried by the background job
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  last_error: {
+    type: String,
+    default: null
+  },
+  last_attempt_at: {
+    type: Date,
+    default: null
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Pending revocations that are due for a retry
+tokenRevocationSchema.index({ status: 1, next_attempt_at: 1 });
+
+const TokenRevocation = mongoose.model('TokenRevocation', tokenRevocationSchema);
+
+module.exports = TokenRevocation;
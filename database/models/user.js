@@ -12,10 +12,16 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: 255
   },
+  linkedin_id: {
+    type: String,
+    unique: true,
+    sparse: true, // OpenID Connect `sub` (member id); unset for seeded users
+    trim: true
+  },
   linkedin_url: {
     type: String,
-    required: true,
     unique: true,
+    sparse: true, // Public profile URL; not part of the userinfo response
     trim: true,
     validate: {
       validator: function(v) {
@@ -24,6 +30,30 @@ const userSchema = new mongoose.Schema({
       message: props => `${props.value} is not a valid LinkedIn URL!`
     }
   },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  email_verified: {
+    type: Boolean,
+    default: false
+  },
+  avatar_url: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  locale: {
+    type: String,
+    trim: true,
+    default: null // BCP 47 tag, e.g. 'en-US'
+  },
+  profile_synced_at: {
+    type: Date,
+    default: null // Last time the fields above were refreshed from userinfo
+  },
   access_token: {
     type: String,
     required: true,
@@ -37,16 +67,49 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user' // Only admins may use or issue the `admin` scope
+  },
   last_sync: {
     type: Date,
     default: null
+  },
+  reauth_required_at: {
+    type: Date,
+    default: null // Set when scheduled syncs find the LinkedIn tokens expired; cleared on login
+  },
+  sync_watermarks: {
+    type: Map,
+    of: Date, // Per-source upper bound of the last successful sync
+    default: {}
+  },
+  public_heatmap: {
+    type: Boolean,
+    default: false // Opt-in to the public SVG heatmap and badge
+  },
+  timezone: {
+    type: String,
+    default: 'UTC', // IANA zone used to bucket activity events into days
+    validate: {
+      validator: function(v) {
+        try {
+          Intl.DateTimeFormat('en-US', { timeZone: v });
+          return true;
+        } catch {
+          return false;
+        }
+      },
+      message: props => `${props.value} is not a valid IANA timezone!`
+    }
   }
 }, {
   timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
 });
 
-// Index for faster lookups by LinkedIn URL
-userSchema.index({ linkedin_url: 1 });
+// Find users whose LinkedIn profile details are due for a resync
+userSchema.index({ profile_synced_at: 1 });
 
 // Update the updated_at timestamp before saving
 userSchema.pre('save', function(next) {
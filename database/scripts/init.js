@@ -7,7 +7,7 @@
 
 const mongoose = require('mongoose');
 const { connectDB, disconnectDB } = require('../config');
-const { User, Activity } = require('../models');
+const { User, Activity, ActivityEvent } = require('../models');
 
 /**
  * Initialize database collections and indexes
@@ -36,6 +36,13 @@ async function initializeDatabase() {
       } catch (err) {
         if (err.code !== 26) console.log('  Activities collection does not exist');
       }
+
+      try {
+        await ActivityEvent.collection.drop();
+        console.log('✓ Dropped ActivityEvents collection');
+      } catch (err) {
+        if (err.code !== 26) console.log('  ActivityEvents collection does not exist');
+      }
       console.log();
     }
 
@@ -46,6 +53,9 @@ async function initializeDatabase() {
     
     await Activity.createCollection();
     console.log('✓ Created Activities collection');
+
+    await ActivityEvent.createCollection();
+    console.log('✓ Created ActivityEvents collection');
     console.log();
 
     // Create indexes
@@ -66,6 +76,14 @@ async function initializeDatabase() {
     activityIndexes.forEach(idx => {
       console.log(`  - ${JSON.stringify(idx.key)}`);
     });
+
+    // Activity event indexes
+    await ActivityEvent.createIndexes();
+    const eventIndexes = await ActivityEvent.collection.indexes();
+    console.log('✓ ActivityEvent indexes created:');
+    eventIndexes.forEach(idx => {
+      console.log(`  - ${JSON.stringify(idx.key)}`);
+    });
     console.log();
 
     // Verify collections
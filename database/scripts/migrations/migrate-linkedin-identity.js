@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * LinkedIn Identity Migration Script
+ * Backfills `User.linkedin_id` for users created before the member id was
+ * stored separately from the profile URL
+ *
+ * 1. Rebuilds the User indexes, replacing the non-sparse unique index on
+ *    `linkedin_url` (which allows only one user without a URL)
+ * 2. Moves member ids that were stored in `linkedin_url` to `linkedin_id`
+ * 3. Resyncs the remaining users that have a LinkedIn token from userinfo
+ * 4. Reports users that cannot be linked (no member id and no token); they
+ *    get a new account on their next login unless linked manually
+ *
+ * Usage: node database/scripts/migrations/migrate-linkedin-identity.js [--dry-run]
+ */
+
+const { connectDB, disconnectDB } = require('../../config');
+const { User, OAuthToken } = require('../../models');
+const IdentityService = require('../../../src/api/identityService');
+
+/**
+ * Profile URLs accepted by the User schema
+ */
+const PROFILE_URL_PATTERN = /^https:\/\/(www\.)?linkedin\.com\/in\/[\w-]+\/?$/;
+
+/**
+ * Migrate every user without a `linkedin_id`
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} { scanned, moved, resynced, unlinked, failed }
+ */
+async function migrateLinkedInIdentity(options = {}) {
+  const results = { scanned: 0, moved: 0, resynced: 0, unlinked: [], failed: [] };
+
+  if (!options.dryRun) {
+    await User.syncIndexes();
+  }
+
+  // Read raw documents: legacy `linkedin_url` values fail schema validation
+  const cursor = User.collection.find(
+    { linkedin_id: { $in: [null, ''] } },
+    { projection: { name: 1, linkedin_url: 1 } }
+  );
+
+  for await (const doc of cursor) {
+    results.scanned++;
+
+    try {
+      if (doc.linkedin_url && !PROFILE_URL_PATTERN.test(doc.linkedin_url)) {
+        if (!options.dryRun) {
+          await User.collection.updateOne(
+            { _id: doc._id },
+            { $set: { linkedin_id: doc.linkedin_url.trim() }, $unset: { linkedin_url: '' } }
+          );
+        }
+        results.moved++;
+        continue;
+      }
+
+      const hasToken = await OAuthToken.exists({ user_id: doc._id, provider: 'linkedin' });
+      if (!hasToken) {
+        results.unlinked.push({ id: doc._id, name: doc.name, linkedin_url: doc.linkedin_url || null });
+        continue;
+      }
+
+      if (!options.dryRun) {
+        await IdentityService.resyncProfile(doc._id);
+      }
+      results.resynced++;
+    } catch (error) {
+      results.failed.push({ id: doc._id, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Run the migration from the command line
+ */
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await connectDB();
+
+    console.log(`Migrating LinkedIn identities${dryRun ? ' (dry run)' : ''}...\n`);
+    const results = await migrateLinkedInIdentity({ dryRun });
+
+    console.log(`✓ Scanned ${results.scanned} users without a LinkedIn member id`);
+    console.log(`✓ ${dryRun ? 'Would move' : 'Moved'} ${results.moved} member ids out of linkedin_url`);
+    console.log(`✓ ${dryRun ? 'Would resync' : 'Resynced'} ${results.resynced} users from LinkedIn`);
+    if (results.unlinked.length > 0) {
+      console.log(`⚠️  ${results.unlinked.length} users have no member id and no LinkedIn token:`);
+      results.unlinked.forEach(user => console.log(`  - ${user.id} (${user.name}, ${user.linkedin_url || 'no URL'})`));
+    }
+    if (results.failed.length > 0) {
+      console.log(`❌ ${results.failed.length} users could not be migrated:`);
+      results.failed.forEach(failure => console.log(`  - ${failure.id}: ${failure.error}`));
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Identity migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDB();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = migrateLinkedInIdentity;
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Token Key Rotation Script
+ * Re-encrypts stored secrets under the current encryption key
+ *
+ * 1. Add the new key to TOKEN_ENCRYPTION_KEYS (keep the old ones) and set
+ *    TOKEN_ENCRYPTION_KEY_VERSION to its version
+ * 2. Run this script; values stored in plaintext or under older keys are
+ *    re-encrypted with the current key
+ * 3. Once it reports no remaining values, old keys can be removed
+ *
+ * Every schema path declared with encryptedField() is rotated: OAuth tokens,
+ * tokens awaiting revocation and PKCE verifiers of pending logins.
+ *
+ * Each document is only rewritten if it still holds the values that were
+ * read, so a token refreshed while the script runs is not reverted. Such
+ * documents are reported as changed; re-run the script to rotate them.
+ *
+ * Usage: node database/scripts/rotate-token-key.js [--dry-run]
+ */
+
+const { connectDB, disconnectDB } = require('../config');
+const models = require('../models');
+const encryption = require('../encryption');
+
+/**
+ * List the encrypted paths of every model
+ * @returns {Array<Object>} { model, fields } where fields maps each path to
+ *   its encryption context
+ */
+function findEncryptedFields() {
+  return Object.values(models)
+    .map(model => {
+      const fields = {};
+      model.schema.eachPath((path, schemaType) => {
+        if (schemaType.options.encryptionContext) {
+          fields[path] = schemaType.options.encryptionContext;
+        }
+      });
+      return { model, fields };
+    })
+    .filter(({ fields }) => Object.keys(fields).length > 0);
+}
+
+/**
+ * Re-encrypt the encrypted paths of one model
+ * @param {Object} model - Mongoose model
+ * @param {Object} fields - Map of path to encryption context
+ * @param {number} currentVersion - Current key version
+ * @param {Object} options - { dryRun }
+ * @param {Object} results - Totals to add to (see rotateTokenKey)
+ */
+async function rotateModel(model, fields, currentVersion, options, results) {
+  const collection = model.collection.collectionName;
+  const projection = {};
+  Object.keys(fields).forEach(field => {
+    projection[field] = 1;
+  });
+
+  // Read raw documents so values are not decrypted by the schema getters
+  const cursor = model.collection.find({}, { projection });
+
+  for await (const doc of cursor) {
+    results.scanned++;
+    const update = {};
+
+    try {
+      Object.entries(fields).forEach(([field, context]) => {
+        const value = doc[field];
+        if (value === null || value === undefined || encryption.getKeyVersion(value) === currentVersion) {
+          return;
+        }
+        update[field] = encryption.encrypt(encryption.decrypt(value, context), context);
+      });
+    } catch (error) {
+      results.failed.push({ collection, id: doc._id, error: error.message });
+      continue;
+    }
+
+    if (Object.keys(update).length === 0) {
+      continue;
+    }
+
+    if (!options.dryRun) {
+      // Only replace the values read above; null also matches a missing field
+      const filter = { _id: doc._id };
+      Object.keys(fields).forEach(field => {
+        filter[field] = doc[field] ?? null;
+      });
+
+      const { matchedCount } = await model.collection.updateOne(filter, { $set: update });
+      if (matchedCount === 0) {
+        results.changed.push({ collection, id: doc._id });
+        continue;
+      }
+    }
+    results.rotated++;
+  }
+}
+
+/**
+ * Re-encrypt every value that is not under the current key
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} { scanned, rotated, changed, failed }
+ */
+async function rotateTokenKey(options = {}) {
+  const currentVersion = encryption.currentKeyVersion();
+  if (currentVersion === null) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not set; nothing to encrypt with');
+  }
+
+  const results = { scanned: 0, rotated: 0, changed: [], failed: [] };
+
+  for (const { model, fields } of findEncryptedFields()) {
+    await rotateModel(model, fields, currentVersion, options, results);
+  }
+
+  return results;
+}
+
+/**
+ * Run rotation from the command line
+ */
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await connectDB();
+
+    const collections = findEncryptedFields().map(({ model, fields }) =>
+      `${model.collection.collectionName} (${Object.keys(fields).join(', ')})`);
+    console.log(`Re-encrypting ${collections.join(', ')} with key version ${encryption.currentKeyVersion()}${dryRun ? ' (dry run)' : ''}...\n`);
+    const results = await rotateTokenKey({ dryRun });
+
+    console.log(`✓ Scanned ${results.scanned} documents`);
+    console.log(`✓ ${dryRun ? 'Would re-encrypt' : 'Re-encrypted'} ${results.rotated} documents`);
+    if (results.changed.length > 0) {
+      console.log(`⚠️  ${results.changed.length} documents changed concurrently, re-run to rotate them:`);
+      results.changed.forEach(change => console.log(`  - ${change.collection} ${change.id}`));
+      process.exitCode = 1;
+    }
+    if (results.failed.length > 0) {
+      console.log(`❌ ${results.failed.length} documents could not be decrypted:`);
+      results.failed.forEach(failure => console.log(`  - ${failure.collection} ${failure.id}: ${failure.error}`));
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Key rotation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDB();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = rotateTokenKey;
+module.exports.findEncryptedFields = findEncryptedFields;
@@ -60,7 +60,7 @@ function checkSchemaStructure() {
     const userModelPath = path.join(__dirname, '../models/user.js');
     const userContent = fs.readFileSync(userModelPath, 'utf8');
     
-    const userRequiredFields = ['name', 'linkedin_url', 'access_token'];
+    const userRequiredFields = ['name', 'linkedin_id', 'linkedin_url', 'email', 'access_token'];
     userRequiredFields.forEach(field => {
       if (userContent.includes(field)) {
         console.log(`✓ User model includes field: ${field}`);
@@ -0,0 +1,181 @@
+/**
+ * Access Token Controller
+ * Handles HTTP endpoints for managing personal access tokens
+ */
+
+const { PersonalAccessToken } = require('../../database/models');
+const { generateToken } = require('./tokenUtils');
+
+/**
+ * Prefix of issued personal access tokens ("LinkedIn Commits personal")
+ */
+const TOKEN_PREFIX = 'lcp';
+
+/**
+ * Token lifetime in days when `expires_in_days` is omitted, and the maximum
+ */
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+/**
+ * Format a token document for API responses
+ * @param {Object} tokenDoc - PersonalAccessToken document
+ * @returns {Object} Public token fields
+ */
+function formatToken(tokenDoc) {
+  return {
+    id: tokenDoc._id,
+    name: tokenDoc.name,
+    prefix: tokenDoc.token_prefix,
+    scopes: tokenDoc.scopes,
+    created_at: tokenDoc.created_at,
+    expires_at: tokenDoc.expires_at,
+    last_used_at: tokenDoc.last_used_at,
+    revoked_at: tokenDoc.revoked_at
+  };
+}
+
+class AccessTokenController {
+  /**
+   * Issue a new personal access token for the current user
+   * Route: POST /api/access-tokens
+   *
+   * Body: { name, scopes?: ['activity:read'], expires_in_days?: 90 }
+   * The plaintext token is only returned in this response.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createToken(req, res) {
+    try {
+      const {
+        name,
+        scopes = ['activity:read'],
+        expires_in_days: expiresInDays = DEFAULT_EXPIRY_DAYS
+      } = req.body || {};
+
+      if (typeof name !== 'string' || name.trim() === '') {
+        return res.status(400).json({
+          error: 'missing_name',
+          message: 'Token name is required'
+        });
+      }
+
+      if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !PersonalAccessToken.SCOPES.includes(scope))) {
+        return res.status(400).json({
+          error: 'invalid_scopes',
+          message: `Scopes must be a non-empty subset of: ${PersonalAccessToken.SCOPES.join(', ')}`
+        });
+      }
+
+      if (scopes.includes('admin') && req.user.role !== 'admin') {
+        return res.status(403).json({
+          error: 'forbidden',
+          message: 'Only administrators can issue tokens with the admin scope'
+        });
+      }
+
+      if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({
+          error: 'invalid_expiry',
+          message: `expires_in_days must be an integer from 1 to ${MAX_EXPIRY_DAYS}`
+        });
+      }
+
+      const { token, hash, displayPrefix } = generateToken(TOKEN_PREFIX);
+      const tokenDoc = await PersonalAccessToken.create({
+        user_id: req.user._id,
+        name: name.trim(),
+        token_hash: hash,
+        token_prefix: displayPrefix,
+        scopes: Array.from(new Set(scopes)),
+        expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Store this token now; it will not be shown again',
+        token,
+        accessToken: formatToken(tokenDoc)
+      });
+    } catch (error) {
+      console.error('Create access token error:', error);
+      res.status(500).json({
+        error: 'token_creation_failed',
+        message: 'Failed to create access token',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * List the current user's personal access tokens
+   * Route: GET /api/access-tokens
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async listTokens(req, res) {
+    try {
+      const tokens = await PersonalAccessToken.find({ user_id: req.user._id }).sort({ created_at: -1 });
+
+      res.json({
+        success: true,
+        tokens: tokens.map(formatToken)
+      });
+    } catch (error) {
+      console.error('List access tokens error:', error);
+      res.status(500).json({
+        error: 'token_list_failed',
+        message: 'Failed to list access tokens',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke one of the current user's personal access tokens
+   * Route: DELETE /api/access-tokens/:id
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revokeToken(req, res) {
+    try {
+      const tokenDoc = await PersonalAccessToken.findOneAndUpdate(
+        { _id: req.params.id, user_id: req.user._id, revoked_at: null },
+        { $set: { revoked_at: new Date() } },
+        { new: true }
+      );
+
+      if (!tokenDoc) {
+        return res.status(404).json({
+          error: 'token_not_found',
+          message: 'Access token not found or already revoked'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Access token revoked',
+        accessToken: formatToken(tokenDoc)
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          error: 'token_not_found',
+          message: 'Access token not found or already revoked'
+        });
+      }
+
+      console.error('Revoke access token error:', error);
+      res.status(500).json({
+        error: 'token_revoke_failed',
+        message: 'Failed to revoke access token',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = AccessTokenController;
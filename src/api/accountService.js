@@ -0,0 +1,53 @@
+/**
+ * Account Service
+ * Deletes a user together with everything stored for them
+ */
+
+const {
+  User,
+  Activity,
+  ActivityEvent,
+  IngestionToken,
+  PersonalAccessToken,
+  SyncRun,
+  Session
+} = require('../../database/models');
+const OAuthService = require('./oauthService');
+
+class AccountService {
+  /**
+   * Delete a user's account
+   *
+   * LinkedIn tokens are revoked first (failed revocations are kept and
+   * retried by OAuthService.retryFailedRevocations()), then the user's
+   * activity, credentials, sync reports and sessions are deleted.
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { linkedin_tokens, deleted } with per-collection counts
+   */
+  static async deleteAccount(userId) {
+    const linkedinTokens = await OAuthService.revokeTokens(userId, { reason: 'account_deletion' });
+
+    const collections = {
+      activities: Activity,
+      activity_events: ActivityEvent,
+      ingestion_tokens: IngestionToken,
+      personal_access_tokens: PersonalAccessToken,
+      sync_runs: SyncRun,
+      sessions: Session
+    };
+
+    const deleted = {};
+    for (const [name, Model] of Object.entries(collections)) {
+      const result = await Model.deleteMany({ user_id: userId });
+      deleted[name] = result.deletedCount;
+    }
+
+    const result = await User.deleteOne({ _id: userId });
+    deleted.users = result.deletedCount;
+
+    return { linkedin_tokens: linkedinTokens, deleted };
+  }
+}
+
+module.exports = AccountService;
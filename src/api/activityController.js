@@ -0,0 +1,273 @@
+/**
+ * Activity Controller
+ * Handles HTTP endpoints for writing daily activity records
+ */
+
+const { Activity } = require('../../database/models');
+const ActivityStore = require('../storage/ActivityStore');
+const { parseCsv } = require('../importer/csvParser');
+
+/**
+ * Maximum number of rows accepted by a single bulk request
+ */
+const MAX_BULK_ROWS = 5000;
+
+/**
+ * Validate a YYYY-MM-DD date value
+ * @param {*} value - Raw date value
+ * @returns {Date|null} Normalized date or null if invalid
+ */
+function parseDay(value) {
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+    return null;
+  }
+
+  // Reject dates like 2024-02-30 that Date silently rolls over
+  const date = ActivityStore.normalizeDate(trimmed);
+  return date && ActivityStore.toDayKey(date) === trimmed ? date : null;
+}
+
+/**
+ * Validate one activity record
+ * @param {Object} input - Raw record ({ date, posts, likes, comments })
+ * @param {Object} options - Validation options
+ * @param {boolean} options.requireDate - Whether `date` must be present
+ * @returns {Object} { record, errors } where errors are { field, message }
+ */
+function validateRecord(input, options = {}) {
+  const { requireDate = true } = options;
+  const errors = [];
+  const record = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { record, errors: [{ field: null, message: 'Record must be an object' }] };
+  }
+
+  if (requireDate) {
+    const date = parseDay(input.date);
+    if (!date) {
+      errors.push({ field: 'date', message: 'date must be a valid YYYY-MM-DD date' });
+    } else {
+      record.date = date;
+    }
+  }
+
+  ActivityStore.COUNTER_FIELDS.forEach(field => {
+    const raw = input[field];
+    if (raw === undefined || raw === null || raw === '') {
+      return;
+    }
+
+    const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push({ field, message: `${field} must be a non-negative integer` });
+    } else {
+      record[field] = value;
+    }
+  });
+
+  const hasCounter = ActivityStore.COUNTER_FIELDS.some(field => record[field] !== undefined);
+  if (!hasCounter && errors.length === 0) {
+    errors.push({ field: null, message: `At least one of ${ActivityStore.COUNTER_FIELDS.join(', ')} is required` });
+  }
+
+  return { record, errors };
+}
+
+/**
+ * Extract bulk rows from a JSON or CSV request body
+ * @param {Object} req - Express request object
+ * @returns {Object} { rows, error } where rows are { row, input }; `row` is the
+ *   CSV row number (header = 1) or the JSON array index
+ */
+function readBulkRows(req) {
+  if (typeof req.body === 'string') {
+    const { headers, records } = parseCsv(req.body);
+    if (!headers.some(header => header.toLowerCase() === 'date')) {
+      return { error: 'CSV must have a header row with a "date" column' };
+    }
+
+    // Match column names case-insensitively (Date, Posts, ...)
+    const rows = records.map(record => {
+      const input = {};
+      Object.entries(record).forEach(([key, value]) => {
+        input[key.toLowerCase()] = value;
+      });
+      return { row: record.row, input };
+    });
+    return { rows };
+  }
+
+  const items = Array.isArray(req.body) ? req.body : req.body?.activities;
+  if (!Array.isArray(items)) {
+    return { error: 'Body must be a JSON array, an object with an "activities" array, or text/csv' };
+  }
+  return { rows: items.map((input, index) => ({ row: index, input })) };
+}
+
+class ActivityController {
+  /**
+   * Create the activity record for a single day
+   * Route: POST /api/activities
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async create(req, res) {
+    try {
+      const { record, errors } = validateRecord(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'validation_failed',
+          message: 'Activity record is invalid',
+          errors
+        });
+      }
+
+      const activity = await Activity.create({ user_id: req.user._id, ...record });
+
+      res.status(201).json({
+        success: true,
+        activity
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          error: 'activity_exists',
+          message: 'Activity for this date already exists. Use PUT /api/activities/:date to update it.'
+        });
+      }
+
+      console.error('Create activity error:', error);
+      res.status(500).json({
+        error: 'create_failed',
+        message: 'Failed to create activity',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Update counters of an existing day
+   * Route: PUT /api/activities/:date
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async update(req, res) {
+    try {
+      const date = parseDay(req.params.date);
+      const { record, errors } = validateRecord(req.body, { requireDate: false });
+      if (!date) {
+        errors.unshift({ field: 'date', message: 'date must be a valid YYYY-MM-DD date' });
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'validation_failed',
+          message: 'Activity record is invalid',
+          errors
+        });
+      }
+
+      const activity = await Activity.findOneAndUpdate(
+        { user_id: req.user._id, date },
+        { $set: record },
+        { new: true }
+      );
+
+      if (!activity) {
+        return res.status(404).json({
+          error: 'activity_not_found',
+          message: `No activity recorded for ${req.params.date}`
+        });
+      }
+
+      res.json({
+        success: true,
+        activity
+      });
+    } catch (error) {
+      console.error('Update activity error:', error);
+      res.status(500).json({
+        error: 'update_failed',
+        message: 'Failed to update activity',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Create or update many days at once
+   * Route: POST /api/activities/bulk
+   *
+   * Accepts a JSON array (or { activities: [...] }) or a text/csv body with
+   * a `date,posts,likes,comments` header. Valid rows are written even when
+   * other rows fail validation; each failure is reported with its row.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async bulkUpsert(req, res) {
+    try {
+      const { rows, error } = readBulkRows(req);
+      if (error) {
+        return res.status(400).json({
+          error: 'invalid_body',
+          message: error
+        });
+      }
+
+      if (rows.length > MAX_BULK_ROWS) {
+        return res.status(413).json({
+          error: 'too_many_rows',
+          message: `A bulk request may contain at most ${MAX_BULK_ROWS} rows`
+        });
+      }
+
+      const valid = [];
+      const rejected = [];
+      const seenDates = new Map();
+
+      rows.forEach(({ row, input }) => {
+        const { record, errors } = validateRecord(input);
+
+        if (errors.length === 0) {
+          const key = ActivityStore.toDayKey(record.date);
+          if (seenDates.has(key)) {
+            errors.push({ field: 'date', message: `Duplicate date ${key} (first seen in row ${seenDates.get(key)})` });
+          } else {
+            seenDates.set(key, row);
+          }
+        }
+
+        if (errors.length > 0) {
+          rejected.push({ row, errors });
+        } else {
+          valid.push(record);
+        }
+      });
+
+      const writeResult = await ActivityStore.upsertDailyCounts(req.user._id, valid);
+
+      res.status(valid.length === 0 && rejected.length > 0 ? 400 : 200).json({
+        success: rejected.length === 0,
+        received: rows.length,
+        accepted: valid.length,
+        created: writeResult.upserted,
+        updated: writeResult.modified,
+        rejected
+      });
+    } catch (error) {
+      console.error('Bulk activity error:', error);
+      res.status(500).json({
+        error: 'bulk_upsert_failed',
+        message: 'Failed to save activities',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = ActivityController;
@@ -4,16 +4,65 @@
  */
 
 const OAuthService = require('./oauthService');
-const { User } = require('../../database/models');
+const { User, IngestionToken, PersonalAccessToken } = require('../../database/models');
+const { hashToken, getBearerToken } = require('./tokenUtils');
+
+/**
+ * Authenticate a personal access token
+ * @param {string} token - Plaintext bearer token
+ * @returns {Promise<Object>} { user, tokenDoc } on success, or { status, error, message }
+ */
+async function authenticateAccessToken(token) {
+  const tokenDoc = await PersonalAccessToken.findOne({ token_hash: hashToken(token) });
+
+  if (!tokenDoc || !tokenDoc.isActive()) {
+    return {
+      status: 401,
+      error: 'invalid_token',
+      message: 'Access token is invalid, expired or has been revoked'
+    };
+  }
+
+  const user = await User.findById(tokenDoc.user_id);
+  if (!user) {
+    return {
+      status: 401,
+      error: 'user_not_found',
+      message: 'User not found'
+    };
+  }
+
+  // Record usage without delaying the request
+  PersonalAccessToken.updateOne({ _id: tokenDoc._id }, { $set: { last_used_at: new Date() } })
+    .catch(error => console.error('Failed to update access token usage:', error.message));
+
+  return { user, tokenDoc };
+}
 
 /**
  * Middleware to ensure user is authenticated
- * Checks for valid OAuth token
+ * Accepts a browser session with a valid OAuth token, or a personal access
+ * token (`Authorization: Bearer <token>`). Token requests get
+ * req.personalAccessToken; check its scopes with requireScope().
  */
 async function requireAuth(req, res, next) {
   try {
-    // Get user ID from session or request
-    const userId = req.session?.userId || req.headers['x-user-id'];
+    const bearerToken = getBearerToken(req);
+    if (bearerToken) {
+      const result = await authenticateAccessToken(bearerToken);
+      if (!result.user) {
+        return res.status(result.status).json({
+          error: result.error,
+          message: result.message
+        });
+      }
+
+      req.user = result.user;
+      req.personalAccessToken = result.tokenDoc;
+      return next();
+    }
+
+    const userId = req.session?.userId;
 
     if (!userId) {
       return res.status(401).json({
@@ -59,7 +108,7 @@ async function requireAuth(req, res, next) {
  */
 async function withAccessToken(req, res, next) {
   try {
-    const userId = req.user?._id || req.session?.userId || req.headers['x-user-id'];
+    const userId = req.user?._id || req.session?.userId;
 
     if (!userId) {
       return res.status(401).json({
@@ -94,13 +143,20 @@ async function withAccessToken(req, res, next) {
 
 /**
  * Optional authentication - doesn't fail if not authenticated
- * Just attaches user if available
+ * Just attaches user if available (session or personal access token)
  */
 async function optionalAuth(req, res, next) {
   try {
-    const userId = req.session?.userId || req.headers['x-user-id'];
+    const bearerToken = getBearerToken(req);
+    const userId = req.session?.userId;
 
-    if (userId) {
+    if (bearerToken) {
+      const result = await authenticateAccessToken(bearerToken);
+      if (result.user) {
+        req.user = result.user;
+        req.personalAccessToken = result.tokenDoc;
+      }
+    } else if (userId) {
       const hasValidToken = await OAuthService.hasValidToken(userId);
       
       if (hasValidToken) {
@@ -119,8 +175,138 @@ async function optionalAuth(req, res, next) {
   }
 }
 
+/**
+ * Middleware factory that checks the scope of the current request
+ * Use after requireAuth. Session requests have every scope of their user;
+ * token requests need a token granting the scope. The `admin` scope also
+ * requires the user to have the admin role.
+ *
+ * @param {string} scope - Required scope ('activity:read', 'activity:write' or 'admin')
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return function(req, res, next) {
+    if (scope === 'admin' && req.user?.role !== 'admin') {
+      return res.status(403).json({
+        error: 'forbidden',
+        message: 'Administrator access required'
+      });
+    }
+
+    if (req.personalAccessToken && !req.personalAccessToken.hasScope(scope)) {
+      return res.status(403).json({
+        error: 'insufficient_scope',
+        message: `Access token does not grant the "${scope}" scope`
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware to reject personal access tokens
+ * Use after requireAuth on routes that manage credentials, so a leaked
+ * token cannot be used to issue new ones.
+ */
+function requireSession(req, res, next) {
+  if (req.personalAccessToken) {
+    return res.status(403).json({
+      error: 'session_required',
+      message: 'This endpoint requires a browser session'
+    });
+  }
+  next();
+}
+
+/**
+ * Middleware to record the client of logged-in sessions
+ * Stores the IP address and user agent in the session, where the session
+ * store picks them up for `GET /api/sessions`. The session is only
+ * modified (and saved) when either changes.
+ */
+function trackSessionClient(req, res, next) {
+  if (req.session && req.session.userId) {
+    const client = {
+      ip: req.ip || null,
+      user_agent: req.get('user-agent') || null
+    };
+    const current = req.session.client || {};
+    if (current.ip !== client.ip || current.user_agent !== client.user_agent) {
+      req.session.client = client;
+    }
+  }
+  next();
+}
+
+/**
+ * Middleware factory for ingestion endpoints
+ * Authenticates `Authorization: Bearer <ingestion token>` and checks its scope.
+ * Attaches req.user and req.ingestionToken.
+ *
+ * @param {string} scope - Required scope (e.g. 'events:write')
+ * @returns {Function} Express middleware
+ */
+function requireIngestionToken(scope) {
+  return async function(req, res, next) {
+    try {
+      const token = getBearerToken(req);
+
+      if (!token) {
+        return res.status(401).json({
+          error: 'unauthorized',
+          message: 'Ingestion token required (Authorization: Bearer <token>)'
+        });
+      }
+
+      const tokenDoc = await IngestionToken.findOne({ token_hash: hashToken(token) });
+
+      if (!tokenDoc || !tokenDoc.isActive()) {
+        return res.status(401).json({
+          error: 'invalid_token',
+          message: 'Ingestion token is invalid or has been revoked'
+        });
+      }
+
+      if (!tokenDoc.hasScope(scope)) {
+        return res.status(403).json({
+          error: 'insufficient_scope',
+          message: `Ingestion token does not grant the "${scope}" scope`
+        });
+      }
+
+      const user = await User.findById(tokenDoc.user_id);
+      if (!user) {
+        return res.status(401).json({
+          error: 'user_not_found',
+          message: 'User not found'
+        });
+      }
+
+      // Record usage without delaying the request
+      IngestionToken.updateOne({ _id: tokenDoc._id }, { $set: { last_used_at: new Date() } })
+        .catch(error => console.error('Failed to update ingestion token usage:', error.message));
+
+      req.user = user;
+      req.ingestionToken = tokenDoc;
+      next();
+    } catch (error) {
+      console.error('Ingestion token middleware error:', error);
+      res.status(500).json({
+        error: 'auth_check_failed',
+        message: 'Failed to verify ingestion token',
+        details: error.message
+      });
+    }
+  };
+}
+
 module.exports = {
   requireAuth,
   withAccessToken,
-  optionalAuth
+  optionalAuth,
+  requireScope,
+  requireSession,
+  trackSessionClient,
+  requireIngestionToken
 };
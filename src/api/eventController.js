@@ -0,0 +1,147 @@
+/**
+ * Event Controller
+ * Handles HTTP endpoints for browsing and correcting individual activity events
+ */
+
+const { ActivityEvent } = require('../../database/models');
+const EventStore = require('../storage/EventStore');
+const ActivityStore = require('../storage/ActivityStore');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class EventController {
+  /**
+   * List the current user's events
+   * Route: GET /api/events?from=YYYY-MM-DD&to=YYYY-MM-DD
+   *
+   * `from` and `to` are inclusive UTC days; `to` defaults to `from`.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async list(req, res) {
+    try {
+      const { from, to = from, limit } = req.query;
+
+      if (!DAY_PATTERN.test(from || '') || !DAY_PATTERN.test(to || '')) {
+        return res.status(400).json({
+          error: 'invalid_range',
+          message: 'from (and optional to) must be YYYY-MM-DD dates'
+        });
+      }
+
+      const range = {
+        from: new Date(`${from}T00:00:00Z`),
+        to: new Date(new Date(`${to}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000)
+      };
+      const events = await EventStore.listEvents(req.user._id, range, {
+        limit: Math.min(parseInt(limit, 10) || 500, 1000)
+      });
+
+      res.json({
+        success: true,
+        count: events.length,
+        events
+      });
+    } catch (error) {
+      console.error('List events error:', error);
+      res.status(500).json({
+        error: 'list_failed',
+        message: 'Failed to list events',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a single event (e.g. a double-counted one) and roll up its day
+   * Route: DELETE /api/events/:id
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async remove(req, res) {
+    try {
+      const event = await ActivityEvent.findOneAndDelete({
+        _id: req.params.id,
+        user_id: req.user._id
+      });
+
+      if (!event) {
+        return res.status(404).json({
+          error: 'event_not_found',
+          message: 'Event not found'
+        });
+      }
+
+      const rollup = await ActivityStore.rollupFromEvents(req.user._id, {
+        from: event.occurred_at,
+        to: event.occurred_at,
+        timezone: req.user.timezone
+      });
+
+      res.json({
+        success: true,
+        message: 'Event deleted',
+        rollup
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          error: 'event_not_found',
+          message: 'Event not found'
+        });
+      }
+
+      console.error('Delete event error:', error);
+      res.status(500).json({
+        error: 'delete_failed',
+        message: 'Failed to delete event',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Recompute daily counters from events
+   * Route: POST /api/activities/rollup
+   *
+   * Body: { from?: 'YYYY-MM-DD', to?: 'YYYY-MM-DD' } (days in the user's timezone).
+   * Without a range the whole history is recomputed.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async rollup(req, res) {
+    try {
+      const { from, to } = req.body || {};
+
+      if ((from && !DAY_PATTERN.test(from)) || (to && !DAY_PATTERN.test(to))) {
+        return res.status(400).json({
+          error: 'invalid_range',
+          message: 'from and to must be YYYY-MM-DD dates'
+        });
+      }
+
+      const rollup = await ActivityStore.rollupFromEvents(req.user._id, {
+        from,
+        to,
+        timezone: req.user.timezone
+      });
+
+      res.json({
+        success: true,
+        rollup
+      });
+    } catch (error) {
+      console.error('Rollup error:', error);
+      res.status(500).json({
+        error: 'rollup_failed',
+        message: 'Failed to recompute activity',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = EventController;
@@ -0,0 +1,199 @@
+/**
+ * Identity Service
+ *
+ * Maps LinkedIn's OpenID Connect userinfo response onto `User`: the member
+ * id (`sub`) identifies the account, while name, email, avatar and locale
+ * are profile details refreshed on every login and by a periodic resync.
+ */
+
+const { User, OAuthToken } = require('../../database/models');
+const OAuthService = require('./oauthService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Placeholder for the legacy `User.access_token` field; the real tokens
+ * live in OAuthToken
+ */
+const ACCESS_TOKEN_PLACEHOLDER = 'managed_by_oauth_token';
+
+/**
+ * Error raised when a userinfo response cannot be applied to a user
+ */
+class IdentityError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'IdentityError';
+    this.code = code;
+  }
+}
+
+class IdentityService {
+  /**
+   * Normalize a userinfo locale to a BCP 47 tag
+   *
+   * LinkedIn returns either `{ country: 'US', language: 'en' }` or a
+   * string such as 'en_US'.
+   *
+   * @param {Object|string} locale - Locale from userinfo
+   * @returns {string|null} Tag like 'en-US', or null if missing
+   */
+  static normalizeLocale(locale) {
+    if (!locale) {
+      return null;
+    }
+
+    if (typeof locale === 'object') {
+      const language = locale.language ? String(locale.language).toLowerCase() : null;
+      const country = locale.country ? String(locale.country).toUpperCase() : null;
+      return language ? [language, country].filter(Boolean).join('-') : null;
+    }
+
+    const [language, country] = String(locale).trim().split(/[-_]/);
+    return language
+      ? [language.toLowerCase(), country && country.toUpperCase()].filter(Boolean).join('-')
+      : null;
+  }
+
+  /**
+   * Extract the stored profile fields from a userinfo response
+   *
+   * Missing details are returned as null so a resync clears values the
+   * member removed on LinkedIn. `name` is omitted when missing so an
+   * existing name is kept.
+   *
+   * @param {Object} userInfo - Response of OAuthService.getUserInfo()
+   * @returns {Object} User fields
+   * @throws {IdentityError} If the response has no member id
+   */
+  static profileFromUserInfo(userInfo) {
+    const linkedinId = userInfo && (userInfo.sub || userInfo.id);
+    if (!linkedinId) {
+      throw new IdentityError('missing_subject', 'LinkedIn userinfo response has no member id (sub)');
+    }
+
+    const name = userInfo.name ||
+      [userInfo.given_name, userInfo.family_name].filter(Boolean).join(' ');
+
+    const profile = {
+      linkedin_id: String(linkedinId),
+      email: userInfo.email || null,
+      email_verified: Boolean(userInfo.email && userInfo.email_verified),
+      avatar_url: userInfo.picture || null,
+      locale: this.normalizeLocale(userInfo.locale),
+      profile_synced_at: new Date()
+    };
+    if (name) {
+      profile.name = name;
+    }
+
+    return profile;
+  }
+
+  /**
+   * Find the user for a LinkedIn member, creating it on first login, and
+   * store the latest profile details
+   * @param {Object} userInfo - Response of OAuthService.getUserInfo()
+   * @returns {Promise<Object>} User document
+   * @throws {IdentityError} If the response has no member id
+   */
+  static async upsertFromUserInfo(userInfo) {
+    const { name, ...profile } = this.profileFromUserInfo(userInfo);
+    const update = {
+      $set: name ? { ...profile, name } : profile,
+      $setOnInsert: name
+        ? { access_token: ACCESS_TOKEN_PLACEHOLDER }
+        : { access_token: ACCESS_TOKEN_PLACEHOLDER, name: 'LinkedIn User' }
+    };
+    const options = { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true };
+
+    try {
+      return await User.findOneAndUpdate({ linkedin_id: profile.linkedin_id }, update, options);
+    } catch (error) {
+      // Two first logins raced to insert the same member; the loser updates
+      // the winner's document
+      if (error.code === 11000) {
+        return User.findOneAndUpdate({ linkedin_id: profile.linkedin_id }, update, options);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh a user's profile details from LinkedIn
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Updated user document
+   * @throws {IdentityError} If the token belongs to a different LinkedIn member
+   */
+  static async resyncProfile(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new IdentityError('user_not_found', 'User not found');
+    }
+
+    const accessToken = await OAuthService.getValidAccessToken(userId);
+    const profile = this.profileFromUserInfo(await OAuthService.getUserInfo(accessToken));
+
+    if (user.linkedin_id && user.linkedin_id !== profile.linkedin_id) {
+      throw new IdentityError(
+        'identity_mismatch',
+        `Stored token belongs to LinkedIn member ${profile.linkedin_id}, not ${user.linkedin_id}`
+      );
+    }
+
+    return User.findByIdAndUpdate(userId, { $set: profile }, { new: true, runValidators: true });
+  }
+
+  /**
+   * Resync users whose profile details are older than `maxAgeHours`
+   *
+   * Only users with a stored LinkedIn token are considered. This should
+   * be called periodically (e.g., daily cron job).
+   *
+   * @param {Object} options - Resync options
+   * @param {number} options.maxAgeHours - Resync profiles older than this (default: 24)
+   * @param {number} options.limit - Maximum users per run (default: 100)
+   * @returns {Promise<Object>} { success, failed, errors }
+   */
+  static async resyncStaleProfiles(options = {}) {
+    const { maxAgeHours = 24, limit = 100 } = options;
+    const results = {
+      success: 0,
+      failed: 0,
+      errors: []
+    };
+
+    const userIds = await OAuthToken.distinct('user_id', { provider: 'linkedin' });
+    const users = await User.find({
+      _id: { $in: userIds },
+      $or: [
+        { profile_synced_at: null },
+        { profile_synced_at: { $lt: new Date(Date.now() - maxAgeHours * HOUR_MS) } }
+      ]
+    })
+      .sort({ profile_synced_at: 1 })
+      .limit(limit)
+      .select('_id')
+      .lean();
+
+    for (const user of users) {
+      try {
+        await this.resyncProfile(user._id);
+        results.success++;
+      } catch (err) {
+        results.failed++;
+        results.errors.push({
+          userId: user._id,
+          error: err.message
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+IdentityService.IdentityError = IdentityError;
+IdentityService.ACCESS_TOKEN_PLACEHOLDER = ACCESS_TOKEN_PLACEHOLDER;
+
+module.exports = IdentityService;
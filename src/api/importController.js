@@ -0,0 +1,52 @@
+/**
+ * Import Controller
+ * Handles HTTP endpoints for importing LinkedIn data exports
+ */
+
+const LinkedInArchiveImporter = require('../importer/LinkedInArchiveImporter');
+
+class ImportController {
+  /**
+   * Import a LinkedIn "Get a copy of your data" ZIP for the current user
+   * Route: POST /api/import/linkedin-archive
+   *
+   * The request body is the raw ZIP file (Content-Type: application/zip).
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async importArchive(req, res) {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          error: 'missing_archive',
+          message: 'Upload the LinkedIn export ZIP as the request body with Content-Type: application/zip'
+        });
+      }
+
+      const summary = await LinkedInArchiveImporter.importArchive(req.user._id, req.body);
+
+      res.json({
+        success: true,
+        message: `Imported ${summary.inserted} new activities (${summary.duplicates} already recorded)`,
+        summary
+      });
+    } catch (error) {
+      if (error instanceof LinkedInArchiveImporter.ArchiveImportError) {
+        return res.status(error.code === 'archive_too_large' ? 413 : 400).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('Archive import error:', error);
+      res.status(500).json({
+        error: 'import_failed',
+        message: 'Failed to import LinkedIn archive',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = ImportController;
@@ -0,0 +1,267 @@
+/**
+ * Ingestion Controller
+ * Handles ingestion tokens and batch event ingestion from clients such as
+ * the browser extension
+ */
+
+const { IngestionToken } = require('../../database/models');
+const { generateToken } = require('./tokenUtils');
+const { registry } = require('../extractor/sources');
+const EventStore = require('../storage/EventStore');
+const ActivityStore = require('../storage/ActivityStore');
+
+/**
+ * Maximum number of events accepted per ingestion request
+ */
+const MAX_BATCH_SIZE = 1000;
+
+/**
+ * Prefix of issued ingestion tokens ("LinkedIn Commits ingestion")
+ */
+const TOKEN_PREFIX = 'lci';
+
+/**
+ * Format a token document for API responses
+ * @param {Object} tokenDoc - IngestionToken document
+ * @returns {Object} Public token fields
+ */
+function formatToken(tokenDoc) {
+  return {
+    id: tokenDoc._id,
+    name: tokenDoc.name,
+    prefix: tokenDoc.token_prefix,
+    source: tokenDoc.source,
+    scopes: tokenDoc.scopes,
+    created_at: tokenDoc.created_at,
+    last_used_at: tokenDoc.last_used_at,
+    revoked_at: tokenDoc.revoked_at
+  };
+}
+
+class IngestionController {
+  /**
+   * Issue a new ingestion token for the current user
+   * Route: POST /api/ingestion-tokens
+   *
+   * Body: { name, source?: 'browser_extension', scopes?: ['events:write'] }
+   * The plaintext token is only returned in this response.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createToken(req, res) {
+    try {
+      const { name, source = 'browser_extension', scopes = ['events:write'] } = req.body || {};
+
+      if (typeof name !== 'string' || name.trim() === '') {
+        return res.status(400).json({
+          error: 'missing_name',
+          message: 'Token name is required'
+        });
+      }
+
+      const pushSource = registry.get(source);
+      if (!pushSource || !pushSource.capabilities.push) {
+        return res.status(400).json({
+          error: 'invalid_source',
+          message: `Unknown push source "${source}"`
+        });
+      }
+
+      if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !IngestionToken.SCOPES.includes(scope))) {
+        return res.status(400).json({
+          error: 'invalid_scopes',
+          message: `Scopes must be a non-empty subset of: ${IngestionToken.SCOPES.join(', ')}`
+        });
+      }
+
+      const { token, hash, displayPrefix } = generateToken(TOKEN_PREFIX);
+      const tokenDoc = await IngestionToken.create({
+        user_id: req.user._id,
+        name: name.trim(),
+        token_hash: hash,
+        token_prefix: displayPrefix,
+        source,
+        scopes
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Store this token now; it will not be shown again',
+        token,
+        ingestionToken: formatToken(tokenDoc)
+      });
+    } catch (error) {
+      console.error('Create ingestion token error:', error);
+      res.status(500).json({
+        error: 'token_creation_failed',
+        message: 'Failed to create ingestion token',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * List the current user's ingestion tokens
+   * Route: GET /api/ingestion-tokens
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async listTokens(req, res) {
+    try {
+      const tokens = await IngestionToken.find({ user_id: req.user._id }).sort({ created_at: -1 });
+
+      res.json({
+        success: true,
+        tokens: tokens.map(formatToken)
+      });
+    } catch (error) {
+      console.error('List ingestion tokens error:', error);
+      res.status(500).json({
+        error: 'token_list_failed',
+        message: 'Failed to list ingestion tokens',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke one of the current user's ingestion tokens
+   * Route: DELETE /api/ingestion-tokens/:id
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revokeToken(req, res) {
+    try {
+      const tokenDoc = await IngestionToken.findOneAndUpdate(
+        { _id: req.params.id, user_id: req.user._id, revoked_at: null },
+        { $set: { revoked_at: new Date() } },
+        { new: true }
+      );
+
+      if (!tokenDoc) {
+        return res.status(404).json({
+          error: 'token_not_found',
+          message: 'Ingestion token not found or already revoked'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Ingestion token revoked',
+        ingestionToken: formatToken(tokenDoc)
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          error: 'token_not_found',
+          message: 'Ingestion token not found or already revoked'
+        });
+      }
+
+      console.error('Revoke ingestion token error:', error);
+      res.status(500).json({
+        error: 'token_revoke_failed',
+        message: 'Failed to revoke ingestion token',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Ingest a batch of activity events
+   * Route: POST /api/ingest/events (ingestion token with events:write)
+   *
+   * Body: { events: [...] } or a JSON array, in the token's source format.
+   * Events already recorded (same source ID) are reported as duplicates.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async ingestEvents(req, res) {
+    try {
+      const items = Array.isArray(req.body) ? req.body : req.body?.events;
+
+      if (!Array.isArray(items)) {
+        return res.status(400).json({
+          error: 'invalid_body',
+          message: 'Body must be a JSON array or an object with an "events" array'
+        });
+      }
+
+      if (items.length > MAX_BATCH_SIZE) {
+        return res.status(413).json({
+          error: 'batch_too_large',
+          message: `A batch may contain at most ${MAX_BATCH_SIZE} events`
+        });
+      }
+
+      const source = registry.get(req.ingestionToken.source);
+      if (!source) {
+        return res.status(400).json({
+          error: 'invalid_source',
+          message: `Source "${req.ingestionToken.source}" is no longer registered`
+        });
+      }
+
+      const candidates = [];
+      const duplicates = [];
+      const rejected = [];
+      const seen = new Set();
+
+      items.forEach((item, index) => {
+        try {
+          const event = source.normalize(item, { userId: req.user._id });
+          if (seen.has(event.source_id)) {
+            duplicates.push({ index, id: event.source_id });
+            return;
+          }
+          seen.add(event.source_id);
+          candidates.push({ index, event });
+        } catch (error) {
+          rejected.push({ index, id: item?.id ?? null, error: error.message });
+        }
+      });
+
+      const recorded = await EventStore.recordEvents(req.user._id, candidates.map(({ event }) => event));
+      const alreadyRecorded = new Set(recorded.duplicates);
+      const accepted = [];
+
+      candidates.forEach(({ index, event }) => {
+        if (alreadyRecorded.has(event.source_id)) {
+          duplicates.push({ index, id: event.source_id });
+        } else {
+          accepted.push({ index, id: event.source_id });
+        }
+      });
+      duplicates.sort((a, b) => a.index - b.index);
+
+      const rollup = recorded.range
+        ? await ActivityStore.rollupFromEvents(req.user._id, {
+          ...recorded.range,
+          timezone: req.user.timezone
+        })
+        : null;
+
+      res.status(accepted.length === 0 && rejected.length > 0 && duplicates.length === 0 ? 400 : 200).json({
+        success: rejected.length === 0,
+        received: items.length,
+        accepted,
+        duplicates,
+        rejected,
+        rollup
+      });
+    } catch (error) {
+      console.error('Event ingestion error:', error);
+      res.status(500).json({
+        error: 'ingestion_failed',
+        message: 'Failed to ingest events',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = IngestionController;
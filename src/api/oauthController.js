@@ -3,33 +3,171 @@
  * Handles HTTP endpoints for OAuth 2.0 authentication flow
  */
 
+const config = require('../../config/config');
 const OAuthService = require('./oauthService');
+const IdentityService = require('./identityService');
 const { User } = require('../../database/models');
 
+/**
+ * Check that a redirect target stays on this site
+ * @param {*} value - Candidate URL
+ * @returns {boolean} True for paths like "/dashboard" (not "//host" or "/\\host")
+ */
+function isRelativeUrl(value) {
+  // Browsers strip tabs and newlines, so "/\t/host" would become "//host"
+  return typeof value === 'string' &&
+    value.length <= 2048 &&
+    !/\s/.test(value) &&
+    /^\/(?![/\\])/.test(value);
+}
+
+/**
+ * Give the session a new ID, dropping its data
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+function regenerateSession(req) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(error => (error ? reject(error) : resolve()));
+  });
+}
+
+let allowedRedirectOrigins = null;
+
+/**
+ * Origins absolute redirect targets may point to (parsed once)
+ * @returns {Set<string>} config.frontend.allowedRedirectOrigins plus the frontend's origin
+ */
+function getAllowedRedirectOrigins() {
+  if (!allowedRedirectOrigins) {
+    allowedRedirectOrigins = new Set();
+    [...config.frontend.allowedRedirectOrigins, config.frontend.url].forEach(value => {
+      try {
+        if (value) {
+          allowedRedirectOrigins.add(new URL(value).origin);
+        }
+      } catch {
+        console.warn(`⚠️  Ignoring invalid redirect origin: ${value}`);
+      }
+    });
+  }
+  return allowedRedirectOrigins;
+}
+
+/**
+ * Check that a redirect target is this site or a whitelisted frontend
+ * @param {*} value - Candidate URL
+ * @returns {boolean} True for relative URLs and http(s) URLs on an allowed origin
+ */
+function isAllowedRedirect(value) {
+  if (isRelativeUrl(value)) {
+    return true;
+  }
+  if (typeof value !== 'string' || value.length > 2048 || /\s/.test(value)) {
+    return false;
+  }
+
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) &&
+      !url.username && !url.password &&
+      getAllowedRedirectOrigins().has(url.origin);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Add query parameters to a relative or absolute URL
+ * @param {string} target - Redirect target
+ * @param {Object} params - Parameters to set
+ * @returns {string} URL in the same form (relative or absolute) as `target`
+ */
+function withQuery(target, params) {
+  const url = new URL(target, 'http://relative.invalid');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return isRelativeUrl(target) ? `${url.pathname}${url.search}${url.hash}` : url.toString();
+}
+
+/**
+ * Finish the OAuth callback
+ *
+ * Browsers (Accept prefers HTML) are redirected to `returnTo` or the
+ * frontend URL with `auth=success` or `auth=error&error=<code>`; API
+ * clients, and browsers without a redirect target, get the JSON body.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string|null} returnTo - Validated redirect target of the login
+ * @param {number} status - HTTP status of the JSON response
+ * @param {Object} body - JSON response body
+ */
+function sendCallbackResult(req, res, returnTo, status, body) {
+  const target = returnTo || config.frontend.url;
+
+  if (target && req.accepts(['json', 'html']) === 'html') {
+    // Only pass well-formed codes on; `error` may come from the query string
+    const params = status < 400
+      ? { auth: 'success' }
+      : { auth: 'error', error: /^[a-z_]{1,64}$/.test(body.error) ? body.error : 'callback_failed' };
+    return res.redirect(withQuery(target, params));
+  }
+
+  res.status(status).json(body);
+}
+
+/**
+ * Public fields of a user in auth responses
+ * @param {Object} user - User document
+ * @returns {Object} User summary
+ */
+function formatUser(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    linkedin_id: user.linkedin_id,
+    linkedin_url: user.linkedin_url,
+    email: user.email,
+    email_verified: user.email_verified,
+    avatar_url: user.avatar_url,
+    locale: user.locale
+  };
+}
+
 class OAuthController {
   /**
    * Initiate OAuth authorization flow
-   * Route: GET /auth/linkedin
+   * Route: GET /auth/linkedin?returnTo=/dashboard
+   *
+   * `returnTo` (optional) is where browsers are redirected after the
+   * callback: a relative URL, or an absolute URL on an origin in
+   * config.frontend.allowedRedirectOrigins.
    * 
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   static async authorize(req, res) {
     try {
-      // Generate CSRF state token
-      const state = OAuthService.generateState();
-      
-      // Store state in session for verification in callback
-      // In production, use a proper session store (Redis, database, etc.)
-      if (req.session) {
-        req.session.oauthState = state;
+      const { returnTo } = req.query;
+
+      if (returnTo !== undefined && !isAllowedRedirect(returnTo)) {
+        return res.status(400).json({
+          error: 'invalid_return_to',
+          message: 'returnTo must be a relative URL starting with "/" or a URL on an allowed frontend origin'
+        });
       }
 
-      // Build authorization URL
-      const authUrl = OAuthService.getAuthorizationUrl(state);
+      // Make sure the session is saved so the callback arrives with the
+      // same session ID the state is bound to
+      req.session.oauthStartedAt = Date.now();
+
+      const { url } = await OAuthService.createAuthorizationRequest({
+        sessionId: req.sessionID,
+        returnTo
+      });
 
       // Redirect user to LinkedIn authorization page
-      res.redirect(authUrl);
+      res.redirect(url);
     } catch (error) {
       console.error('OAuth authorization error:', error);
       res.status(500).json({
@@ -43,17 +181,28 @@ class OAuthController {
   /**
    * Handle OAuth callback from LinkedIn
    * Route: GET /auth/linkedin/callback
+   *
+   * Browsers are redirected to the login's `returnTo` or FRONTEND_URL
+   * with `?auth=success` or `?auth=error&error=<code>`; API clients
+   * (Accept: application/json) get a JSON response.
    * 
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   static async callback(req, res) {
+    let authRequest = null;
+
     try {
       const { code, state, error, error_description } = req.query;
 
       // Handle user denial or other OAuth errors
       if (error) {
-        return res.status(400).json({
+        // Consume the state (if valid) to find where the user came from
+        authRequest = state
+          ? await OAuthService.consumeAuthorizationState(state, req.sessionID).catch(() => null)
+          : null;
+
+        return sendCallbackResult(req, res, authRequest && authRequest.return_to, 400, {
           error: error,
           message: error_description || 'OAuth authorization failed',
           userCancelled: error === 'user_cancelled_authorize'
@@ -62,72 +211,65 @@ class OAuthController {
 
       // Verify required parameters
       if (!code) {
-        return res.status(400).json({
+        return sendCallbackResult(req, res, null, 400, {
           error: 'missing_code',
           message: 'Authorization code not provided'
         });
       }
 
       if (!state) {
-        return res.status(400).json({
+        return sendCallbackResult(req, res, null, 400, {
           error: 'missing_state',
           message: 'State parameter not provided'
         });
       }
 
-      // Verify state parameter (CSRF protection)
-      if (req.session && req.session.oauthState) {
-        if (state !== req.session.oauthState) {
-          return res.status(400).json({
-            error: 'invalid_state',
-            message: 'State parameter mismatch - potential CSRF attack'
+      // Verify state parameter (CSRF protection): single use, unexpired and
+      // issued to this session
+      try {
+        authRequest = await OAuthService.consumeAuthorizationState(state, req.sessionID);
+      } catch (stateError) {
+        if (stateError instanceof OAuthService.OAuthStateError) {
+          return sendCallbackResult(req, res, null, 400, {
+            error: stateError.code,
+            message: stateError.message
           });
         }
-        // Clear the state from session
-        delete req.session.oauthState;
+        throw stateError;
       }
+      delete req.session.oauthStartedAt;
 
       // Exchange authorization code for access token
-      const tokenData = await OAuthService.exchangeCodeForToken(code);
+      const tokenData = await OAuthService.exchangeCodeForToken(code, {
+        codeVerifier: authRequest.code_verifier
+      });
 
       // Get user info from LinkedIn
       const linkedInUserInfo = await OAuthService.getUserInfo(tokenData.access_token);
 
-      // Find or create user in database
-      let user = await User.findOne({ 
-        linkedin_url: linkedInUserInfo.sub || linkedInUserInfo.id 
-      });
-
-      if (!user) {
-        // Create new user
-        user = await User.create({
-          name: linkedInUserInfo.name || 'LinkedIn User',
-          linkedin_url: linkedInUserInfo.sub || linkedInUserInfo.id,
-          access_token: 'managed_by_oauth_token' // Placeholder, actual token in OAuthToken
-        });
-      }
+      // Find or create the user by LinkedIn member id and refresh the
+      // profile details
+      const user = await IdentityService.upsertFromUserInfo(linkedInUserInfo);
 
       // Store OAuth tokens
       await OAuthService.storeTokens(user._id, tokenData);
 
-      // In production, create session or JWT token here
+      // Log in on a new session ID so an ID planted before login (session
+      // fixation) is not authenticated. The state was already checked
+      // against the pre-login session above.
       if (req.session) {
+        await regenerateSession(req);
         req.session.userId = user._id.toString();
       }
 
-      // Return success response
-      res.json({
+      sendCallbackResult(req, res, authRequest.return_to, 200, {
         success: true,
         message: 'Authentication successful',
-        user: {
-          id: user._id,
-          name: user.name,
-          linkedin_url: user.linkedin_url
-        }
+        user: formatUser(user)
       });
     } catch (error) {
       console.error('OAuth callback error:', error);
-      res.status(500).json({
+      sendCallbackResult(req, res, authRequest && authRequest.return_to, 500, {
         error: 'callback_failed',
         message: 'Failed to complete OAuth callback',
         details: error.message
@@ -138,23 +280,29 @@ class OAuthController {
   /**
    * Logout user by revoking OAuth tokens
    * Route: POST /auth/logout
+   *
+   * `linkedin_tokens` counts the tokens LinkedIn accepted the revocation of
+   * (`revoked`), will be retried (`pending`) or could not be revoked
+   * (`failed`); the local tokens are deleted in every case.
    * 
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   static async logout(req, res) {
     try {
-      const userId = req.session?.userId || req.body.userId;
+      // Only the session user; a user ID from the body would let anyone
+      // revoke another user's tokens
+      const userId = req.session?.userId;
 
       if (!userId) {
-        return res.status(400).json({
-          error: 'missing_user_id',
-          message: 'User ID not provided'
+        return res.status(401).json({
+          error: 'unauthorized',
+          message: 'Authentication required. Please log in.'
         });
       }
 
-      // Revoke OAuth tokens
-      await OAuthService.revokeTokens(userId);
+      // Revoke OAuth tokens at LinkedIn; failures are retried in the background
+      const revocation = await OAuthService.revokeTokens(userId, { reason: 'logout' });
 
       // Clear session
       if (req.session) {
@@ -163,7 +311,8 @@ class OAuthController {
 
       res.json({
         success: true,
-        message: 'Logged out successfully'
+        message: 'Logged out successfully',
+        linkedin_tokens: revocation
       });
     } catch (error) {
       console.error('Logout error:', error);
@@ -184,7 +333,7 @@ class OAuthController {
    */
   static async status(req, res) {
     try {
-      const userId = req.session?.userId || req.query.userId;
+      const userId = req.session?.userId;
 
       if (!userId) {
         return res.json({
@@ -206,11 +355,7 @@ class OAuthController {
 
       res.json({
         authenticated: true,
-        user: {
-          id: user._id,
-          name: user.name,
-          linkedin_url: user.linkedin_url
-        }
+        user: formatUser(user)
       });
     } catch (error) {
       console.error('Status check error:', error);
@@ -231,12 +376,14 @@ class OAuthController {
    */
   static async refresh(req, res) {
     try {
-      const userId = req.session?.userId || req.body.userId;
+      // Only the session user; a user ID from the body would hand out
+      // anyone's LinkedIn access token
+      const userId = req.session?.userId;
 
       if (!userId) {
-        return res.status(400).json({
-          error: 'missing_user_id',
-          message: 'User ID not provided'
+        return res.status(401).json({
+          error: 'unauthorized',
+          message: 'Authentication required. Please log in.'
         });
       }
 
@@ -6,7 +6,64 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const config = require('../../config/config');
-const { OAuthToken } = require('../../database/models');
+const { User, OAuthToken, OAuthState, TokenRevocation } = require('../../database/models');
+const { hashToken } = require('./tokenUtils');
+const LeaseStore = require('../storage/LeaseStore');
+
+/**
+ * How long a process may hold a user's refresh lock before others take over
+ */
+const REFRESH_LEASE_MS = 30 * 1000;
+
+/**
+ * Timeout of the refresh request; well below the lease so it cannot expire
+ * (and let another process refresh with the same refresh token) mid-request
+ */
+const REFRESH_REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * How long to wait for another process's refresh, and how often to check
+ */
+const REFRESH_WAIT_MS = REFRESH_LEASE_MS + 5 * 1000;
+const REFRESH_POLL_MS = 250;
+
+/**
+ * Revocation retries: give up after this many attempts; the delay doubles
+ * from one minute up to six hours
+ */
+const REVOCATION_MAX_ATTEMPTS = 8;
+const REVOCATION_RETRY_BASE_MS = 60 * 1000;
+const REVOCATION_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * How long a retry run claims a revocation before others may pick it up
+ */
+const REVOCATION_CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * Refreshes in progress in this process, by user ID
+ */
+const refreshesInFlight = new Map();
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Error raised when an OAuth callback's state cannot be accepted
+ */
+class OAuthStateError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'OAuthStateError';
+    this.code = code;
+  }
+}
 
 class OAuthService {
   /**
@@ -17,12 +74,24 @@ class OAuthService {
     return crypto.randomBytes(32).toString('hex');
   }
 
+  /**
+   * Generate a PKCE code verifier and its S256 challenge (RFC 7636)
+   * @returns {Object} { codeVerifier, codeChallenge }
+   */
+  static generatePkcePair() {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge };
+  }
+
   /**
    * Build the LinkedIn authorization URL
    * @param {string} state - CSRF protection token
+   * @param {Object} options - URL options
+   * @param {string} options.codeChallenge - PKCE S256 code challenge
    * @returns {string} Authorization URL
    */
-  static getAuthorizationUrl(state) {
+  static getAuthorizationUrl(state, options = {}) {
     const params = new URLSearchParams({
       response_type: 'code',
       client_id: config.linkedin.clientId,
@@ -31,15 +100,77 @@ class OAuthService {
       scope: config.linkedin.scope
     });
 
+    if (options.codeChallenge) {
+      params.set('code_challenge', options.codeChallenge);
+      params.set('code_challenge_method', 'S256');
+    }
+
     return `${config.linkedin.authorizationUrl}?${params.toString()}`;
   }
 
+  /**
+   * Start an authorization request
+   *
+   * Stores a single-use state, bound to the browser session, together with
+   * the PKCE verifier and the URL to return to after login.
+   *
+   * @param {Object} options - Request options
+   * @param {string} options.sessionId - Session ID of the browser starting the flow
+   * @param {string} options.returnTo - Validated URL to redirect to after login
+   * @returns {Promise<Object>} { url, state }
+   */
+  static async createAuthorizationRequest(options) {
+    const state = this.generateState();
+    const pkce = config.linkedin.pkceEnabled ? this.generatePkcePair() : null;
+
+    await OAuthState.create({
+      state_hash: hashToken(state),
+      session_id: options.sessionId,
+      code_verifier: pkce ? pkce.codeVerifier : null,
+      return_to: options.returnTo || null,
+      expires_at: new Date(Date.now() + config.linkedin.stateTtlMinutes * 60 * 1000)
+    });
+
+    return {
+      url: this.getAuthorizationUrl(state, { codeChallenge: pkce?.codeChallenge }),
+      state
+    };
+  }
+
+  /**
+   * Validate and consume the state of an OAuth callback
+   *
+   * The state is deleted on first use, whether or not it is accepted.
+   *
+   * @param {string} state - State from the callback
+   * @param {string} sessionId - Session ID of the browser completing the flow
+   * @returns {Promise<Object>} OAuthState document ({ code_verifier, return_to })
+   * @throws {OAuthStateError} If the state is unknown, used, expired or from another session
+   */
+  static async consumeAuthorizationState(state, sessionId) {
+    const stateDoc = await OAuthState.findOneAndDelete({ state_hash: hashToken(state) });
+
+    if (!stateDoc) {
+      throw new OAuthStateError('invalid_state', 'Unknown or already used state - potential CSRF attack');
+    }
+    if (stateDoc.expires_at <= new Date()) {
+      throw new OAuthStateError('expired_state', 'Authorization request expired, please log in again');
+    }
+    if (stateDoc.session_id !== sessionId) {
+      throw new OAuthStateError('invalid_state', 'State was issued to a different session - potential CSRF attack');
+    }
+
+    return stateDoc;
+  }
+
   /**
    * Exchange authorization code for access token
    * @param {string} code - Authorization code from callback
+   * @param {Object} options - Exchange options
+   * @param {string} options.codeVerifier - PKCE code verifier of the authorization request
    * @returns {Promise<Object>} Token response
    */
-  static async exchangeCodeForToken(code) {
+  static async exchangeCodeForToken(code, options = {}) {
     try {
       const params = new URLSearchParams({
         grant_type: 'authorization_code',
@@ -49,6 +180,10 @@ class OAuthService {
         client_secret: config.linkedin.clientSecret
       });
 
+      if (options.codeVerifier) {
+        params.set('code_verifier', options.codeVerifier);
+      }
+
       const response = await axios.post(
         config.linkedin.tokenUrl,
         params.toString(),
@@ -88,7 +223,8 @@ class OAuthService {
         {
           headers: {
             'Content-Type': 'application/x-www-form-urlencoded'
-          }
+          },
+          timeout: REFRESH_REQUEST_TIMEOUT_MS
         }
       );
 
@@ -157,19 +293,34 @@ class OAuthService {
       }
     );
 
+    // Fresh tokens: scheduled syncs can run for this user again
+    await User.updateOne(
+      { _id: userId, reauth_required_at: { $ne: null } },
+      { $set: { reauth_required_at: null } }
+    );
+
     return tokenDoc;
   }
 
+  /**
+   * Load a user's LinkedIn token document with both tokens
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} OAuthToken document
+   */
+  static async findTokenDoc(userId) {
+    return OAuthToken.findOne({
+      user_id: userId,
+      provider: 'linkedin'
+    }).select('+access_token +refresh_token');
+  }
+
   /**
    * Get valid access token for user (refresh if needed)
    * @param {string} userId - User ID
    * @returns {Promise<string>} Valid access token
    */
   static async getValidAccessToken(userId) {
-    const tokenDoc = await OAuthToken.findOne({ 
-      user_id: userId, 
-      provider: 'linkedin' 
-    }).select('+access_token +refresh_token');
+    const tokenDoc = await this.findTokenDoc(userId);
 
     if (!tokenDoc) {
       throw new Error('No OAuth token found for user');
@@ -181,31 +332,241 @@ class OAuthService {
     }
 
     // Token is expired, try to refresh
-    if (!tokenDoc.refresh_token) {
-      throw new Error('Access token expired and no refresh token available');
+    const refreshed = await this.refreshTokenOnce(userId, doc => doc.isAccessTokenExpired());
+    return refreshed.access_token;
+  }
+
+  /**
+   * Refresh a user's token with at most one refresh in flight across processes
+   *
+   * Concurrent callers in this process share one promise. Its token is
+   * checked against each caller's own `needsRefresh`, since the refresh
+   * followed the first caller's; a caller with a stricter rule refreshes
+   * again. Across processes, a lease in MongoDB elects one refresher; the
+   * others wait until the stored token no longer needs a refresh and reuse
+   * it. If the refresher dies, its lease expires and a waiter takes over.
+   *
+   * @param {string} userId - User ID
+   * @param {Function} needsRefresh - Predicate on the stored token document
+   * @returns {Promise<Object>} Token document that no longer needs a refresh
+   */
+  static async refreshTokenOnce(userId, needsRefresh) {
+    const key = String(userId);
+    const inFlight = refreshesInFlight.get(key);
+    if (inFlight) {
+      const tokenDoc = await inFlight;
+      return needsRefresh(tokenDoc) ? this.refreshTokenOnce(userId, needsRefresh) : tokenDoc;
     }
 
-    if (tokenDoc.isRefreshTokenExpired()) {
-      throw new Error('Both access and refresh tokens are expired. Re-authentication required.');
+    const refresh = this.refreshWithLease(userId, needsRefresh)
+      .finally(() => refreshesInFlight.delete(key));
+    refreshesInFlight.set(key, refresh);
+    return refresh;
+  }
+
+  /**
+   * Refresh a user's token while holding the refresh lease (see refreshTokenOnce)
+   * @param {string} userId - User ID
+   * @param {Function} needsRefresh - Predicate on the stored token document
+   * @returns {Promise<Object>} Token document that no longer needs a refresh
+   */
+  static async refreshWithLease(userId, needsRefresh) {
+    const leaseKey = `oauth-refresh:${userId}`;
+    const deadline = Date.now() + REFRESH_WAIT_MS;
+
+    while (Date.now() < deadline) {
+      if (await LeaseStore.acquire(leaseKey, REFRESH_LEASE_MS)) {
+        try {
+          // Another process may have refreshed while we were waiting
+          const tokenDoc = await this.findTokenDoc(userId);
+          if (!tokenDoc) {
+            throw new Error('No OAuth token found for user');
+          }
+          if (!needsRefresh(tokenDoc)) {
+            return tokenDoc;
+          }
+
+          if (!tokenDoc.refresh_token) {
+            throw new Error('Access token expired and no refresh token available');
+          }
+          if (tokenDoc.isRefreshTokenExpired()) {
+            throw new Error('Both access and refresh tokens are expired. Re-authentication required.');
+          }
+
+          const newTokenData = await this.refreshAccessToken(tokenDoc.refresh_token);
+          await this.storeTokens(userId, newTokenData);
+          return await this.findTokenDoc(userId);
+        } finally {
+          await LeaseStore.release(leaseKey);
+        }
+      }
+
+      // Someone else is refreshing; reuse their result once it is stored
+      await delay(REFRESH_POLL_MS);
+      const tokenDoc = await this.findTokenDoc(userId);
+      if (tokenDoc && !needsRefresh(tokenDoc)) {
+        return tokenDoc;
+      }
     }
 
-    // Refresh the token
-    const newTokenData = await this.refreshAccessToken(tokenDoc.refresh_token);
-    await this.storeTokens(userId, newTokenData);
+    throw new Error('Timed out waiting for another token refresh to finish');
+  }
 
-    return newTokenData.access_token;
+  /**
+   * Revoke a token at LinkedIn
+   *
+   * Errors carry `retryable`: true for network errors, timeouts, rate
+   * limits and server errors, false when LinkedIn rejected the request.
+   *
+   * @param {string} token - Access or refresh token
+   * @returns {Promise<void>}
+   */
+  static async revokeLinkedInToken(token) {
+    try {
+      const params = new URLSearchParams({
+        token,
+        client_id: config.linkedin.clientId,
+        client_secret: config.linkedin.clientSecret
+      });
+
+      await axios.post(
+        config.linkedin.revokeUrl,
+        params.toString(),
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          timeout: 10 * 1000
+        }
+      );
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      const data = (error.response && error.response.data) || {};
+      const revokeError = new Error(
+        `Token revocation failed: ${data.error_description || data.error || (status ? `HTTP ${status}` : error.message)}`
+      );
+      revokeError.retryable = status === null || status === 408 || status === 429 || status >= 500;
+      throw revokeError;
+    }
   }
 
   /**
-   * Revoke user's OAuth tokens (logout)
+   * Try to revoke a recorded token at LinkedIn and store the outcome
+   *
+   * Retryable failures stay pending with an exponential backoff until
+   * REVOCATION_MAX_ATTEMPTS; the token is cleared once revoked or abandoned.
+   *
+   * @param {Object} revocation - TokenRevocation document with its token
+   * @returns {Promise<Object>} { status: 'revoked'|'pending'|'failed', error }
+   */
+  static async attemptRevocation(revocation) {
+    const now = new Date();
+    const attempts = revocation.attempts + 1;
+    let update;
+
+    try {
+      await this.revokeLinkedInToken(revocation.token);
+      update = { status: 'revoked', token: null, revoked_at: now, last_error: null, next_attempt_at: null };
+    } catch (error) {
+      const giveUp = !error.retryable || attempts >= REVOCATION_MAX_ATTEMPTS;
+      const delay = Math.min(REVOCATION_RETRY_BASE_MS * 2 ** (attempts - 1), REVOCATION_RETRY_MAX_MS);
+      update = giveUp
+        ? { status: 'failed', token: null, last_error: error.message, next_attempt_at: null }
+        : { status: 'pending', last_error: error.message, next_attempt_at: new Date(now.getTime() + delay) };
+    }
+
+    await TokenRevocation.updateOne(
+      { _id: revocation._id },
+      { $set: { ...update, attempts, last_attempt_at: now } }
+    );
+
+    return { status: update.status, error: update.last_error };
+  }
+
+  /**
+   * Revoke user's OAuth tokens at LinkedIn and delete them locally
+   *
+   * Revocations are recorded before the local tokens are deleted, so
+   * failed ones can be retried by retryFailedRevocations().
+   *
    * @param {string} userId - User ID
-   * @returns {Promise<void>}
+   * @param {Object} options - Revocation options
+   * @param {string} options.reason - 'logout' or 'account_deletion' (default: 'logout')
+   * @returns {Promise<Object>} Number of tokens { revoked, pending, failed }
    */
-  static async revokeTokens(userId) {
-    await OAuthToken.deleteOne({ 
-      user_id: userId, 
-      provider: 'linkedin' 
-    });
+  static async revokeTokens(userId, options = {}) {
+    const { reason = 'logout' } = options;
+    const results = { revoked: 0, pending: 0, failed: 0 };
+
+    const tokenDoc = await this.findTokenDoc(userId);
+    if (!tokenDoc) {
+      return results;
+    }
+
+    const revocations = await TokenRevocation.insertMany(
+      ['access_token', 'refresh_token']
+        .filter(tokenType => tokenDoc[tokenType])
+        .map(tokenType => ({
+          user_id: userId,
+          token_type: tokenType,
+          token: tokenDoc[tokenType],
+          reason
+        }))
+    );
+
+    await OAuthToken.deleteOne({ _id: tokenDoc._id });
+
+    for (const revocation of revocations) {
+      const { status } = await this.attemptRevocation(revocation);
+      results[status]++;
+    }
+
+    return results;
+  }
+
+  /**
+   * Retry pending revocations that are due
+   * This should be called periodically (e.g., every 15 minutes)
+   * @param {Object} options - Retry options
+   * @param {number} options.limit - Maximum revocations per run (default: 50)
+   * @returns {Promise<Object>} { success, failed, errors }; failed includes revocations that stay pending
+   */
+  static async retryFailedRevocations(options = {}) {
+    const { limit = 50 } = options;
+    const results = {
+      success: 0,
+      failed: 0,
+      errors: []
+    };
+
+    for (let count = 0; count < limit; count++) {
+      // Claim one due revocation so concurrent runs do not retry it twice
+      const now = new Date();
+      const revocation = await TokenRevocation.findOneAndUpdate(
+        { status: 'pending', next_attempt_at: { $lte: now } },
+        { $set: { next_attempt_at: new Date(now.getTime() + REVOCATION_CLAIM_MS) } },
+        { sort: { next_attempt_at: 1 }, new: true }
+      ).select('+token');
+
+      if (!revocation) {
+        break;
+      }
+
+      const { status, error } = await this.attemptRevocation(revocation);
+      if (status === 'revoked') {
+        results.success++;
+      } else {
+        results.failed++;
+        results.errors.push({
+          revocationId: revocation._id,
+          userId: revocation.user_id,
+          status,
+          error
+        });
+      }
+    }
+
+    return results;
   }
 
   /**
@@ -249,8 +610,7 @@ class OAuthService {
             continue;
           }
 
-          const newTokenData = await this.refreshAccessToken(tokenDoc.refresh_token);
-          await this.storeTokens(tokenDoc.user_id, newTokenData);
+          await this.refreshTokenOnce(tokenDoc.user_id, doc => doc.needsRefresh());
           results.success++;
         } catch (err) {
           results.failed++;
@@ -268,4 +628,6 @@ class OAuthService {
   }
 }
 
+OAuthService.OAuthStateError = OAuthStateError;
+
 module.exports = OAuthService;
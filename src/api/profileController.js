@@ -0,0 +1,122 @@
+/**
+ * Profile Controller
+ * Handles HTTP endpoints for the current user's settings and account
+ */
+
+const { User } = require('../../database/models');
+const ActivityStore = require('../storage/ActivityStore');
+const AccountService = require('./accountService');
+
+class ProfileController {
+  /**
+   * Update the current user's settings
+   * Route: PATCH /api/profile
+   *
+   * Body: { timezone?: 'Europe/Berlin', public_heatmap?: boolean }
+   * Changing the timezone re-buckets all activity events into days.
+   * `public_heatmap` opts in to the public SVG heatmap and badge.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async update(req, res) {
+    try {
+      const { timezone, public_heatmap: publicHeatmap } = req.body || {};
+      let user = req.user;
+      let rollup = null;
+
+      if (publicHeatmap !== undefined && typeof publicHeatmap !== 'boolean') {
+        return res.status(400).json({
+          error: 'validation_failed',
+          message: 'public_heatmap must be a boolean'
+        });
+      }
+
+      const updates = {};
+      if (timezone !== undefined && timezone !== user.timezone) {
+        updates.timezone = timezone;
+      }
+      if (publicHeatmap !== undefined) {
+        updates.public_heatmap = publicHeatmap;
+      }
+
+      if (Object.keys(updates).length > 0) {
+        user = await User.findByIdAndUpdate(
+          user._id,
+          { $set: updates },
+          { new: true, runValidators: true }
+        );
+      }
+      if (updates.timezone) {
+        rollup = await ActivityStore.rollupFromEvents(user._id, { timezone: user.timezone });
+      }
+
+      res.json({
+        success: true,
+        user: {
+          id: user._id,
+          name: user.name,
+          timezone: user.timezone,
+          public_heatmap: user.public_heatmap
+        },
+        rollup
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'validation_failed',
+          message: error.message
+        });
+      }
+
+      console.error('Profile update error:', error);
+      res.status(500).json({
+        error: 'profile_update_failed',
+        message: 'Failed to update profile',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete the current user's account and all of their data
+   * Route: DELETE /api/profile
+   *
+   * Body: { confirm: true }
+   * Revokes the LinkedIn tokens at LinkedIn and ends every session.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteAccount(req, res) {
+    try {
+      if (!req.body || req.body.confirm !== true) {
+        return res.status(400).json({
+          error: 'confirmation_required',
+          message: 'Send { "confirm": true } to delete your account and all of its data'
+        });
+      }
+
+      const result = await AccountService.deleteAccount(req.user._id);
+
+      if (req.session) {
+        req.session.destroy();
+      }
+
+      res.json({
+        success: true,
+        message: 'Account deleted',
+        ...result
+      });
+    } catch (error) {
+      console.error('Account deletion error:', error);
+      res.status(500).json({
+        error: 'account_deletion_failed',
+        message: 'Failed to delete account',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = ProfileController;
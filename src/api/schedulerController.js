@@ -0,0 +1,318 @@
+/**
+ * Scheduler Controller
+ * Handles admin HTTP endpoints to manage scheduler jobs, run them and read
+ * their run history
+ */
+
+const scheduler = require('../scheduler/CronScheduler');
+
+/**
+ * HTTP status per SchedulerError code
+ */
+const ERROR_STATUS = {
+  job_not_found: 404,
+  job_exists: 409,
+  unknown_task: 400,
+  invalid_job: 400,
+  invalid_schedule: 400,
+  job_not_running: 409
+};
+
+/**
+ * Send the outcome of a manual run; skipped runs are a 409 with the reason
+ * @param {Object} res - Express response object
+ * @param {string} jobName - Job name
+ * @param {Object} result - Result of the run (see CronScheduler.executeJob)
+ */
+function sendRunResult(res, jobName, result) {
+  if (result.status === 'skipped') {
+    return res.status(409).json({
+      error: 'run_skipped',
+      reason: result.reason,
+      message: `Job "${jobName}" did not run (${result.reason})`
+    });
+  }
+
+  res.json({
+    success: true,
+    job: jobName,
+    result
+  });
+}
+
+/**
+ * Send a SchedulerError, or a 500 for anything else
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error to report
+ * @param {string} code - Error code for unexpected errors
+ * @param {string} message - Message for unexpected errors
+ */
+function sendError(res, error, code, message) {
+  if (error instanceof scheduler.SchedulerError) {
+    return res.status(ERROR_STATUS[error.code] || 400).json({
+      error: error.code,
+      message: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: code,
+    message,
+    details: error.message
+  });
+}
+
+class SchedulerController {
+  /**
+   * Get the jobs scheduled in this process with their last outcomes and
+   * the instance currently running each of them
+   * Route: GET /api/scheduler/status
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async status(req, res) {
+    try {
+      const status = await scheduler.getClusterStatus();
+      res.status(status.success ? 200 : 500).json(status);
+    } catch (error) {
+      sendError(res, error, 'scheduler_status_failed', 'Failed to get scheduler status');
+    }
+  }
+
+  /**
+   * List persisted job definitions
+   * Route: GET /api/scheduler/jobs
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async listJobs(req, res) {
+    try {
+      const jobs = await scheduler.listJobs();
+      res.json({
+        success: true,
+        jobs
+      });
+    } catch (error) {
+      sendError(res, error, 'scheduler_jobs_failed', 'Failed to list scheduler jobs');
+    }
+  }
+
+  /**
+   * Create a persisted job; enabled jobs start immediately
+   * Route: POST /api/scheduler/jobs
+   *
+   * Body: { name, task, schedule, timezone?, enabled?, params?, description?,
+   *   concurrency?, timeoutSeconds?, retryAttempts?, retryDelaySeconds?, catchUp? }
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createJob(req, res) {
+    try {
+      const job = await scheduler.createJob(req.body || {});
+      res.status(201).json({
+        success: true,
+        job
+      });
+    } catch (error) {
+      sendError(res, error, 'scheduler_job_create_failed', 'Failed to create scheduler job');
+    }
+  }
+
+  /**
+   * Change a persisted job and restart it
+   * Route: PATCH /api/scheduler/jobs/:name
+   *
+   * Body: any field of POST /api/scheduler/jobs except name
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateJob(req, res) {
+    try {
+      const job = await scheduler.updateJob(req.params.name, req.body || {});
+      res.json({
+        success: true,
+        job
+      });
+    } catch (error) {
+      sendError(res, error, 'scheduler_job_update_failed', 'Failed to update scheduler job');
+    }
+  }
+
+  /**
+   * Stop a persisted job, keeping its definition
+   * Route: POST /api/scheduler/jobs/:name/pause
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async pauseJob(req, res) {
+    try {
+      const job = await scheduler.updateJob(req.params.name, { enabled: false });
+      res.json({
+        success: true,
+        job
+      });
+    } catch (error) {
+      sendError(res, error, 'scheduler_job_update_failed', 'Failed to pause scheduler job');
+    }
+  }
+
+  /**
+   * Start a paused job again
+   * Route: POST /api/scheduler/jobs/:name/resume
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async resumeJob(req, res) {
+    try {
+      const job = await scheduler.updateJob(req.params.name, { enabled: true });
+      res.json({
+        success: true,
+        job
+      });
+    } catch (error) {
+      sendError(res, error, 'scheduler_job_update_failed', 'Failed to resume scheduler job');
+    }
+  }
+
+  /**
+   * Stop and delete a persisted job
+   * Route: DELETE /api/scheduler/jobs/:name
+   *
+   * Run history is kept until it expires.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteJob(req, res) {
+    try {
+      const job = await scheduler.deleteJob(req.params.name);
+      res.json({
+        success: true,
+        message: `Job "${job.name}" deleted`,
+        job
+      });
+    } catch (error) {
+      sendError(res, error, 'scheduler_job_delete_failed', 'Failed to delete scheduler job');
+    }
+  }
+
+  /**
+   * Run a job now
+   * Route: POST /api/scheduler/jobs/:name/run?wait=true
+   *
+   * Responds 202 once the run is started or queued behind the previous
+   * run, or with the run's outcome when `wait=true`. A run that is skipped
+   * (previous run still going, full queue, running on another instance)
+   * is a 409 with the reason. Works for in-memory jobs too.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async triggerJob(req, res) {
+    const jobName = req.params.name;
+
+    try {
+      let onAccepted;
+      const accepted = new Promise(resolve => {
+        onAccepted = resolve;
+      });
+      const run = scheduler.triggerJob(jobName, { onAccepted });
+
+      if (req.query.wait === 'true') {
+        return sendRunResult(res, jobName, await run);
+      }
+
+      // Either the run is accepted ('queued' or 'running') or it ends
+      // without starting (skipped)
+      const outcome = await Promise.race([accepted, run]);
+      if (typeof outcome !== 'string') {
+        return sendRunResult(res, jobName, outcome);
+      }
+
+      run.catch(error => console.error(`[Scheduler] Manual run of "${jobName}" failed:`, error.message));
+      res.status(202).json({
+        success: true,
+        status: outcome,
+        message: `Job "${jobName}" ${outcome === 'queued' ? 'queued behind its current run' : 'started'}; see /api/scheduler/jobs/${jobName}/runs for its outcome`
+      });
+    } catch (error) {
+      sendError(res, error, 'scheduler_job_run_failed', 'Failed to run scheduler job');
+    }
+  }
+
+  /**
+   * List the next fire times of a cron expression
+   * Route: GET /api/scheduler/preview?schedule=0+2+*+*+*&timezone=UTC&count=5
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async preview(req, res) {
+    try {
+      const preview = scheduler.previewSchedule(req.query.schedule, {
+        timezone: req.query.timezone,
+        count: req.query.count
+      });
+      res.json({
+        success: true,
+        ...preview
+      });
+    } catch (error) {
+      sendError(res, error, 'scheduler_preview_failed', 'Failed to preview schedule');
+    }
+  }
+
+  /**
+   * Get a persisted job with its last success, last failure and
+   * consecutive failures
+   * Route: GET /api/scheduler/jobs/:name
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getJob(req, res) {
+    try {
+      const job = await scheduler.getJob(req.params.name);
+      res.json({
+        success: true,
+        job
+      });
+    } catch (error) {
+      sendError(res, error, 'scheduler_job_failed', 'Failed to get scheduler job');
+    }
+  }
+
+  /**
+   * List a job's runs, newest first
+   * Route: GET /api/scheduler/jobs/:name/runs?page=1&limit=20
+   *
+   * Works for in-memory jobs too; unknown names have no runs.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async listRuns(req, res) {
+    try {
+      const history = await scheduler.getJobHistory(req.params.name, {
+        page: req.query.page,
+        limit: req.query.limit
+      });
+      res.json({
+        success: true,
+        job: req.params.name,
+        ...history
+      });
+    } catch (error) {
+      sendError(res, error, 'scheduler_runs_failed', 'Failed to list job runs');
+    }
+  }
+}
+
+module.exports = SchedulerController;
@@ -0,0 +1,144 @@
+/**
+ * Session Controller
+ * Handles HTTP endpoints for listing and revoking the current user's
+ * login sessions
+ */
+
+const { Session } = require('../../database/models');
+const SessionStore = require('../storage/SessionStore');
+
+/**
+ * Format a session document for API responses
+ * @param {Object} sessionDoc - Session document
+ * @param {string} currentHash - sid_hash of the requesting session
+ * @returns {Object} Public session fields
+ */
+function formatSession(sessionDoc, currentHash) {
+  return {
+    id: sessionDoc._id,
+    current: sessionDoc.sid_hash === currentHash,
+    device: sessionDoc.device,
+    user_agent: sessionDoc.user_agent,
+    ip: sessionDoc.ip,
+    created_at: sessionDoc.created_at,
+    last_seen_at: sessionDoc.last_seen_at,
+    expires_at: sessionDoc.expires_at
+  };
+}
+
+class SessionController {
+  /**
+   * List the current user's active sessions, most recently seen first
+   * Route: GET /api/sessions
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async listSessions(req, res) {
+    try {
+      const sessions = await Session.find({
+        user_id: req.user._id,
+        expires_at: { $gt: new Date() }
+      })
+        .select('-data')
+        .sort({ last_seen_at: -1 })
+        .lean();
+
+      const currentHash = SessionStore.hashSessionId(req.sessionID);
+
+      res.json({
+        success: true,
+        sessions: sessions.map(sessionDoc => formatSession(sessionDoc, currentHash))
+      });
+    } catch (error) {
+      console.error('List sessions error:', error);
+      res.status(500).json({
+        error: 'session_list_failed',
+        message: 'Failed to list sessions',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke one of the current user's sessions
+   * Route: DELETE /api/sessions/:id
+   *
+   * Revoking the current session logs the caller out (LinkedIn tokens are
+   * kept; use POST /auth/logout to revoke those too).
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revokeSession(req, res) {
+    try {
+      const sessionDoc = await Session.findOneAndDelete({
+        _id: req.params.id,
+        user_id: req.user._id
+      }).select('-data');
+
+      if (!sessionDoc) {
+        return res.status(404).json({
+          error: 'session_not_found',
+          message: 'Session not found or already revoked'
+        });
+      }
+
+      const current = sessionDoc.sid_hash === SessionStore.hashSessionId(req.sessionID);
+      if (current) {
+        req.session.destroy();
+      }
+
+      res.json({
+        success: true,
+        message: current ? 'Session revoked; you have been logged out' : 'Session revoked',
+        session: formatSession(sessionDoc, current ? sessionDoc.sid_hash : null)
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(404).json({
+          error: 'session_not_found',
+          message: 'Session not found or already revoked'
+        });
+      }
+
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        error: 'session_revoke_failed',
+        message: 'Failed to revoke session',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke all of the current user's sessions except the current one
+   * Route: DELETE /api/sessions
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revokeOtherSessions(req, res) {
+    try {
+      const result = await Session.deleteMany({
+        user_id: req.user._id,
+        sid_hash: { $ne: SessionStore.hashSessionId(req.sessionID) }
+      });
+
+      res.json({
+        success: true,
+        message: 'Other sessions revoked',
+        revoked: result.deletedCount
+      });
+    } catch (error) {
+      console.error('Revoke sessions error:', error);
+      res.status(500).json({
+        error: 'session_revoke_failed',
+        message: 'Failed to revoke sessions',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = SessionController;
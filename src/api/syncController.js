@@ -0,0 +1,78 @@
+/**
+ * Sync Controller
+ * Handles HTTP endpoints for running activity syncs
+ */
+
+const SyncService = require('../extractor/SyncService');
+
+class SyncController {
+  /**
+   * Sync the current user's activity from all pull sources
+   * Route: POST /api/sync
+   *
+   * Body: { sources?: ['linkedin_api'], full?: boolean }
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async sync(req, res) {
+    try {
+      const { sources, full = false } = req.body || {};
+
+      if (sources !== undefined && (!Array.isArray(sources) || sources.some(name => typeof name !== 'string'))) {
+        return res.status(400).json({
+          error: 'invalid_sources',
+          message: 'sources must be an array of source names'
+        });
+      }
+
+      const run = await SyncService.syncUser(req.user._id, {
+        trigger: 'api',
+        sources: sources || null,
+        full: full === true
+      });
+
+      res.status(run.status === 'failed' ? 502 : 200).json({
+        success: run.status === 'success' || run.status === 'skipped',
+        report: run
+      });
+    } catch (error) {
+      console.error('Sync error:', error);
+      res.status(500).json({
+        error: 'sync_failed',
+        message: 'Failed to sync activity',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * List the current user's recent sync reports
+   * Route: GET /api/sync/runs
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async listRuns(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const runs = await SyncService.getRecentRuns(req.user._id, limit);
+
+      res.json({
+        success: true,
+        last_sync: req.user.last_sync,
+        watermarks: Object.fromEntries(req.user.sync_watermarks || []),
+        runs
+      });
+    } catch (error) {
+      console.error('List sync runs error:', error);
+      res.status(500).json({
+        error: 'sync_runs_failed',
+        message: 'Failed to list sync reports',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = SyncController;
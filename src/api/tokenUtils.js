@@ -0,0 +1,49 @@
+/**
+ * Token Utilities
+ * Helpers for issuing and verifying opaque API tokens.
+ *
+ * Tokens are random strings shown to the user once; only their SHA-256 hash
+ * is stored, so a database dump does not reveal usable tokens.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Plaintext token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new token
+ * @param {string} prefix - Short prefix identifying the token kind (e.g. 'lci')
+ * @returns {Object} { token, hash, displayPrefix }
+ */
+function generateToken(prefix) {
+  const token = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    token,
+    hash: hashToken(token),
+    displayPrefix: token.slice(0, prefix.length + 9)
+  };
+}
+
+/**
+ * Read a bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token or null if absent
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  hashToken,
+  generateToken,
+  getBearerToken
+};
@@ -0,0 +1,367 @@
+/**
+ * Visualization Controller
+ * Handles HTTP endpoints that feed the activity heatmap and profile stats,
+ * and the public SVG heatmap and badge
+ */
+
+const mongoose = require('mongoose');
+const { User } = require('../../database/models');
+const ActivityCalendar = require('../visualization/ActivityCalendar');
+const ActivityStats = require('../visualization/ActivityStats');
+const HeatmapRenderer = require('../visualization/HeatmapRenderer');
+
+/**
+ * Longest range rendered as an image (two years)
+ */
+const MAX_IMAGE_RANGE_DAYS = 731;
+
+/**
+ * Longest range statistics and badges cover (thirty years)
+ */
+const MAX_STATS_RANGE_DAYS = 10958;
+
+/**
+ * How long browsers and image proxies (e.g. GitHub's camo) may cache images
+ */
+const IMAGE_CACHE_SECONDS = 60 * 60;
+
+/**
+ * Badge metrics: label and message builder
+ */
+const BADGE_METRICS = {
+  total: stats => `${stats.totals.count} in ${stats.totals.days} days`,
+  streak: stats => `${stats.streaks.current.length} day streak`,
+  longest: stats => `${stats.streaks.longest.length} day longest streak`
+};
+
+/**
+ * Resolve the user addressed by `:id` and check the caller may read it
+ *
+ * `:id` is a user ID or `me`. Sends the error response and returns null
+ * when the user is missing or belongs to someone else.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} User document or null
+ */
+async function loadTargetUser(req, res) {
+  const { id } = req.params;
+
+  if (id === 'me' || (req.user && req.user._id.equals(id))) {
+    return req.user;
+  }
+
+  const user = mongoose.isValidObjectId(id) ? await User.findById(id) : null;
+  if (!user) {
+    res.status(404).json({
+      error: 'user_not_found',
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  res.status(403).json({
+    error: 'forbidden',
+    message: 'You can only view your own activity'
+  });
+  return null;
+}
+
+/**
+ * Load a user who opted in to public images
+ *
+ * Users who have not opted in are reported as not found, so the endpoint
+ * does not reveal which IDs exist.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} User document or null
+ */
+async function loadPublicUser(req, res) {
+  const { id } = req.params;
+  const user = mongoose.isValidObjectId(id)
+    ? await User.findOne({ _id: id, public_heatmap: true })
+    : null;
+
+  if (!user) {
+    res.status(404).json({
+      error: 'user_not_found',
+      message: 'User not found or heatmap not public'
+    });
+    return null;
+  }
+
+  return user;
+}
+
+/**
+ * Resolve the range of a statistics request
+ *
+ * Without `from`, the range covers `defaultDays`, or with `wholeHistory`
+ * starts at the user's first recorded day. It covers at most
+ * MAX_STATS_RANGE_DAYS either way.
+ *
+ * @param {Object} user - User document
+ * @param {Object} query - { from?, to? } as YYYY-MM-DD strings
+ * @param {Object} options - { wholeHistory = false, defaultDays = 1 }
+ * @returns {Promise<Object>} { from, to } as midnight UTC dates
+ * @throws {CalendarError} If the range is invalid or too long
+ */
+async function resolveStatsRange(user, query, options = {}) {
+  const { wholeHistory = false, defaultDays = 1 } = options;
+  const range = ActivityCalendar.resolveRange({ from: query.from, to: query.to }, {
+    timezone: user.timezone,
+    defaultDays: wholeHistory ? MAX_STATS_RANGE_DAYS : defaultDays,
+    maxDays: MAX_STATS_RANGE_DAYS
+  });
+
+  if (wholeHistory && !query.from) {
+    const firstDay = await ActivityStats.getFirstDay(user._id);
+    if (!firstDay || firstDay > range.to) {
+      range.from = range.to;
+    } else if (firstDay > range.from) {
+      range.from = firstDay;
+    }
+  }
+
+  return range;
+}
+
+/**
+ * Validate the theme and size query parameters
+ * @param {Object} query - Request query
+ * @returns {Object|null} { theme, size } or null if invalid
+ */
+function parseImageOptions(query) {
+  const { theme = 'dark', size = 'medium' } = query;
+  if (!HeatmapRenderer.THEMES[theme] || !HeatmapRenderer.SIZES[size]) {
+    return null;
+  }
+  return { theme, size };
+}
+
+/**
+ * Send an SVG document with cache headers
+ *
+ * Express adds an ETag, so unchanged images are answered with 304.
+ *
+ * @param {Object} res - Express response object
+ * @param {string} svg - SVG document
+ */
+function sendSvg(res, svg) {
+  res.set({
+    'Content-Type': 'image/svg+xml; charset=utf-8',
+    'Cache-Control': `public, max-age=${IMAGE_CACHE_SECONDS}, stale-while-revalidate=${IMAGE_CACHE_SECONDS}`,
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(svg);
+}
+
+class VisualizationController {
+  /**
+   * Get a gap-filled daily activity series for the heatmap
+   * Route: GET /api/users/:id/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD&types=posts,comments
+   *
+   * `to` defaults to today in the user's timezone, `from` to one year
+   * earlier. `types` restricts which counters are summed into `count`.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async calendar(req, res) {
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) {
+        return;
+      }
+
+      const { from, to } = ActivityCalendar.resolveRange(req.query, { timezone: user.timezone });
+      const types = ActivityCalendar.parseTypes(req.query.types);
+      const calendar = await ActivityCalendar.getCalendar(user._id, { from, to, types });
+
+      res.json({
+        success: true,
+        user_id: user._id,
+        timezone: user.timezone,
+        ...calendar
+      });
+    } catch (error) {
+      if (error instanceof ActivityCalendar.CalendarError) {
+        return res.status(400).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('Calendar error:', error);
+      res.status(500).json({
+        error: 'calendar_failed',
+        message: 'Failed to build activity calendar',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Get streaks, averages, busiest day and yearly totals
+   * Route: GET /api/users/:id/stats?from=YYYY-MM-DD&to=YYYY-MM-DD&types=posts&threshold=1
+   *
+   * The range defaults to the user's whole history up to today, and
+   * covers at most MAX_STATS_RANGE_DAYS.
+   * `threshold` is the minimum count for a day to extend a streak.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async stats(req, res) {
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) {
+        return;
+      }
+
+      const threshold = req.query.threshold === undefined ? 1 : Number(req.query.threshold);
+      if (!Number.isInteger(threshold) || threshold < 1) {
+        return res.status(400).json({
+          error: 'invalid_threshold',
+          message: 'threshold must be a positive integer'
+        });
+      }
+
+      const range = await resolveStatsRange(user, req.query, { wholeHistory: true });
+      const types = ActivityCalendar.parseTypes(req.query.types);
+      const stats = await ActivityStats.getStats(user._id, { ...range, types, threshold });
+
+      res.json({
+        success: true,
+        user_id: user._id,
+        timezone: user.timezone,
+        ...stats
+      });
+    } catch (error) {
+      if (error instanceof ActivityCalendar.CalendarError) {
+        return res.status(400).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('Stats error:', error);
+      res.status(500).json({
+        error: 'stats_failed',
+        message: 'Failed to compute activity statistics',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Render the public contribution calendar as an SVG image
+   * Route: GET /api/users/:id/heatmap.svg?theme=dark|light&size=small|medium|large&from&to&types
+   *
+   * Only available for users with `public_heatmap` enabled.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async heatmapSvg(req, res) {
+    try {
+      const imageOptions = parseImageOptions(req.query);
+      if (!imageOptions) {
+        return res.status(400).json({
+          error: 'invalid_options',
+          message: `theme must be one of: ${Object.keys(HeatmapRenderer.THEMES).join(', ')}; ` +
+            `size must be one of: ${Object.keys(HeatmapRenderer.SIZES).join(', ')}`
+        });
+      }
+
+      const user = await loadPublicUser(req, res);
+      if (!user) {
+        return;
+      }
+
+      const range = ActivityCalendar.resolveRange(req.query, {
+        timezone: user.timezone,
+        maxDays: MAX_IMAGE_RANGE_DAYS
+      });
+      const types = ActivityCalendar.parseTypes(req.query.types);
+      const calendar = await ActivityCalendar.getCalendar(user._id, { ...range, types });
+
+      sendSvg(res, HeatmapRenderer.renderHeatmap(calendar, {
+        ...imageOptions,
+        title: `LinkedIn activity of ${user.name}`
+      }));
+    } catch (error) {
+      if (error instanceof ActivityCalendar.CalendarError) {
+        return res.status(400).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('Heatmap render error:', error);
+      res.status(500).json({
+        error: 'render_failed',
+        message: 'Failed to render heatmap',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Render a public activity badge as an SVG image
+   * Route: GET /api/users/:id/badge.svg?metric=total|streak|longest&theme=dark|light&from&to&types
+   *
+   * `total` covers the last year unless `from`/`to` are given; streaks
+   * cover the whole history, at most MAX_STATS_RANGE_DAYS. Only available
+   * with `public_heatmap` enabled.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async badgeSvg(req, res) {
+    try {
+      const { metric = 'total', label = 'LinkedIn activity' } = req.query;
+      const imageOptions = parseImageOptions(req.query);
+
+      if (!BADGE_METRICS[metric] || !imageOptions || typeof label !== 'string' || label.length > 40) {
+        return res.status(400).json({
+          error: 'invalid_options',
+          message: `metric must be one of: ${Object.keys(BADGE_METRICS).join(', ')}; ` +
+            `theme must be one of: ${Object.keys(HeatmapRenderer.THEMES).join(', ')}; ` +
+            'label may have at most 40 characters'
+        });
+      }
+
+      const user = await loadPublicUser(req, res);
+      if (!user) {
+        return;
+      }
+
+      const range = await resolveStatsRange(user, req.query, {
+        wholeHistory: metric !== 'total',
+        defaultDays: 365
+      });
+      const types = ActivityCalendar.parseTypes(req.query.types);
+      const stats = await ActivityStats.getStats(user._id, { ...range, types });
+
+      sendSvg(res, HeatmapRenderer.renderBadge(label, BADGE_METRICS[metric](stats), imageOptions));
+    } catch (error) {
+      if (error instanceof ActivityCalendar.CalendarError) {
+        return res.status(400).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('Badge render error:', error);
+      res.status(500).json({
+        error: 'render_failed',
+        message: 'Failed to render badge',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = VisualizationController;
@@ -86,21 +86,14 @@ async function main() {
     // Extract all data at once
     console.log('=== Example 6: Extract All Data ===');
     const allData = await extractor.extractAllData({
-      posts: {
-        startDate: new Date('2024-01-01'),
-        endDate: new Date(),
-        limit: 50
-      },
-      interactions: {
-        startDate: new Date('2024-01-01'),
-        endDate: new Date(),
-        types: ['likes', 'comments'],
-        limit: 100
-      }
+      since: new Date('2024-01-01'),
+      until: new Date()
     });
     console.log('Combined result:');
     console.log('  Success:', allData.success);
     console.log('  Data keys:', Object.keys(allData.data));
+    console.log('  Events:', allData.data.events.length);
+    console.log('  Sources:', Object.keys(allData.data.sources).join(', '));
     console.log('  Errors:', allData.errors.length);
     if (allData.errors.length > 0) {
       console.log('\n  Error details:');
@@ -11,8 +11,14 @@
  * 
  * Current Implementation Status:
  * - ✅ fetchUserProfile() - Works with OAuth (uses userinfo endpoint)
+ * - ✅ extractEvents() - Runs every registered pull source (see ./sources)
  * - ⚠️  fetchActivityPosts() - Placeholder (requires Partner API or manual upload)
  * - ⚠️  fetchInteractions() - Placeholder (requires Partner API or manual upload)
+ *
+ * Activity sources are plugins registered in ./sources/index.js. Each source
+ * declares its capabilities and implements fetch(since, until) and
+ * normalize(); the extractor runs all pull sources uniformly and returns
+ * ActivityEvent fields ready for EventStore.recordEvents().
  * 
  * Alternative Approaches for MVP:
  * 1. Manual data upload feature
@@ -23,6 +29,13 @@
 const axios = require('axios');
 const OAuthService = require('../api/oauthService');
 const config = require('../../config/config');
+const { registry: defaultRegistry } = require('./sources');
+
+/**
+ * Source error codes meaning the source cannot run here (not enabled or not
+ * supported) rather than that it failed
+ */
+const UNAVAILABLE_ERROR_CODES = ['API_LIMITATION', 'NOT_SUPPORTED'];
 
 /**
  * Rate limiter for API calls
@@ -122,6 +135,7 @@ class LinkedInExtractor {
       options.windowMs || 60000
     );
     this.retryOptions = options.retryOptions || {};
+    this.registry = options.registry || defaultRegistry;
   }
 
   /**
@@ -148,6 +162,21 @@ class LinkedInExtractor {
     return RetryHandler.execute(requestFn, this.retryOptions);
   }
 
+  /**
+   * Build the context object passed to source plugins
+   * @param {Object} extra - Additional context (e.g. profile)
+   * @returns {Object} Source context
+   * @private
+   */
+  _createSourceContext(extra = {}) {
+    return {
+      userId: this.userId,
+      getAccessToken: () => this._getAccessToken(),
+      request: requestFn => this._makeRequest(requestFn),
+      ...extra
+    };
+  }
+
   /**
    * Fetch user profile data from LinkedIn
    * This uses the OAuth userinfo endpoint which is available with open permissions.
@@ -274,11 +303,81 @@ class LinkedInExtractor {
     };
   }
 
+  /**
+   * Fetch and normalize events from the registered pull sources
+   *
+   * Every source runs independently: a failing source is reported in its
+   * entry of `sources` and does not stop the others. Sources that are not
+   * available (API_LIMITATION, NOT_SUPPORTED) are marked `unavailable` and
+   * do not make the extraction unsuccessful. Records that fail
+   * normalization are counted as rejected.
+   *
+   * @param {Object} options - Extraction options
+   * @param {Date|Object|null} options.since - Only events at or after this time, or a map of
+   *   source name to Date for per-source watermarks (default: all)
+   * @param {Date} options.until - Only events before this time (default: now)
+   * @param {Array<string>} options.sources - Source names to run (default: all pull sources)
+   * @param {Object} options.context - Extra context for sources (e.g. { profile })
+   * @returns {Promise<Object>} { success, events, sources, timestamp }
+   */
+  async extractEvents(options = {}) {
+    const { since = null, until = new Date(), context: extraContext = {} } = options;
+    const context = this._createSourceContext(extraContext);
+
+    let sources = this.registry.list({ capability: 'pull' });
+    if (options.sources) {
+      sources = sources.filter(source => options.sources.includes(source.name));
+    }
+
+    const results = {
+      success: true,
+      events: [],
+      sources: {},
+      timestamp: new Date().toISOString()
+    };
+
+    for (const source of sources) {
+      const summary = { success: true, fetched: 0, events: 0, rejected: 0 };
+      const sinceForSource = since instanceof Date || since === null ? since : since[source.name] || null;
+
+      try {
+        const records = await source.fetch(sinceForSource, until, context);
+        summary.fetched = records.length;
+
+        records.forEach(record => {
+          try {
+            results.events.push(source.normalize(record, context));
+            summary.events++;
+          } catch {
+            summary.rejected++;
+          }
+        });
+      } catch (error) {
+        summary.success = false;
+        summary.error = {
+          code: error.code || 'UNKNOWN_ERROR',
+          message: error.message,
+          details: error.details || error.response?.data || null,
+          alternatives: error.alternatives
+        };
+        if (UNAVAILABLE_ERROR_CODES.includes(summary.error.code)) {
+          summary.unavailable = true;
+        } else {
+          results.success = false;
+        }
+      }
+
+      results.sources[source.name] = summary;
+    }
+
+    return results;
+  }
+
   /**
    * Extract all available data for a user
-   * Combines profile, posts, and interactions into a single response
+   * Combines the profile with events from every registered pull source
    * 
-   * @param {Object} options - Options for data extraction
+   * @param {Object} options - Options for extractEvents() (since, until, sources)
    * @returns {Promise<Object>} Combined data response
    */
   async extractAllData(options = {}) {
@@ -298,21 +397,18 @@ class LinkedInExtractor {
         results.errors.push({ method: 'fetchUserProfile', error: profileResult.error });
       }
 
-      // Fetch posts (currently limited)
-      const postsResult = await this.fetchActivityPosts(options.posts);
-      if (postsResult.success) {
-        results.data.posts = postsResult.data;
-      } else {
-        results.errors.push({ method: 'fetchActivityPosts', error: postsResult.error });
-      }
-
-      // Fetch interactions (currently limited)
-      const interactionsResult = await this.fetchInteractions(options.interactions);
-      if (interactionsResult.success) {
-        results.data.interactions = interactionsResult.data;
-      } else {
-        results.errors.push({ method: 'fetchInteractions', error: interactionsResult.error });
-      }
+      // Fetch events from all registered pull sources
+      const eventsResult = await this.extractEvents({
+        ...options,
+        context: { profile: results.data.profile }
+      });
+      results.data.events = eventsResult.events;
+      results.data.sources = eventsResult.sources;
+      Object.entries(eventsResult.sources).forEach(([name, summary]) => {
+        if (!summary.success) {
+          results.errors.push({ method: `source:${name}`, error: summary.error });
+        }
+      });
 
       // Overall success only if profile succeeded (minimum requirement)
       results.success = profileResult.success;
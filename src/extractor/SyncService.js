@@ -0,0 +1,293 @@
+/**
+ * Sync Service
+ *
+ * Runs the LinkedIn extractor for a user and persists the results:
+ * 1. Pull events from every registered pull source, starting at each
+ *    source's watermark (User.sync_watermarks) so runs are incremental
+ * 2. Record the events (EventStore) and roll the affected days up into
+ *    the Activity collection
+ * 3. Advance the watermark of each source that succeeded, set
+ *    User.last_sync if any did, and store a SyncRun report
+ *
+ * Called from POST /api/sync and from scheduled jobs. syncAllUsers() runs
+ * it for every user with usable LinkedIn tokens, a few users at a time.
+ */
+
+const LinkedInExtractor = require('./LinkedInExtractor');
+const EventStore = require('../storage/EventStore');
+const ActivityStore = require('../storage/ActivityStore');
+const { User, SyncRun, OAuthToken } = require('../../database/models');
+
+/**
+ * Re-read this much before each watermark to catch late-arriving events.
+ * Duplicates are dropped by EventStore, so overlap is harmless.
+ */
+const WATERMARK_OVERLAP_MS = 60 * 60 * 1000;
+
+/**
+ * Upper bound of syncAllUsers' concurrency
+ */
+const MAX_SYNC_CONCURRENCY = 20;
+
+/**
+ * Call a worker for each item with at most `concurrency` calls in flight
+ *
+ * Stops taking new items once `signal` aborts; calls already started
+ * finish.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum calls in flight
+ * @param {Function} worker - Async function called with each item
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<number>} Number of items processed
+ */
+async function runPool(items, concurrency, worker, signal) {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length && !(signal && signal.aborted)) {
+      await worker(items[next++]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+  return next;
+}
+
+class SyncService {
+  /**
+   * Sync one user
+   * @param {string} userId - User ID
+   * @param {Object} options - Sync options
+   * @param {string} options.trigger - 'api', 'scheduler' or 'manual' (default: 'manual')
+   * @param {Array<string>} options.sources - Source names to run (default: all pull sources)
+   * @param {boolean} options.full - Ignore watermarks and re-read all history
+   * @param {Object} options.extractorOptions - Options passed to LinkedInExtractor
+   * @returns {Promise<Object>} The SyncRun report
+   */
+  static async syncUser(userId, options = {}) {
+    const {
+      trigger = 'manual',
+      sources = null,
+      full = false,
+      extractorOptions = {}
+    } = options;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error(`User ${userId} not found`);
+    }
+
+    const startedAt = new Date();
+    const until = startedAt;
+    const run = await SyncRun.create({
+      user_id: user._id,
+      trigger,
+      started_at: startedAt,
+      until
+    });
+
+    try {
+      const since = full ? null : this.getSinceMap(user);
+      const extractor = new LinkedInExtractor(user._id, extractorOptions);
+      const extracted = await extractor.extractEvents({ since, until, sources });
+
+      const recorded = await EventStore.recordEvents(user._id, extracted.events);
+      const rollup = recorded.range
+        ? await ActivityStore.rollupFromEvents(user._id, {
+          ...recorded.range,
+          timezone: user.timezone
+        })
+        : null;
+
+      // Advance watermarks only for sources that completed
+      const watermarkUpdates = {};
+      const failures = [];
+      const unavailable = [];
+      Object.entries(extracted.sources).forEach(([name, summary]) => {
+        if (summary.success) {
+          watermarkUpdates[`sync_watermarks.${name}`] = until;
+          summary.watermark = until;
+        } else {
+          (summary.unavailable ? unavailable : failures).push({
+            source: name,
+            code: summary.error.code,
+            message: summary.error.message
+          });
+        }
+      });
+
+      // last_sync is the end of the latest sync that read any source;
+      // watermarks track each source, so failed ones are retried
+      if (Object.keys(watermarkUpdates).length > 0) {
+        await User.updateOne(
+          { _id: user._id },
+          { $set: { last_sync: until, ...watermarkUpdates } }
+        );
+      }
+
+      // Unavailable sources (e.g. the Partner API while it is disabled) are
+      // neither successes nor failures
+      const attempted = Object.keys(extracted.sources).length - unavailable.length;
+      if (attempted === 0) {
+        run.status = 'skipped';
+      } else if (failures.length === 0) {
+        run.status = 'success';
+      } else {
+        run.status = failures.length < attempted ? 'partial' : 'failed';
+      }
+      run.sources = extracted.sources;
+      run.events = {
+        received: extracted.events.length,
+        inserted: recorded.inserted,
+        duplicates: recorded.duplicates.length
+      };
+      run.rollup = rollup;
+      run.failures = failures;
+      run.unavailable = unavailable;
+    } catch (error) {
+      run.status = 'failed';
+      run.failures = [{ source: null, code: error.code || 'SYNC_FAILED', message: error.message }];
+    }
+
+    run.finished_at = new Date();
+    run.duration_ms = run.finished_at - startedAt;
+    await run.save();
+
+    return run;
+  }
+
+  /**
+   * Sync every user with usable LinkedIn tokens
+   *
+   * A user's tokens are usable while the access token is valid or can be
+   * refreshed. Users whose tokens are both expired are skipped and get
+   * `reauth_required_at` set until they log in again. A failing user does
+   * not stop the others; failures are listed in the report.
+   *
+   * @param {Object} options - Sync options
+   * @param {number} options.concurrency - Users synced at the same time (default: 4, max 20)
+   * @param {string} options.trigger - SyncRun trigger (default: 'scheduler')
+   * @param {Array<string>} options.sources - Source names to run (default: all pull sources)
+   * @param {boolean} options.full - Ignore watermarks and re-read all history
+   * @param {AbortSignal} options.signal - Stops starting new syncs when aborted
+   * @returns {Promise<Object>} { total, success, partial, failed, skipped, cancelled, events,
+   *   errors: [{ userId, error }], reauthRequired: [userIds] }
+   */
+  static async syncAllUsers(options = {}) {
+    const {
+      concurrency = 4,
+      trigger = 'scheduler',
+      sources = null,
+      full = false,
+      signal = null
+    } = options;
+
+    const results = {
+      total: 0,
+      success: 0,
+      partial: 0,
+      failed: 0,
+      skipped: 0,
+      cancelled: 0,
+      events: {
+        received: 0,
+        inserted: 0,
+        duplicates: 0
+      },
+      errors: [],
+      reauthRequired: []
+    };
+
+    // Raw documents: only whether a refresh token exists matters, so
+    // tokens are not decrypted (a token that fails to would stop the job)
+    const tokens = await OAuthToken.find({ provider: 'linkedin' })
+      .select('user_id expires_at refresh_expires_at +refresh_token')
+      .lean();
+
+    const now = new Date();
+    const userIds = [];
+    tokens.forEach(tokenDoc => {
+      try {
+        const accessValid = now < tokenDoc.expires_at;
+        const refreshable = Boolean(tokenDoc.refresh_token) &&
+          !(tokenDoc.refresh_expires_at && now >= tokenDoc.refresh_expires_at);
+        if (accessValid || refreshable) {
+          userIds.push(tokenDoc.user_id);
+        } else {
+          results.reauthRequired.push(tokenDoc.user_id);
+        }
+      } catch (err) {
+        results.failed++;
+        results.errors.push({
+          userId: tokenDoc.user_id,
+          error: err.message
+        });
+      }
+    });
+    results.total = userIds.length;
+
+    if (results.reauthRequired.length > 0) {
+      await User.updateMany(
+        { _id: { $in: results.reauthRequired }, reauth_required_at: null },
+        { $set: { reauth_required_at: new Date() } }
+      );
+    }
+
+    const limit = Math.min(Math.max(1, parseInt(concurrency, 10) || 1), MAX_SYNC_CONCURRENCY);
+    const started = await runPool(userIds, limit, async userId => {
+      try {
+        const report = await this.syncUser(userId, { trigger, sources, full });
+        results[report.status]++; // 'success', 'partial', 'failed' or 'skipped'
+        if (report.events) {
+          results.events.received += report.events.received || 0;
+          results.events.inserted += report.events.inserted || 0;
+          results.events.duplicates += report.events.duplicates || 0;
+        }
+        if (report.status === 'partial' || report.status === 'failed') {
+          results.errors.push({
+            userId,
+            error: report.failures.map(failure => failure.message).join('; ')
+          });
+        }
+      } catch (err) {
+        results.failed++;
+        results.errors.push({
+          userId,
+          error: err.message
+        });
+      }
+    }, signal);
+    results.cancelled = userIds.length - started;
+
+    return results;
+  }
+
+  /**
+   * Build the per-source `since` map from a user's watermarks
+   * @param {Object} user - User document
+   * @returns {Object} Map of source name to Date
+   */
+  static getSinceMap(user) {
+    const since = {};
+    if (user.sync_watermarks) {
+      user.sync_watermarks.forEach((watermark, name) => {
+        since[name] = new Date(watermark.getTime() - WATERMARK_OVERLAP_MS);
+      });
+    }
+    return since;
+  }
+
+  /**
+   * List a user's most recent sync reports
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of reports
+   * @returns {Promise<Array>} SyncRun documents, newest first
+   */
+  static async getRecentRuns(userId, limit = 20) {
+    return SyncRun.find({ user_id: userId })
+      .sort({ started_at: -1 })
+      .limit(limit);
+  }
+}
+
+module.exports = SyncService;
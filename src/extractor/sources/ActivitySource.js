@@ -0,0 +1,87 @@
+/**
+ * Activity Source Interface
+ *
+ * Base class for activity source plugins. A source knows how to obtain
+ * activity from one place (LinkedIn API, data export, browser extension, ...)
+ * and how to turn its raw records into ActivityEvent fields.
+ *
+ * Subclasses provide:
+ * - name          Unique source name, also stored as ActivityEvent.source
+ * - capabilities  { pull, push, eventTypes }
+ *                 pull: the extractor can fetch() from it on a schedule
+ *                 push: records are sent to us (uploads, extension ingestion)
+ * - fetch(since, until, context)  Pull sources only; returns raw records
+ * - normalize(raw, context)       Returns ActivityEvent fields for one raw record
+ */
+
+const { ActivityEvent } = require('../../../database/models');
+
+/**
+ * Error raised by sources. `code` follows the extractor's error codes
+ * (e.g. API_LIMITATION, INVALID_RECORD, NOT_SUPPORTED).
+ */
+class SourceError extends Error {
+  constructor(code, message, extra = {}) {
+    super(message);
+    this.name = 'SourceError';
+    this.code = code;
+    Object.assign(this, extra);
+  }
+}
+
+class ActivitySource {
+  constructor(name, capabilities = {}) {
+    this.name = name;
+    this.capabilities = {
+      pull: false,
+      push: false,
+      eventTypes: ActivityEvent.EVENT_TYPES,
+      ...capabilities
+    };
+  }
+
+  /**
+   * Fetch raw records created in [since, until)
+   * @param {Date|null} since - Lower bound (null = from the beginning)
+   * @param {Date} until - Upper bound
+   * @param {Object} context - { userId, getAccessToken(), request(fn), profile }
+   * @returns {Promise<Array>} Raw records for normalize()
+   */
+  async fetch() {
+    throw new SourceError('NOT_SUPPORTED', `Source "${this.name}" does not support fetching`);
+  }
+
+  /**
+   * Convert one raw record into ActivityEvent fields
+   * @param {*} raw - Raw record
+   * @param {Object} context - Source context
+   * @returns {Object} { type, source, source_id, occurred_at, url?, text?, metadata? }
+   */
+  normalize() {
+    throw new SourceError('NOT_SUPPORTED', `Source "${this.name}" does not implement normalize()`);
+  }
+
+  /**
+   * Validate normalized event fields, filling in the source name
+   * @param {Object} event - Candidate event
+   * @returns {Object} The event
+   * @throws {SourceError} INVALID_RECORD if a field is missing or malformed
+   */
+  validateEvent(event) {
+    if (!ActivityEvent.EVENT_TYPES.includes(event.type)) {
+      throw new SourceError('INVALID_RECORD', `type must be one of ${ActivityEvent.EVENT_TYPES.join(', ')}`);
+    }
+    if (typeof event.source_id !== 'string' || event.source_id.trim() === '') {
+      throw new SourceError('INVALID_RECORD', 'source_id is required');
+    }
+    if (!(event.occurred_at instanceof Date) || isNaN(event.occurred_at.getTime())) {
+      throw new SourceError('INVALID_RECORD', 'occurred_at must be a valid date');
+    }
+
+    return { ...event, source: this.name };
+  }
+}
+
+ActivitySource.SourceError = SourceError;
+
+module.exports = ActivitySource;
@@ -0,0 +1,65 @@
+/**
+ * Browser Extension Source
+ *
+ * Push source for events captured by the companion browser extension from
+ * the member's own LinkedIn session. Each record looks like:
+ *
+ *   {
+ *     id: 'urn:li:activity:7123456789',   // LinkedIn ID of the post/comment/reaction
+ *     type: 'post' | 'comment' | 'reaction',
+ *     occurred_at: '2024-10-01T09:30:00Z', // ISO 8601 string or epoch milliseconds
+ *     url: 'https://www.linkedin.com/feed/update/...',  // optional
+ *     text: '...',                          // optional
+ *     reaction: 'LIKE'                      // optional, reactions only
+ *   }
+ */
+
+const ActivitySource = require('./ActivitySource');
+
+const { SourceError } = ActivitySource;
+
+/**
+ * Longest text kept on an event (matches the ActivityEvent schema)
+ */
+const MAX_TEXT_LENGTH = 10000;
+
+class BrowserExtensionSource extends ActivitySource {
+  constructor() {
+    super('browser_extension', { pull: false, push: true });
+  }
+
+  /**
+   * Convert one extension record into an event
+   * @param {Object} raw - Extension record
+   * @returns {Object} Event fields
+   */
+  normalize(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new SourceError('INVALID_RECORD', 'Event must be an object');
+    }
+
+    const occurredAt = typeof raw.occurred_at === 'number' || typeof raw.occurred_at === 'string'
+      ? new Date(raw.occurred_at)
+      : null;
+
+    if (raw.url !== undefined && raw.url !== null && typeof raw.url !== 'string') {
+      throw new SourceError('INVALID_RECORD', 'url must be a string');
+    }
+    if (raw.text !== undefined && raw.text !== null && typeof raw.text !== 'string') {
+      throw new SourceError('INVALID_RECORD', 'text must be a string');
+    }
+
+    return this.validateEvent({
+      type: raw.type,
+      source_id: typeof raw.id === 'string' ? raw.id.trim() : raw.id,
+      occurred_at: occurredAt,
+      url: raw.url || undefined,
+      text: raw.text ? raw.text.slice(0, MAX_TEXT_LENGTH) : undefined,
+      metadata: raw.type === 'reaction' && typeof raw.reaction === 'string'
+        ? { kind: raw.reaction }
+        : undefined
+    });
+  }
+}
+
+module.exports = BrowserExtensionSource;
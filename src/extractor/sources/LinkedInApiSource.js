@@ -0,0 +1,152 @@
+/**
+ * LinkedIn API Source
+ *
+ * Pulls the member's own posts from the LinkedIn Posts API
+ * (GET /rest/posts?q=author). Reading posts requires the r_member_social
+ * permission, which LinkedIn only grants to Partner Program members, so the
+ * source is disabled unless LINKEDIN_PARTNER_API=true and otherwise reports
+ * API_LIMITATION (see docs/linkedin-api-research.md).
+ */
+
+const axios = require('axios');
+const config = require('../../../config/config');
+const ActivitySource = require('./ActivitySource');
+
+const { SourceError } = ActivitySource;
+
+/**
+ * Posts requested per page
+ */
+const PAGE_SIZE = 50;
+
+/**
+ * Safety cap on pages per fetch
+ */
+const MAX_PAGES = 20;
+
+class LinkedInApiSource extends ActivitySource {
+  constructor() {
+    super('linkedin_api', { pull: true, push: false, eventTypes: ['post'] });
+  }
+
+  /**
+   * Build the API_LIMITATION error returned while Partner access is missing
+   * @returns {SourceError}
+   */
+  _limitationError() {
+    return new SourceError('API_LIMITATION', 'LinkedIn activity feed access requires Partner Program approval', {
+      details: [
+        'Open permissions (profile, email, w_member_social) do not include activity history',
+        'Reading posts requires r_member_social (Partner Program)',
+        'Set LINKEDIN_PARTNER_API=true once access is granted'
+      ],
+      alternatives: [
+        'Manual data upload feature',
+        'Browser extension for user-authorized extraction',
+        'Apply for LinkedIn Partner Program'
+      ]
+    });
+  }
+
+  /**
+   * Fetch the member's posts created in [since, until)
+   * @param {Date|null} since - Lower bound
+   * @param {Date} until - Upper bound
+   * @param {Object} context - Source context
+   * @returns {Promise<Array>} Raw post objects
+   */
+  async fetch(since, until, context) {
+    if (!config.linkedin.partnerApiEnabled) {
+      throw this._limitationError();
+    }
+
+    const accessToken = await context.getAccessToken();
+    const memberId = context.profile?.id || await this._fetchMemberId(accessToken, context);
+    const posts = [];
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const data = await context.request(async () => {
+        try {
+          const response = await axios.get(config.linkedin.postsUrl, {
+            params: {
+              q: 'author',
+              author: `urn:li:person:${memberId}`,
+              count: PAGE_SIZE,
+              start: page * PAGE_SIZE,
+              sortBy: 'CREATED'
+            },
+            headers: {
+              'Authorization': `Bearer ${accessToken}`,
+              'LinkedIn-Version': config.linkedin.apiVersion,
+              'X-Restli-Protocol-Version': '2.0.0'
+            }
+          });
+          return response.data;
+        } catch (error) {
+          if (error.response && error.response.status === 403) {
+            throw this._limitationError();
+          }
+          throw error;
+        }
+      });
+
+      const elements = data.elements || [];
+      let reachedSince = false;
+
+      elements.forEach(post => {
+        const createdAt = new Date(post.publishedAt || post.createdAt);
+        if (since && createdAt < since) {
+          reachedSince = true;
+          return;
+        }
+        if (createdAt < until) {
+          posts.push(post);
+        }
+      });
+
+      // Results are newest first, so stop once we pass `since`
+      if (reachedSince || elements.length < PAGE_SIZE) {
+        break;
+      }
+    }
+
+    return posts;
+  }
+
+  /**
+   * Look up the member ID (userinfo `sub`) for the author URN
+   * @param {string} accessToken - Access token
+   * @param {Object} context - Source context
+   * @returns {Promise<string>} Member ID
+   */
+  async _fetchMemberId(accessToken, context) {
+    const userInfo = await context.request(async () => {
+      const response = await axios.get(config.linkedin.userInfoUrl, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'LinkedIn-Version': config.linkedin.apiVersion
+        }
+      });
+      return response.data;
+    });
+    return userInfo.sub;
+  }
+
+  /**
+   * Convert a Posts API element into an event
+   * @param {Object} post - Post element
+   * @returns {Object} Event fields
+   */
+  normalize(post) {
+    return this.validateEvent({
+      type: 'post',
+      source_id: post.id,
+      occurred_at: new Date(post.publishedAt || post.createdAt),
+      url: post.id ? `https://www.linkedin.com/feed/update/${post.id}/` : undefined,
+      text: typeof post.commentary === 'string' ? post.commentary : undefined,
+      metadata: post.visibility ? { visibility: post.visibility } : undefined
+    });
+  }
+}
+
+module.exports = LinkedInApiSource;
@@ -0,0 +1,92 @@
+/**
+ * Source Registry
+ *
+ * Holds the activity sources known to the extractor. Sources are registered
+ * by name; the extractor runs every registered pull source, and push
+ * endpoints (uploads, extension ingestion) look up their source by name to
+ * normalize incoming records.
+ */
+
+class SourceRegistry {
+  constructor() {
+    this.sources = new Map();
+  }
+
+  /**
+   * Register a source
+   * @param {ActivitySource} source - Source instance
+   * @param {Object} options - { replace: true } to overwrite an existing source
+   * @returns {ActivitySource} The registered source
+   */
+  register(source, options = {}) {
+    // Names are used as keys of User.sync_watermarks, so no dots or `$`
+    if (!source || typeof source.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(source.name)) {
+      throw new Error('Source name must be a non-empty string of letters, digits, "_" or "-"');
+    }
+    if (typeof source.fetch !== 'function' || typeof source.normalize !== 'function') {
+      throw new Error(`Source "${source.name}" must implement fetch() and normalize()`);
+    }
+    if (!source.capabilities || typeof source.capabilities !== 'object') {
+      throw new Error(`Source "${source.name}" must declare capabilities`);
+    }
+    if (this.sources.has(source.name) && !options.replace) {
+      throw new Error(`Source "${source.name}" is already registered`);
+    }
+
+    this.sources.set(source.name, source);
+    return source;
+  }
+
+  /**
+   * Remove a source
+   * @param {string} name - Source name
+   * @returns {boolean} True if a source was removed
+   */
+  unregister(name) {
+    return this.sources.delete(name);
+  }
+
+  /**
+   * Get a source by name
+   * @param {string} name - Source name
+   * @returns {ActivitySource|null} Source or null if not registered
+   */
+  get(name) {
+    return this.sources.get(name) || null;
+  }
+
+  /**
+   * Check whether a source is registered
+   * @param {string} name - Source name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.sources.has(name);
+  }
+
+  /**
+   * List registered sources
+   * @param {Object} filter - Optional { capability: 'pull' | 'push' }
+   * @returns {Array<ActivitySource>} Matching sources in registration order
+   */
+  list(filter = {}) {
+    const sources = Array.from(this.sources.values());
+    if (!filter.capability) {
+      return sources;
+    }
+    return sources.filter(source => source.capabilities[filter.capability]);
+  }
+
+  /**
+   * Describe registered sources (for status endpoints and logs)
+   * @returns {Array<Object>} { name, capabilities }
+   */
+  describe() {
+    return this.list().map(source => ({
+      name: source.name,
+      capabilities: source.capabilities
+    }));
+  }
+}
+
+module.exports = SourceRegistry;
@@ -0,0 +1,31 @@
+/**
+ * Activity Sources
+ * Central export point for the source interface, registry and built-in sources.
+ *
+ * `registry` is the default registry used by the extractor, pre-populated
+ * with the built-in sources. Register additional sources on it at startup:
+ *
+ *   const { registry } = require('./extractor/sources');
+ *   registry.register(new MySource());
+ */
+
+const ActivitySource = require('./ActivitySource');
+const SourceRegistry = require('./SourceRegistry');
+const LinkedInApiSource = require('./LinkedInApiSource');
+const LinkedInArchiveSource = require('./LinkedInArchiveSource');
+const BrowserExtensionSource = require('./BrowserExtensionSource');
+
+const registry = new SourceRegistry();
+registry.register(new LinkedInApiSource());
+registry.register(new LinkedInArchiveSource());
+registry.register(new BrowserExtensionSource());
+
+module.exports = {
+  registry,
+  SourceRegistry,
+  ActivitySource,
+  SourceError: ActivitySource.SourceError,
+  LinkedInApiSource,
+  LinkedInArchiveSource,
+  BrowserExtensionSource
+};
@@ -0,0 +1,227 @@
+/**
+ * LinkedIn Archive Importer
+ *
+ * Imports the ZIP produced by LinkedIn's "Get a copy of your data" export
+ * (Settings > Data privacy). This is the "manual data upload" workaround
+ * described in docs/linkedin-api-research.md for the Partner Program
+ * restriction on activity APIs.
+ *
+ * Recognized files (matched by name anywhere in the archive):
+ * - Shares.csv    -> post events
+ * - Comments.csv  -> comment events
+ * - Reactions.csv -> reaction events
+ *
+ * Rows are normalized by the registered `linkedin_archive` source
+ * (src/extractor/sources/LinkedInArchiveSource.js), recorded as
+ * ActivityEvent documents, and the affected days are then rolled up into
+ * the Activity collection.
+ */
+
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const config = require('../../config/config');
+const { parseCsv } = require('./csvParser');
+const { registry } = require('../extractor/sources');
+const EventStore = require('../storage/EventStore');
+const ActivityStore = require('../storage/ActivityStore');
+
+/**
+ * Error raised for archives that cannot be imported
+ */
+class ArchiveImportError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ArchiveImportError';
+    this.code = code;
+  }
+}
+
+/**
+ * ZIP compression methods
+ */
+const STORED = 0;
+const DEFLATED = 8;
+
+class LinkedInArchiveImporter {
+  /**
+   * The registered archive source that normalizes CSV rows
+   * @returns {LinkedInArchiveSource}
+   */
+  static get source() {
+    return registry.get('linkedin_archive');
+  }
+
+  /**
+   * Read the recognized CSV files out of an archive buffer
+   *
+   * Files are checked against the configured size limits before they are
+   * decompressed, using the uncompressed sizes from the ZIP headers, and
+   * again while they are (see readEntry), since headers can lie. A small
+   * archive cannot expand into gigabytes.
+   *
+   * @param {Buffer} buffer - ZIP file contents
+   * @returns {Object} Map of lower-cased file name to CSV text
+   */
+  static readArchive(buffer) {
+    let zip;
+    try {
+      zip = new AdmZip(buffer);
+    } catch (error) {
+      throw new ArchiveImportError('invalid_archive', `Could not read ZIP archive: ${error.message}`);
+    }
+
+    const knownFiles = this.source.files;
+    const { maxFileBytes, maxTotalBytes } = config.archiveImport;
+    const entries = zip.getEntries().filter(entry => {
+      return !entry.isDirectory && knownFiles[entry.entryName.split('/').pop().toLowerCase()];
+    });
+
+    let totalBytes = 0;
+    entries.forEach(entry => {
+      const size = entry.header.size;
+      totalBytes += size;
+      if (size > maxFileBytes) {
+        throw new ArchiveImportError(
+          'archive_too_large',
+          `${entry.entryName} is ${size} bytes uncompressed; the limit is ${maxFileBytes}`
+        );
+      }
+      if (totalBytes > maxTotalBytes) {
+        throw new ArchiveImportError(
+          'archive_too_large',
+          `Activity files exceed ${maxTotalBytes} bytes uncompressed`
+        );
+      }
+    });
+
+    const files = {};
+    totalBytes = 0;
+    entries.forEach(entry => {
+      const data = this.readEntry(entry, maxFileBytes);
+      totalBytes += data.length;
+      if (totalBytes > maxTotalBytes) {
+        throw new ArchiveImportError(
+          'archive_too_large',
+          `Activity files exceed ${maxTotalBytes} bytes uncompressed`
+        );
+      }
+      files[entry.entryName.split('/').pop().toLowerCase()] = data.toString('utf8');
+    });
+
+    if (Object.keys(files).length === 0) {
+      throw new ArchiveImportError(
+        'no_activity_files',
+        `Archive contains none of: ${Object.keys(knownFiles).join(', ')}`
+      );
+    }
+
+    return files;
+  }
+
+  /**
+   * Decompress an archive entry, stopping at `maxBytes`
+   *
+   * adm-zip bounds inflation by the size the entry's header claims, and
+   * not at all when the header claims 0 bytes, so entries are inflated
+   * here instead, and must come out at the size their header claims.
+   *
+   * @param {Object} entry - adm-zip entry
+   * @param {number} maxBytes - Largest uncompressed size allowed
+   * @returns {Buffer} Uncompressed contents
+   */
+  static readEntry(entry, maxBytes) {
+    const { method, size } = entry.header;
+    let data;
+
+    if (method === STORED) {
+      data = entry.getCompressedData();
+    } else if (method === DEFLATED) {
+      try {
+        data = zlib.inflateRawSync(entry.getCompressedData(), { maxOutputLength: maxBytes });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new ArchiveImportError(
+            'archive_too_large',
+            `${entry.entryName} is over ${maxBytes} bytes uncompressed`
+          );
+        }
+        throw new ArchiveImportError('invalid_archive', `Could not decompress ${entry.entryName}: ${error.message}`);
+      }
+    } else {
+      throw new ArchiveImportError('invalid_archive', `${entry.entryName} uses unsupported compression method ${method}`);
+    }
+
+    if (data.length > maxBytes) {
+      throw new ArchiveImportError(
+        'archive_too_large',
+        `${entry.entryName} is ${data.length} bytes uncompressed; the limit is ${maxBytes}`
+      );
+    }
+    if (data.length !== size) {
+      throw new ArchiveImportError(
+        'invalid_archive',
+        `${entry.entryName} is ${data.length} bytes uncompressed but its header says ${size}`
+      );
+    }
+
+    return data;
+  }
+
+  /**
+   * Parse an archive into activity events
+   * @param {Buffer} buffer - ZIP file contents
+   * @returns {Object} { events, files, skipped } where skipped lists unreadable rows
+   */
+  static parseArchive(buffer) {
+    const files = this.readArchive(buffer);
+    const events = [];
+    const skipped = [];
+    const fileSummary = {};
+
+    Object.entries(files).forEach(([fileName, text]) => {
+      const { records } = parseCsv(text, { requiredHeader: 'Date' });
+      let parsed = 0;
+
+      records.forEach(record => {
+        try {
+          events.push(this.source.normalize({ file: fileName, record }));
+          parsed++;
+        } catch (error) {
+          skipped.push({ file: fileName, row: record.row, reason: error.message });
+        }
+      });
+
+      fileSummary[fileName] = { rows: records.length, parsed };
+    });
+
+    return { events, files: fileSummary, skipped };
+  }
+
+  /**
+   * Import an archive for a user
+   * @param {string} userId - User ID
+   * @param {Buffer} buffer - ZIP file contents
+   * @returns {Promise<Object>} Import summary
+   */
+  static async importArchive(userId, buffer) {
+    const { events, files, skipped } = this.parseArchive(buffer);
+    const recorded = await EventStore.recordEvents(userId, events);
+
+    const rollup = recorded.range
+      ? await ActivityStore.rollupFromEvents(userId, recorded.range)
+      : null;
+
+    return {
+      files,
+      events: events.length,
+      inserted: recorded.inserted,
+      duplicates: recorded.duplicates.length,
+      skipped,
+      rollup
+    };
+  }
+}
+
+LinkedInArchiveImporter.ArchiveImportError = ArchiveImportError;
+
+module.exports = LinkedInArchiveImporter;
@@ -0,0 +1,116 @@
+/**
+ * CSV Parser
+ *
+ * Minimal RFC 4180 parser used by the importers. Handles quoted fields,
+ * escaped quotes ("") and line breaks inside quoted fields, which LinkedIn
+ * uses for multi-line comment and post text.
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * @param {string} text - Raw CSV content
+ * @returns {Array<Array<string>>} Parsed rows (blank lines are skipped)
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 byte order mark written by some exporters
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      field = '';
+      if (row.length > 1 || row[0] !== '') {
+        rows.push(row);
+      }
+      row = [];
+    } else {
+      field += char;
+    }
+  }
+
+  // Flush the last row if the file does not end with a newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV text into objects keyed by header name
+ *
+ * Some exports prepend free-text notes before the real header row. When
+ * `requiredHeader` is given, rows are skipped until one contains that column.
+ *
+ * @param {string} text - Raw CSV content
+ * @param {Object} options - Parse options
+ * @param {string} options.requiredHeader - Column that identifies the header row
+ * @returns {Object} { headers, records } where each record has a 1-based `row` number
+ */
+function parseCsv(text, options = {}) {
+  const { requiredHeader = null } = options;
+  const rows = parseRows(text);
+
+  let headerIndex = 0;
+  if (requiredHeader) {
+    const wanted = requiredHeader.toLowerCase();
+    headerIndex = rows.findIndex(row =>
+      row.some(cell => cell.trim().toLowerCase() === wanted)
+    );
+    if (headerIndex === -1) {
+      return { headers: [], records: [] };
+    }
+  }
+
+  if (rows.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[headerIndex].map(header => header.trim());
+  const records = rows.slice(headerIndex + 1).map((row, index) => {
+    const record = { row: headerIndex + index + 2 };
+    headers.forEach((header, column) => {
+      record[header] = row[column] !== undefined ? row[column] : '';
+    });
+    return record;
+  });
+
+  return { headers, records };
+}
+
+module.exports = {
+  parseRows,
+  parseCsv
+};
@@ -1,8 +1,12 @@
 /**
  * Integration Example: Using CronScheduler with Express Server
  * 
- * This example shows how to integrate the CronScheduler with the existing
- * Express server to schedule automated LinkedIn data extraction.
+ * This example shows how to integrate the CronScheduler with an Express
+ * server using an in-memory job. The main server (src/server.js) already
+ * starts the persisted scheduler jobs and serves admin-only routes to
+ * manage them under /api/scheduler; see src/scheduler/README.md.
+ *
+ * The routes below have no authentication: run this example locally only.
  */
 
 const express = require('express');
@@ -0,0 +1,652 @@
+/**
+ * Mock LinkedIn Server
+ *
+ * A local stand-in for LinkedIn's OAuth and REST endpoints, so login,
+ * token refresh, revocation and sync can be exercised offline:
+ *
+ * - GET  /oauth/v2/authorization    Consent page (or auto-approve) issuing codes, PKCE aware
+ * - POST /oauth/v2/accessToken      authorization_code and refresh_token grants
+ * - POST /oauth/v2/revoke           Token revocation
+ * - POST /oauth/v2/introspectToken  Token introspection
+ * - GET  /v2/userinfo               OpenID Connect userinfo (needs the openid scope)
+ * - GET  /rest/posts?q=author       The member's posts, newest first, paged
+ *
+ * Faults (401, 429, 5xx, ...) can be injected per path, and tokens can be
+ * expired on demand, through options or the control API under /__mock.
+ * All state lives in memory.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const { DEFAULT_MEMBERS, buildPosts, toUserInfo } = require('./members');
+
+/**
+ * Lifetime of authorization codes
+ */
+const CODE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Default token lifetimes; access tokens are short so refreshes happen
+ */
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Raw value
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Generate a random token
+ * @param {string} prefix - Token prefix
+ * @returns {string} Token
+ */
+function randomToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Compute a PKCE S256 code challenge
+ * @param {string} verifier - Code verifier
+ * @returns {string} Challenge
+ */
+function s256(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+class MockLinkedInServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Array<Object>} options.members - Fake members (default: DEFAULT_MEMBERS)
+   * @param {string} options.clientId - Required client ID (default: accept any)
+   * @param {string} options.clientSecret - Required client secret (default: accept any)
+   * @param {Array<string>} options.redirectUris - Allowed redirect URIs (default: any)
+   * @param {number} options.accessTokenTtlSeconds - Access token lifetime (default: 1 hour)
+   * @param {number} options.refreshTokenTtlSeconds - Refresh token lifetime (default: 365 days)
+   * @param {string} options.autoApprove - Member `sub` approved without showing the consent page
+   * @param {Array<Object>} options.faults - Faults to inject (see addFault)
+   */
+  constructor(options = {}) {
+    this.clientId = options.clientId || null;
+    this.clientSecret = options.clientSecret || null;
+    this.redirectUris = options.redirectUris || [];
+    this.accessTokenTtlSeconds = options.accessTokenTtlSeconds || DEFAULT_ACCESS_TOKEN_TTL_SECONDS;
+    this.refreshTokenTtlSeconds = options.refreshTokenTtlSeconds || DEFAULT_REFRESH_TOKEN_TTL_SECONDS;
+    this.autoApprove = options.autoApprove || null;
+
+    this.members = new Map();
+    this.faults = [];
+    this.codes = new Map();
+    this.accessTokens = new Map();
+    this.refreshTokens = new Map();
+    this.server = null;
+
+    (options.members || DEFAULT_MEMBERS).forEach(member => this.addMember(member));
+    (options.faults || []).forEach(fault => this.addFault(fault));
+
+    this.app = this.createApp();
+  }
+
+  /**
+   * Add or replace a member
+   * @param {Object} member - Member definition (see members.js)
+   * @returns {Object} Stored member with generated posts
+   */
+  addMember(member) {
+    if (!member || typeof member.sub !== 'string' || !member.sub) {
+      throw new Error('Mock member needs a sub');
+    }
+    const stored = { ...member, posts: buildPosts(member) };
+    this.members.set(member.sub, stored);
+    return stored;
+  }
+
+  /**
+   * Inject a fault
+   *
+   * Matching requests get `status` instead of the normal response, `times`
+   * times (null: until cleared).
+   *
+   * @param {Object} fault - { path, status, method?, times? = 1, retryAfter? }
+   * @returns {Object} Stored fault
+   */
+  addFault(fault) {
+    const status = Number(fault && fault.status);
+    if (!fault || typeof fault.path !== 'string' || !Number.isInteger(status) || status < 400 || status > 599) {
+      throw new Error('Mock fault needs a path and an error status (400-599)');
+    }
+    const stored = {
+      path: fault.path,
+      method: fault.method ? fault.method.toUpperCase() : null,
+      status,
+      times: fault.times === undefined ? 1 : fault.times,
+      retryAfter: fault.retryAfter || 1
+    };
+    this.faults.push(stored);
+    return stored;
+  }
+
+  /**
+   * Expire access tokens so the next API call needs a refresh
+   * @param {string} sub - Only this member's tokens (default: all)
+   * @returns {number} Number of expired tokens
+   */
+  expireAccessTokens(sub = null) {
+    let count = 0;
+    this.accessTokens.forEach(token => {
+      if (!sub || token.sub === sub) {
+        token.expiresAt = Date.now() - 1000;
+        count++;
+      }
+    });
+    return count;
+  }
+
+  /**
+   * Forget codes, tokens and faults
+   */
+  reset() {
+    this.codes.clear();
+    this.accessTokens.clear();
+    this.refreshTokens.clear();
+    this.faults = [];
+  }
+
+  /**
+   * Issue an access token (and a refresh token unless one is passed)
+   * @param {string} sub - Member
+   * @param {string} scope - Granted scopes, space-separated
+   * @param {Object} refresh - Existing refresh token record to keep
+   * @returns {Object} Token endpoint response
+   */
+  issueTokens(sub, scope, refresh = null) {
+    const now = Date.now();
+    const accessToken = randomToken('mock_at');
+    this.accessTokens.set(accessToken, {
+      sub,
+      scope,
+      expiresAt: now + this.accessTokenTtlSeconds * 1000
+    });
+
+    let refreshRecord = refresh;
+    if (!refreshRecord) {
+      refreshRecord = {
+        token: randomToken('mock_rt'),
+        sub,
+        scope,
+        expiresAt: now + this.refreshTokenTtlSeconds * 1000
+      };
+      this.refreshTokens.set(refreshRecord.token, refreshRecord);
+    }
+
+    return {
+      access_token: accessToken,
+      expires_in: this.accessTokenTtlSeconds,
+      refresh_token: refreshRecord.token,
+      refresh_token_expires_in: Math.max(0, Math.floor((refreshRecord.expiresAt - now) / 1000)),
+      scope,
+      token_type: 'Bearer'
+    };
+  }
+
+  /**
+   * Check client credentials of a token endpoint request
+   * @param {Object} body - Form body
+   * @returns {boolean} True if accepted
+   */
+  isClientValid(body) {
+    if (!body.client_id || !body.client_secret) {
+      return false;
+    }
+    return (!this.clientId || body.client_id === this.clientId) &&
+      (!this.clientSecret || body.client_secret === this.clientSecret);
+  }
+
+  /**
+   * Build the Express app
+   * @returns {Object} Express app
+   */
+  createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    app.use((req, res, next) => this.injectFaults(req, res, next));
+
+    app.get('/oauth/v2/authorization', (req, res) => this.authorize(req, res));
+    app.post('/oauth/v2/accessToken', (req, res) => this.token(req, res));
+    app.post('/oauth/v2/revoke', (req, res) => this.revoke(req, res));
+    app.post('/oauth/v2/introspectToken', (req, res) => this.introspect(req, res));
+    app.get('/v2/userinfo', (req, res, next) => this.authenticate(req, res, next), (req, res) => this.userInfo(req, res));
+    app.get('/rest/posts', (req, res, next) => this.authenticate(req, res, next), (req, res) => this.posts(req, res));
+
+    this.mountControlApi(app);
+
+    app.use((req, res) => {
+      res.status(404).json({ status: 404, message: `Mock LinkedIn has no route ${req.method} ${req.path}` });
+    });
+
+    return app;
+  }
+
+  /**
+   * Answer with an injected fault if one matches the request
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Next middleware
+   */
+  injectFaults(req, res, next) {
+    if (req.path.startsWith('/__mock')) {
+      return next();
+    }
+
+    const fault = this.faults.find(candidate =>
+      (candidate.path === req.path || candidate.path === '*') &&
+      (!candidate.method || candidate.method === req.method));
+    if (!fault) {
+      return next();
+    }
+
+    if (fault.times !== null) {
+      fault.times -= 1;
+      if (fault.times <= 0) {
+        this.faults.splice(this.faults.indexOf(fault), 1);
+      }
+    }
+
+    if (fault.status === 401) {
+      return res.status(401).json({
+        serviceErrorCode: 65600,
+        code: 'INVALID_ACCESS_TOKEN',
+        message: 'Invalid access token',
+        status: 401
+      });
+    }
+    if (fault.status === 429) {
+      res.set('Retry-After', String(fault.retryAfter));
+    }
+    res.status(fault.status).json({
+      status: fault.status,
+      message: http.STATUS_CODES[fault.status] || 'Error'
+    });
+  }
+
+  /**
+   * Authorization endpoint: consent page, or redirect with a code
+   *
+   * `mock_member=<sub>` approves as that member and `mock_deny=1` cancels,
+   * like the buttons of the consent page.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  authorize(req, res) {
+    const {
+      response_type: responseType,
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      state,
+      scope = '',
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod,
+      mock_member: memberSub,
+      mock_deny: deny
+    } = req.query;
+
+    let redirect;
+    try {
+      redirect = new URL(redirectUri);
+    } catch {
+      return res.status(400).send('<h1>Mock LinkedIn</h1><p>Invalid redirect_uri</p>');
+    }
+    if (responseType !== 'code' || !clientId || (this.clientId && clientId !== this.clientId)) {
+      return res.status(400).send('<h1>Mock LinkedIn</h1><p>Invalid response_type or client_id</p>');
+    }
+    if (this.redirectUris.length > 0 && !this.redirectUris.includes(redirectUri)) {
+      return res.status(400).send('<h1>Mock LinkedIn</h1><p>redirect_uri does not match the application</p>');
+    }
+    if (codeChallenge && !['S256', 'plain'].includes(codeChallengeMethod || 'plain')) {
+      return res.status(400).send('<h1>Mock LinkedIn</h1><p>Unsupported code_challenge_method</p>');
+    }
+
+    if (state !== undefined) {
+      redirect.searchParams.set('state', state);
+    }
+
+    if (deny) {
+      redirect.searchParams.set('error', 'user_cancelled_authorize');
+      redirect.searchParams.set('error_description', 'The user cancelled the authorization');
+      return res.redirect(redirect.toString());
+    }
+
+    const sub = memberSub || this.autoApprove;
+    if (!sub) {
+      return res.send(this.renderConsentPage(req));
+    }
+    if (!this.members.has(sub)) {
+      return res.status(400).send(`<h1>Mock LinkedIn</h1><p>Unknown member ${escapeHtml(sub)}</p>`);
+    }
+
+    const code = randomToken('mock_code');
+    this.codes.set(code, {
+      sub,
+      clientId,
+      redirectUri,
+      scope: String(scope).split(/[\s,]+/).filter(Boolean).join(' '),
+      codeChallenge: codeChallenge || null,
+      codeChallengeMethod: codeChallenge ? codeChallengeMethod || 'plain' : null,
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+  }
+
+  /**
+   * Render the member picker shown instead of LinkedIn's consent screen
+   * @param {Object} req - Authorization request
+   * @returns {string} HTML page
+   */
+  renderConsentPage(req) {
+    const linkFor = params => {
+      const url = new URL(req.originalUrl, 'http://mock.invalid');
+      Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+      return escapeHtml(`${url.pathname}${url.search}`);
+    };
+
+    const members = Array.from(this.members.values()).map(member => {
+      const { name, email } = toUserInfo(member);
+      return `<li><a href="${linkFor({ mock_member: member.sub })}">Sign in as ${escapeHtml(name)}</a> ` +
+        `(${escapeHtml(member.sub)}${email ? `, ${escapeHtml(email)}` : ''}, ${member.posts.length} posts)</li>`;
+    });
+
+    return [
+      '<!DOCTYPE html>',
+      '<html><head><title>Mock LinkedIn</title></head><body>',
+      '<h1>Mock LinkedIn</h1>',
+      `<p>${escapeHtml(req.query.client_id)} requests: ${escapeHtml(req.query.scope || '(no scopes)')}</p>`,
+      `<ul>${members.join('')}</ul>`,
+      `<p><a href="${linkFor({ mock_deny: '1' })}">Cancel</a></p>`,
+      '</body></html>'
+    ].join('\n');
+  }
+
+  /**
+   * Token endpoint: authorization_code and refresh_token grants
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  token(req, res) {
+    const body = req.body || {};
+    const invalidGrant = description => res.status(400).json({ error: 'invalid_grant', error_description: description });
+
+    if (!this.isClientValid(body)) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Client authentication failed' });
+    }
+
+    if (body.grant_type === 'authorization_code') {
+      const record = this.codes.get(body.code);
+      this.codes.delete(body.code);
+
+      if (!record || record.expiresAt < Date.now() || record.clientId !== body.client_id) {
+        return invalidGrant('The authorization code is invalid or expired');
+      }
+      if (record.redirectUri !== body.redirect_uri) {
+        return invalidGrant('redirect_uri does not match the authorization request');
+      }
+      if (record.codeChallenge) {
+        const verifier = body.code_verifier || '';
+        const challenge = record.codeChallengeMethod === 'S256' ? s256(verifier) : verifier;
+        if (!verifier || challenge !== record.codeChallenge) {
+          return invalidGrant('code_verifier does not match the code challenge');
+        }
+      }
+
+      return res.json(this.issueTokens(record.sub, record.scope));
+    }
+
+    if (body.grant_type === 'refresh_token') {
+      const record = this.refreshTokens.get(body.refresh_token);
+      if (!record || record.expiresAt < Date.now()) {
+        return invalidGrant('The refresh token is invalid or expired');
+      }
+      // Like LinkedIn, the refresh token is kept with its remaining lifetime
+      return res.json(this.issueTokens(record.sub, record.scope, record));
+    }
+
+    res.status(400).json({ error: 'unsupported_grant_type', error_description: `Unsupported grant_type: ${body.grant_type}` });
+  }
+
+  /**
+   * Revocation endpoint; unknown tokens are accepted (RFC 7009)
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  revoke(req, res) {
+    const body = req.body || {};
+    if (!this.isClientValid(body)) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Client authentication failed' });
+    }
+    if (!body.token) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'token is required' });
+    }
+
+    this.accessTokens.delete(body.token);
+    this.refreshTokens.delete(body.token);
+    res.status(200).end();
+  }
+
+  /**
+   * Introspection endpoint
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  introspect(req, res) {
+    const body = req.body || {};
+    if (!this.isClientValid(body)) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Client authentication failed' });
+    }
+
+    const record = this.accessTokens.get(body.token) || this.refreshTokens.get(body.token);
+    if (!record) {
+      return res.json({ active: false, status: 'revoked' });
+    }
+
+    const active = record.expiresAt > Date.now();
+    res.json({
+      active,
+      status: active ? 'active' : 'expired',
+      client_id: body.client_id,
+      scope: record.scope,
+      expires_at: Math.floor(record.expiresAt / 1000)
+    });
+  }
+
+  /**
+   * Check the Bearer token of an API request; attaches req.mockToken
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Next middleware
+   */
+  authenticate(req, res, next) {
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+    const record = match && this.accessTokens.get(match[1].trim());
+
+    if (!record) {
+      return res.status(401).json({
+        serviceErrorCode: 65600,
+        code: 'INVALID_ACCESS_TOKEN',
+        message: 'Invalid access token',
+        status: 401
+      });
+    }
+    if (record.expiresAt < Date.now()) {
+      return res.status(401).json({
+        serviceErrorCode: 65601,
+        code: 'EXPIRED_ACCESS_TOKEN',
+        message: 'The token used in the request has expired',
+        status: 401
+      });
+    }
+
+    req.mockToken = record;
+    next();
+  }
+
+  /**
+   * OpenID Connect userinfo; fields depend on the granted scopes
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  userInfo(req, res) {
+    const scopes = req.mockToken.scope.split(' ');
+    if (!scopes.includes('openid')) {
+      return res.status(403).json({ status: 403, message: 'The token does not include the openid scope' });
+    }
+
+    const member = this.members.get(req.mockToken.sub);
+    if (!member) {
+      return res.status(404).json({ status: 404, message: 'Member not found' });
+    }
+
+    const { sub, name, given_name: givenName, family_name: familyName, picture, locale, email, email_verified: emailVerified } = toUserInfo(member);
+    const userInfo = { sub };
+    if (scopes.includes('profile')) {
+      Object.assign(userInfo, { name, given_name: givenName, family_name: familyName, locale });
+      if (picture) {
+        userInfo.picture = picture;
+      }
+    }
+    if (scopes.includes('email') && email) {
+      Object.assign(userInfo, { email, email_verified: emailVerified });
+    }
+
+    res.json(userInfo);
+  }
+
+  /**
+   * Posts finder (q=author); only the token's own member may be read
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  posts(req, res) {
+    const { q, author } = req.query;
+    const start = Math.max(0, parseInt(req.query.start, 10) || 0);
+    const count = Math.min(100, Math.max(1, parseInt(req.query.count, 10) || 10));
+
+    if (q !== 'author' || !author) {
+      return res.status(400).json({ status: 400, message: 'Only the author finder (q=author&author=urn:li:person:...) is supported' });
+    }
+    if (author !== `urn:li:person:${req.mockToken.sub}`) {
+      return res.status(403).json({ status: 403, message: `Not enough permissions to access posts of ${author}` });
+    }
+
+    const posts = this.members.get(req.mockToken.sub)?.posts || [];
+    res.json({
+      elements: posts.slice(start, start + count),
+      paging: { start, count, total: posts.length }
+    });
+  }
+
+  /**
+   * Control API for tests and manual experiments
+   * @param {Object} app - Express app
+   */
+  mountControlApi(app) {
+    app.get('/__mock/state', (req, res) => {
+      res.json({
+        members: Array.from(this.members.values()).map(member => ({
+          ...toUserInfo(member),
+          posts: member.posts.length
+        })),
+        faults: this.faults,
+        codes: this.codes.size,
+        access_tokens: this.accessTokens.size,
+        refresh_tokens: this.refreshTokens.size
+      });
+    });
+
+    app.post('/__mock/members', (req, res) => {
+      try {
+        const member = this.addMember(req.body);
+        res.status(201).json({ sub: member.sub, posts: member.posts.length });
+      } catch (error) {
+        res.status(400).json({ error: 'invalid_member', message: error.message });
+      }
+    });
+
+    app.post('/__mock/faults', (req, res) => {
+      try {
+        res.status(201).json(this.addFault(req.body || {}));
+      } catch (error) {
+        res.status(400).json({ error: 'invalid_fault', message: error.message });
+      }
+    });
+
+    app.delete('/__mock/faults', (req, res) => {
+      this.faults = [];
+      res.json({ success: true });
+    });
+
+    app.post('/__mock/expire-tokens', (req, res) => {
+      res.json({ expired: this.expireAccessTokens((req.body && req.body.sub) || null) });
+    });
+
+    app.post('/__mock/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true });
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free one)
+   * @param {string} host - Interface (default: 127.0.0.1)
+   * @returns {Promise<string>} Base URL
+   */
+  start(port = 4010, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer(this.app);
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        this.server = server;
+        resolve(`http://${host}:${server.address().port}`);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve, reject) => {
+      if (!this.server) {
+        return resolve();
+      }
+      this.server.close(error => (error ? reject(error) : resolve()));
+      this.server = null;
+    });
+  }
+}
+
+MockLinkedInServer.DEFAULT_MEMBERS = DEFAULT_MEMBERS;
+
+module.exports = MockLinkedInServer;
@@ -0,0 +1,133 @@
+/**
+ * Mock LinkedIn Members
+ *
+ * Fake members served by the mock LinkedIn server. Each member has the
+ * fields of LinkedIn's OpenID Connect userinfo response plus posts, either
+ * listed explicitly or generated from `post_count` and `post_days`.
+ *
+ * Posts are generated deterministically from the member id, so the same
+ * member has the same posts (relative to today) on every start.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Members available when no members file is configured
+ */
+const DEFAULT_MEMBERS = [
+  {
+    sub: 'mock-ada',
+    given_name: 'Ada',
+    family_name: 'Lovelace',
+    email: 'ada@example.com',
+    email_verified: true,
+    locale: { country: 'GB', language: 'en' },
+    picture: 'https://static.example.com/avatars/ada.png',
+    post_count: 60,
+    post_days: 365
+  },
+  {
+    sub: 'mock-grace',
+    given_name: 'Grace',
+    family_name: 'Hopper',
+    email: 'grace@example.com',
+    email_verified: false,
+    locale: { country: 'US', language: 'en' },
+    picture: null,
+    post_count: 15,
+    post_days: 90
+  },
+  {
+    sub: 'mock-linus',
+    given_name: 'Linus',
+    family_name: 'Quiet',
+    email: null,
+    email_verified: false,
+    locale: 'de_DE',
+    picture: null,
+    post_count: 0,
+    post_days: 0
+  }
+];
+
+/**
+ * Small deterministic pseudo-random generator (mulberry32)
+ * @param {string} seed - Seed text
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = 0;
+  for (const char of seed) {
+    state = (Math.imul(state, 31) + char.charCodeAt(0)) | 0;
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build the posts of a member as Posts API elements, newest first
+ * @param {Object} member - Member definition
+ * @param {Date} now - Reference time for generated posts
+ * @returns {Array<Object>} Post elements
+ */
+function buildPosts(member, now = new Date()) {
+  const author = `urn:li:person:${member.sub}`;
+  const random = createRandom(member.sub);
+
+  const posts = Array.isArray(member.posts)
+    ? member.posts.map((post, index) => ({
+      id: post.id || `urn:li:share:${member.sub}-${index + 1}`,
+      publishedAt: new Date(post.published_at).getTime(),
+      commentary: post.text || ''
+    }))
+    : Array.from({ length: member.post_count || 0 }, (_, index) => ({
+      id: `urn:li:share:${member.sub}-${index + 1}`,
+      publishedAt: now.getTime() - Math.floor(random() * (member.post_days || 1) * DAY_MS),
+      commentary: `Mock post ${index + 1} by ${member.given_name || member.sub}`
+    }));
+
+  return posts
+    .map(post => ({
+      ...post,
+      author,
+      createdAt: post.publishedAt,
+      lastModifiedAt: post.publishedAt,
+      visibility: 'PUBLIC',
+      lifecycleState: 'PUBLISHED'
+    }))
+    .sort((a, b) => b.publishedAt - a.publishedAt);
+}
+
+/**
+ * Build the userinfo response of a member
+ * @param {Object} member - Member definition
+ * @returns {Object} OpenID Connect userinfo
+ */
+function toUserInfo(member) {
+  const userInfo = {
+    sub: member.sub,
+    name: member.name || [member.given_name, member.family_name].filter(Boolean).join(' '),
+    given_name: member.given_name,
+    family_name: member.family_name,
+    locale: member.locale
+  };
+  if (member.picture) {
+    userInfo.picture = member.picture;
+  }
+  if (member.email) {
+    userInfo.email = member.email;
+    userInfo.email_verified = Boolean(member.email_verified);
+  }
+  return userInfo;
+}
+
+module.exports = {
+  DEFAULT_MEMBERS,
+  buildPosts,
+  toUserInfo
+};
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Mock LinkedIn Server (command line)
+ *
+ * Starts MockLinkedInServer with the app's client credentials and redirect
+ * URI, so the app works against it after pointing LINKEDIN_OAUTH_BASE_URL
+ * and LINKEDIN_API_BASE_URL at the printed URL.
+ *
+ * Environment:
+ *   MOCK_LINKEDIN_PORT               Port (default: 4010)
+ *   MOCK_LINKEDIN_MEMBERS            Path to a JSON array of members (default: built-in members)
+ *   MOCK_LINKEDIN_AUTO_APPROVE       Member sub to log in without the consent page
+ *   MOCK_LINKEDIN_ACCESS_TOKEN_TTL   Access token lifetime in seconds (default: 3600)
+ *   MOCK_LINKEDIN_REFRESH_TOKEN_TTL  Refresh token lifetime in seconds (default: 1 year)
+ *   MOCK_LINKEDIN_FAULTS             Faults as "path=status[xtimes]" pairs, e.g.
+ *                                    "/v2/userinfo=429x2,/rest/posts=503"
+ *
+ * Usage: npm run mock:linkedin
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+const MockLinkedInServer = require('./MockLinkedInServer');
+
+/**
+ * Parse MOCK_LINKEDIN_FAULTS
+ * @param {string} value - Comma-separated "path=status[xtimes]" pairs
+ * @returns {Array<Object>} Faults
+ */
+function parseFaults(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const match = entry.match(/^(\S+)=(\d{3})(?:x(\d+|\*))?$/);
+    if (!match) {
+      throw new Error(`Invalid fault "${entry}"; expected path=status or path=statusxtimes`);
+    }
+    return {
+      path: match[1],
+      status: Number(match[2]),
+      times: match[3] === '*' ? null : Number(match[3] || 1)
+    };
+  });
+}
+
+/**
+ * Load members from MOCK_LINKEDIN_MEMBERS
+ * @param {string} file - Path to a JSON file
+ * @returns {Array<Object>|undefined} Members, or undefined for the defaults
+ */
+function loadMembers(file) {
+  if (!file) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+/**
+ * Start the mock server from the command line
+ */
+async function main() {
+  try {
+    const mock = new MockLinkedInServer({
+      members: loadMembers(process.env.MOCK_LINKEDIN_MEMBERS),
+      clientId: config.linkedin.clientId,
+      clientSecret: config.linkedin.clientSecret,
+      redirectUris: [config.linkedin.redirectUri],
+      autoApprove: process.env.MOCK_LINKEDIN_AUTO_APPROVE,
+      accessTokenTtlSeconds: Number(process.env.MOCK_LINKEDIN_ACCESS_TOKEN_TTL) || undefined,
+      refreshTokenTtlSeconds: Number(process.env.MOCK_LINKEDIN_REFRESH_TOKEN_TTL) || undefined,
+      faults: parseFaults(process.env.MOCK_LINKEDIN_FAULTS)
+    });
+
+    const url = await mock.start(Number(process.env.MOCK_LINKEDIN_PORT) || 4010);
+
+    console.log(`✓ Mock LinkedIn running on ${url}`);
+    console.log('\nPoint the app at it:');
+    console.log(`  LINKEDIN_OAUTH_BASE_URL=${url}`);
+    console.log(`  LINKEDIN_API_BASE_URL=${url}`);
+    console.log('  LINKEDIN_PARTNER_API=true   # to sync posts from /rest/posts');
+    console.log('\nMembers:');
+    mock.members.forEach(member => {
+      console.log(`  ${member.sub.padEnd(16)} ${member.posts.length} posts`);
+    });
+    console.log(`\nControl API: ${url}/__mock/state, /__mock/faults, /__mock/expire-tokens, /__mock/reset`);
+
+    const shutdown = async () => {
+      await mock.stop();
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  } catch (error) {
+    console.error('❌ Failed to start mock LinkedIn server:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseFaults };
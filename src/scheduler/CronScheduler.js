@@ -3,15 +3,157 @@
  * 
  * Provides scheduling capabilities for automated LinkedIn data extraction.
  * Uses node-cron for job scheduling with configurable schedule and timezone.
+ *
+ * Jobs started with startScheduler() live in memory only. Jobs created with
+ * createJob() are stored in the ScheduledJob collection, run a task from
+ * the task registry and are restored by loadJobs() on startup.
  */
 
 const cron = require('node-cron');
 const config = require('../../config/config');
+const { ScheduledJob } = require('../../database/models');
+const JobRunStore = require('../storage/JobRunStore');
+const LeaseStore = require('../storage/LeaseStore');
+const taskRegistry = require('./tasks');
+const { latestOccurrences, nextOccurrences } = require('./occurrences');
+
+/**
+ * MongoDB duplicate key error code
+ */
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Lease key prefix of job locks
+ */
+const LOCK_PREFIX = 'scheduler-job:';
+
+/**
+ * What to do when a job fires while its previous run is still going
+ */
+const CONCURRENCY_POLICIES = ['skip', 'queue', 'allow'];
+
+/**
+ * Occurrences a 'queue' job may have waiting; later ones are skipped
+ */
+const QUEUE_LIMIT = 10;
+
+/**
+ * Upper bound of the delay between retries
+ */
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * Most missed occurrences an 'all' catch-up job runs; older ones are dropped
+ */
+const MAX_CATCH_UP_RUNS = 50;
+
+/**
+ * Most fire times previewSchedule() lists
+ */
+const MAX_PREVIEW_COUNT = 50;
+
+/**
+ * Fields of a job definition that can be set through createJob/updateJob,
+ * mapped to their ScheduledJob paths
+ */
+const EDITABLE_FIELDS = {
+  task: 'task',
+  schedule: 'schedule',
+  timezone: 'timezone',
+  enabled: 'enabled',
+  params: 'params',
+  description: 'description',
+  concurrency: 'concurrency',
+  timeoutSeconds: 'timeout_seconds',
+  retryAttempts: 'retry_attempts',
+  retryDelaySeconds: 'retry_delay_seconds',
+  catchUp: 'catch_up'
+};
+
+/**
+ * Error thrown by the job definition methods
+ */
+class SchedulerError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'SchedulerError';
+    this.code = code;
+  }
+}
+
+/**
+ * Format a duration for log and error messages
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. '250ms' or '30s'
+ */
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${Math.round(ms / 1000)}s`;
+}
+
+/**
+ * Map a job definition's fields to ScheduledJob paths
+ * @param {Object} definition - { name, ...EDITABLE_FIELDS }
+ * @returns {Object} ScheduledJob fields
+ */
+function toJobFields(definition) {
+  const fields = { name: definition.name };
+  Object.entries(EDITABLE_FIELDS).forEach(([field, path]) => {
+    if (definition[field] !== undefined) {
+      fields[path] = definition[field];
+    }
+  });
+  return fields;
+}
+
+/**
+ * Fingerprint of a stored job definition, to tell whether it was edited
+ * (updated_at also changes when a run is recorded)
+ * @param {Object} job - ScheduledJob document
+ * @returns {string}
+ */
+function definitionOf(job) {
+  return JSON.stringify(Object.values(EDITABLE_FIELDS).map(path => job[path] ?? null));
+}
+
+/**
+ * Fill in the defaults of a job's run options
+ * @param {Object} options - { concurrency?, timeoutMs?, retry? } (see startScheduler)
+ * @returns {Object} { concurrency, timeoutMs, retry: { attempts, delayMs } }
+ */
+function toRunOptions({ concurrency = 'skip', timeoutMs = null, retry = {} }) {
+  return {
+    concurrency,
+    timeoutMs: timeoutMs || null,
+    retry: {
+      attempts: retry.attempts || 0,
+      delayMs: retry.delayMs || 60 * 1000
+    }
+  };
+}
+
+/**
+ * Turn a mongoose validation error into a SchedulerError
+ * @param {Error} error - Error from saving a ScheduledJob
+ * @returns {Error} SchedulerError for validation errors, otherwise the error itself
+ */
+function toSchedulerError(error) {
+  if (error.name === 'ValidationError') {
+    const message = Object.values(error.errors).map(fieldError => fieldError.message).join('; ');
+    return new SchedulerError('invalid_job', message);
+  }
+  return error;
+}
 
 class CronScheduler {
   constructor() {
     this.jobs = new Map();
+    this.locks = new Map();
     this.isRunning = false;
+    this.instanceId = LeaseStore.PROCESS_OWNER;
   }
 
   /**
@@ -19,7 +161,11 @@ class CronScheduler {
    * @param {string} jobName - Unique identifier for the job
    * @param {Function} task - The function to execute on schedule
    * @param {string} schedule - Cron schedule expression (defaults from config)
-   * @param {Object} options - Additional options (timezone, etc.)
+   * @param {Object} options - Additional options
+   * @param {string} options.timezone - Timezone for the schedule (default: from config)
+   * @param {string} options.concurrency - 'skip' (default), 'queue' or 'allow' a run while the previous one is going
+   * @param {number} options.timeoutMs - Abort a run after this long (default: no limit)
+   * @param {Object} options.retry - { attempts: 0, delayMs: 60000 } retries after a failure, delay doubling each time
    * @returns {Object} Status object with success and message
    */
   startScheduler(jobName = 'default', task, schedule = null, options = {}) {
@@ -43,11 +189,17 @@ class CronScheduler {
         throw new Error(`Invalid cron expression: ${cronSchedule}`);
       }
 
+      const { concurrency, timeoutMs, retry, ...cronOptions } = options;
+      const runOptions = toRunOptions({ concurrency, timeoutMs, retry });
+      if (!CONCURRENCY_POLICIES.includes(runOptions.concurrency)) {
+        throw new Error(`Invalid concurrency policy: ${runOptions.concurrency}`);
+      }
+
       // Merge options with config defaults
       const jobOptions = {
         scheduled: true,
-        timezone: options.timezone || config.scheduler.timezone,
-        ...options
+        timezone: cronOptions.timezone || config.scheduler.timezone,
+        ...cronOptions
       };
 
       console.log(`[Scheduler] Starting job "${jobName}" with schedule: ${cronSchedule} (${jobOptions.timezone})`);
@@ -55,28 +207,27 @@ class CronScheduler {
       // Store job reference (need to initialize before creating cron job)
       const jobInfo = {
         cronJob: null,
+        task,
+        taskName: null,
+        persistent: false,
         schedule: cronSchedule,
         timezone: jobOptions.timezone,
         createdAt: new Date(),
-        lastRun: null
+        lastRun: null,
+        lastSuccess: null,
+        lastFailure: null,
+        consecutiveFailures: 0,
+        lastError: null,
+        ...runOptions,
+        activeRuns: new Set(),
+        queue: [],
+        skippedRuns: 0
       };
 
       // Create and start the cron job
-      const cronJob = cron.schedule(cronSchedule, async () => {
-        const triggerTime = new Date();
-        console.log(`[Scheduler] Job "${jobName}" triggered at ${triggerTime.toISOString()}`);
-        try {
-          await task();
-          jobInfo.lastRun = triggerTime; // Update lastRun timestamp
-          console.log(`[Scheduler] Job "${jobName}" completed successfully at ${new Date().toISOString()}`);
-        } catch (error) {
-          jobInfo.lastRun = triggerTime; // Update lastRun even on failure
-          console.error(`[Scheduler] Job "${jobName}" failed:`, error.message);
-        }
-      }, jobOptions);
+      jobInfo.cronJob = this.scheduleRuns(jobName, jobInfo, jobOptions);
 
       // Store complete job reference
-      jobInfo.cronJob = cronJob;
       this.jobs.set(jobName, jobInfo);
 
       this.isRunning = true;
@@ -97,6 +248,365 @@ class CronScheduler {
     }
   }
 
+  /**
+   * Create the cron task that runs a job on its schedule
+   * @param {string} jobName - Job name
+   * @param {Object} jobInfo - Entry of this.jobs, with `schedule` set
+   * @param {Object} cronOptions - node-cron options ({ scheduled, timezone, ... })
+   * @returns {Object} node-cron task
+   */
+  scheduleRuns(jobName, jobInfo, cronOptions) {
+    return cron.schedule(jobInfo.schedule, context => {
+      return this.executeJob(jobName, jobInfo, 'schedule', context.date);
+    }, cronOptions);
+  }
+
+  /**
+   * Run a job, applying its concurrency policy
+   *
+   * If a run of the job is still going in this process, 'skip' drops the
+   * new run, 'queue' starts it when the previous runs are done (up to
+   * QUEUE_LIMIT waiting) and 'allow' starts it right away.
+   *
+   * @param {string} jobName - Job name
+   * @param {Object} jobInfo - Entry of this.jobs
+   * @param {string} trigger - 'schedule', 'catch-up' or 'manual'
+   * @param {Date} scheduledFor - Cron occurrence of a scheduled or catch-up run
+   * @param {Function} onAccepted - Called with 'queued' when the run waits for
+   *   the previous one and 'running' when its task starts; skipped runs never call it
+   * @returns {Promise<Object>} { status: 'success'|'failed'|'skipped', summary?, error?, reason? }
+   */
+  async executeJob(jobName, jobInfo, trigger = 'schedule', scheduledFor = null, onAccepted = () => {}) {
+    if (jobInfo.activeRuns.size > 0 && jobInfo.concurrency !== 'allow') {
+      if (jobInfo.concurrency === 'queue' && jobInfo.queue.length < QUEUE_LIMIT) {
+        console.log(`[Scheduler] Job "${jobName}" queued: previous run still going`);
+        onAccepted('queued');
+        return new Promise((resolve, reject) => {
+          jobInfo.queue.push({ trigger, scheduledFor, onAccepted, resolve, reject });
+        });
+      }
+
+      jobInfo.skippedRuns++;
+      console.log(`[Scheduler] Job "${jobName}" skipped: previous run still going`);
+      return { status: 'skipped', reason: jobInfo.concurrency === 'queue' ? 'queue_full' : 'overlap' };
+    }
+
+    const controller = new AbortController();
+    jobInfo.activeRuns.add(controller);
+    try {
+      return await this.runJob(jobName, jobInfo, trigger, scheduledFor, controller, onAccepted);
+    } finally {
+      jobInfo.activeRuns.delete(controller);
+      const next = jobInfo.activeRuns.size === 0 && jobInfo.queue.shift();
+      if (next) {
+        this.executeJob(jobName, jobInfo, next.trigger, next.scheduledFor, next.onAccepted)
+          .then(next.resolve, next.reject);
+      }
+    }
+  }
+
+  /**
+   * Run a job once, with retries, recording the run in the job's history
+   *
+   * While MongoDB is connected, the run holds the job's lock (see
+   * acquireJobLock) and scheduled runs claim their cron occurrence, so
+   * when several instances share the database each occurrence runs once.
+   * Runs that find the lock held or the occurrence claimed are skipped.
+   * Persisted jobs are then brought up to date with their stored
+   * definition (see refreshPersistedJob), and skipped if it was paused,
+   * deleted or rescheduled.
+   *
+   * `lastRun` is the start of the latest run whatever its outcome;
+   * `lastSuccess`, `lastFailure` and `consecutiveFailures` track outcomes.
+   * Persisted jobs also store them on their ScheduledJob.
+   *
+   * @param {string} jobName - Job name
+   * @param {Object} jobInfo - Entry of this.jobs
+   * @param {string} trigger - 'schedule', 'catch-up' or 'manual'
+   * @param {Date} scheduledFor - Cron occurrence of a scheduled or catch-up run
+   * @param {AbortController} controller - Aborts the run
+   * @param {Function} onAccepted - Called with 'running' once the run is recorded
+   * @returns {Promise<Object>} { status: 'success'|'failed'|'skipped', summary?, error?, reason? }
+   */
+  async runJob(jobName, jobInfo, trigger, scheduledFor, controller, onAccepted = () => {}) {
+    const distributed = JobRunStore.isConnected();
+    const onLockLost = () => {
+      jobInfo.activeRuns.forEach(run => run.abort(new Error('Lost the job lock to another instance')));
+    };
+    if (distributed && !(await this.acquireJobLock(jobName, onLockLost))) {
+      console.log(`[Scheduler] Job "${jobName}" skipped: running on another instance`);
+      return { status: 'skipped', reason: 'locked' };
+    }
+
+    try {
+      if (distributed && jobInfo.persistent) {
+        const reason = await this.refreshPersistedJob(jobName, jobInfo, trigger, scheduledFor);
+        if (reason) {
+          return { status: 'skipped', reason };
+        }
+      }
+
+      const triggerTime = new Date();
+
+      let run;
+      try {
+        run = await JobRunStore.start(jobName, {
+          task: jobInfo.taskName,
+          trigger,
+          startedAt: triggerTime,
+          scheduledFor,
+          instance: this.instanceId
+        });
+      } catch (error) {
+        if (error.code === DUPLICATE_KEY) {
+          console.log(`[Scheduler] Job "${jobName}" skipped: ${scheduledFor.toISOString()} already ran on another instance`);
+          return { status: 'skipped', reason: 'already_run' };
+        }
+        throw error;
+      }
+
+      console.log(`[Scheduler] Job "${jobName}" triggered at ${triggerTime.toISOString()}`);
+      jobInfo.lastRun = triggerTime;
+      onAccepted('running');
+
+      let outcome;
+      let attempts = 0;
+      try {
+        const summary = await this.runAttempts(jobName, jobInfo, {
+          trigger,
+          scheduledFor,
+          signal: controller.signal,
+          onAttempt: attempt => { attempts = attempt; }
+        });
+        outcome = { status: 'success', summary };
+        jobInfo.lastSuccess = triggerTime;
+        jobInfo.consecutiveFailures = 0;
+        jobInfo.lastError = null;
+        console.log(`[Scheduler] Job "${jobName}" completed successfully at ${new Date().toISOString()}`);
+      } catch (error) {
+        outcome = { status: 'failed', error };
+        jobInfo.lastFailure = triggerTime;
+        jobInfo.consecutiveFailures++;
+        jobInfo.lastError = error.message;
+        console.error(`[Scheduler] Job "${jobName}" failed:`, error.message);
+      }
+
+      await JobRunStore.finish(run, { ...outcome, attempts });
+
+      if (jobInfo.persistent) {
+        await ScheduledJob.updateOne({ name: jobName }, {
+          $set: {
+            last_run_at: triggerTime,
+            last_success_at: jobInfo.lastSuccess,
+            last_failure_at: jobInfo.lastFailure,
+            consecutive_failures: jobInfo.consecutiveFailures,
+            last_error: jobInfo.lastError,
+            last_instance: this.instanceId
+          }
+        }).catch(error => console.error(`[Scheduler] Failed to record run of "${jobName}":`, error.message));
+      }
+
+      return outcome.status === 'success'
+        ? { status: 'success', summary: outcome.summary }
+        : { status: 'failed', error: outcome.error.message };
+    } finally {
+      if (distributed) {
+        await this.releaseJobLock(jobName);
+      }
+    }
+  }
+
+  /**
+   * Call a job's task until it succeeds or its retries run out
+   *
+   * The task gets `{ signal, attempt, trigger, scheduledFor }`. The signal
+   * aborts when an attempt exceeds the job's timeout, and the attempt then
+   * fails even if the task ignores the signal. Retries wait `retry.delayMs`,
+   * doubling after each failure (at most MAX_RETRY_DELAY_MS), and stop when
+   * the job is stopped.
+   *
+   * @param {string} jobName - Job name
+   * @param {Object} jobInfo - Entry of this.jobs
+   * @param {Object} options - { trigger, scheduledFor, signal, onAttempt }
+   * @returns {Promise<*>} The task's result
+   */
+  async runAttempts(jobName, jobInfo, options) {
+    const { trigger, scheduledFor, signal, onAttempt } = options;
+    const maxAttempts = 1 + jobInfo.retry.attempts;
+
+    for (let attempt = 1; ; attempt++) {
+      onAttempt(attempt);
+      try {
+        return await this.runAttempt(jobInfo, { signal, attempt, trigger, scheduledFor });
+      } catch (error) {
+        const canRetry = () => this.jobs.get(jobName) === jobInfo && !signal.aborted;
+        if (attempt >= maxAttempts || !canRetry()) {
+          throw error;
+        }
+
+        const delayMs = Math.min(jobInfo.retry.delayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+        console.warn(`[Scheduler] Job "${jobName}" attempt ${attempt} failed (${error.message}); retrying in ${formatDuration(delayMs)}`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        if (!canRetry()) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Call a job's task once, failing it when the job's timeout passes
+   * @param {Object} jobInfo - Entry of this.jobs
+   * @param {Object} context - { signal, attempt, trigger, scheduledFor }
+   * @returns {Promise<*>} The task's result
+   */
+  async runAttempt(jobInfo, context) {
+    if (!jobInfo.timeoutMs) {
+      return jobInfo.task(context);
+    }
+
+    // Abort this attempt on timeout, or the whole run when its signal aborts
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(context.signal.reason);
+    context.signal.addEventListener('abort', onAbort);
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Timed out after ${formatDuration(jobInfo.timeoutMs)}`);
+        error.code = 'JOB_TIMEOUT';
+        controller.abort(error);
+        reject(error);
+      }, jobInfo.timeoutMs);
+    });
+
+    try {
+      return await Promise.race([
+        jobInfo.task({ ...context, signal: controller.signal }),
+        timeout
+      ]);
+    } finally {
+      clearTimeout(timer);
+      context.signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Take the lock of a job for this instance
+   *
+   * The lock is a lease renewed every third of SCHEDULER_LOCK_TTL_SECONDS
+   * while held, so if this process dies another instance can take the job
+   * over once the lease expires. Runs of the same job in this process
+   * share the lock.
+   *
+   * @param {string} jobName - Job name
+   * @param {Function} onLost - Called if another instance takes the lock over
+   * @returns {Promise<boolean>} False if another instance holds the lock
+   */
+  async acquireJobLock(jobName, onLost = () => {}) {
+    const held = this.locks.get(jobName);
+    if (held) {
+      held.count++;
+      return true;
+    }
+
+    const key = `${LOCK_PREFIX}${jobName}`;
+    const ttlMs = config.scheduler.lockTtlSeconds * 1000;
+    try {
+      if (!(await LeaseStore.acquire(key, ttlMs, this.instanceId))) {
+        return false;
+      }
+    } catch (error) {
+      console.error(`[Scheduler] Failed to lock job "${jobName}":`, error.message);
+      return false;
+    }
+
+    // Runs of the job still marked running elsewhere lost their lock
+    const abandoned = await JobRunStore.failAbandoned(jobName, this.instanceId)
+      .catch(() => 0);
+    if (abandoned > 0) {
+      console.warn(`[Scheduler] Took over job "${jobName}"; marked ${abandoned} abandoned run(s) failed`);
+    }
+
+    const heartbeat = setInterval(() => {
+      LeaseStore.renew(key, ttlMs, this.instanceId)
+        .then(renewed => {
+          if (!renewed) {
+            console.warn(`[Scheduler] Lost the lock of job "${jobName}" to another instance`);
+            onLost();
+          }
+        })
+        .catch(error => console.error(`[Scheduler] Failed to renew lock of job "${jobName}":`, error.message));
+    }, ttlMs / 3);
+    heartbeat.unref();
+
+    this.locks.set(jobName, { count: 1, heartbeat });
+    return true;
+  }
+
+  /**
+   * Release a job lock taken with acquireJobLock
+   * @param {string} jobName - Job name
+   * @returns {Promise<void>}
+   */
+  async releaseJobLock(jobName) {
+    const held = this.locks.get(jobName);
+    if (!held) {
+      return;
+    }
+
+    held.count--;
+    if (held.count > 0) {
+      return;
+    }
+
+    clearInterval(held.heartbeat);
+    this.locks.delete(jobName);
+    await LeaseStore.release(`${LOCK_PREFIX}${jobName}`, this.instanceId)
+      .catch(error => console.error(`[Scheduler] Failed to release lock of job "${jobName}":`, error.message));
+  }
+
+  /**
+   * Get the instances currently running jobs
+   * @param {Array<string>} jobNames - Job names
+   * @returns {Promise<Object>} Map of job name to { instance, since, expiresAt } for locked jobs
+   */
+  async getJobOwners(jobNames) {
+    if (!JobRunStore.isConnected() || jobNames.length === 0) {
+      return {};
+    }
+
+    const holders = await LeaseStore.getHolders(jobNames.map(name => `${LOCK_PREFIX}${name}`));
+    const owners = {};
+    Object.entries(holders).forEach(([key, lease]) => {
+      owners[key.slice(LOCK_PREFIX.length)] = {
+        instance: lease.owner,
+        since: lease.acquired_at.toISOString(),
+        expiresAt: lease.expires_at.toISOString()
+      };
+    });
+    return owners;
+  }
+
+  /**
+   * Scheduler status of this process, plus which instance is running
+   * each job right now
+   * @returns {Promise<Object>} getSchedulerStatus() with `instance` and per-job `owner`
+   */
+  async getClusterStatus() {
+    const status = this.getSchedulerStatus();
+    if (!status.success) {
+      return status;
+    }
+
+    const owners = await this.getJobOwners(status.jobs.map(job => job.jobName));
+    return {
+      ...status,
+      instance: this.instanceId,
+      jobs: status.jobs.map(job => ({ ...job, owner: owners[job.jobName] || null }))
+    };
+  }
+
   /**
    * Stop a specific scheduler job
    * @param {string} jobName - Name of the job to stop
@@ -114,6 +624,7 @@ class CronScheduler {
 
       const job = this.jobs.get(jobName);
       job.cronJob.stop();
+      this.skipQueuedRuns(job);
       this.jobs.delete(jobName);
 
       console.log(`[Scheduler] Job "${jobName}" stopped successfully`);
@@ -136,6 +647,14 @@ class CronScheduler {
     }
   }
 
+  /**
+   * Drop the queued runs of a stopped job (runs in progress finish)
+   * @param {Object} jobInfo - Entry of this.jobs
+   */
+  skipQueuedRuns(jobInfo) {
+    jobInfo.queue.splice(0).forEach(queued => queued.resolve({ status: 'skipped', reason: 'stopped' }));
+  }
+
   /**
    * Stop all running scheduler jobs
    * @returns {Object} Status object with success and message
@@ -155,6 +674,7 @@ class CronScheduler {
       jobNames.forEach(jobName => {
         const job = this.jobs.get(jobName);
         job.cronJob.stop();
+        this.skipQueuedRuns(job);
       });
 
       const stoppedCount = this.jobs.size;
@@ -201,8 +721,20 @@ class CronScheduler {
           running: true,
           schedule: job.schedule,
           timezone: job.timezone,
+          task: job.taskName,
+          persistent: job.persistent,
           createdAt: job.createdAt.toISOString(),
-          lastRun: job.lastRun ? job.lastRun.toISOString() : null
+          lastRun: job.lastRun ? job.lastRun.toISOString() : null,
+          lastSuccess: job.lastSuccess ? job.lastSuccess.toISOString() : null,
+          lastFailure: job.lastFailure ? job.lastFailure.toISOString() : null,
+          consecutiveFailures: job.consecutiveFailures,
+          lastError: job.lastError,
+          concurrency: job.concurrency,
+          timeoutMs: job.timeoutMs,
+          retry: job.retry,
+          activeRuns: job.activeRuns.size,
+          queuedRuns: job.queue.length,
+          skippedRuns: job.skippedRuns
         };
       }
 
@@ -211,8 +743,20 @@ class CronScheduler {
         jobName: name,
         schedule: job.schedule,
         timezone: job.timezone,
+        task: job.taskName,
+        persistent: job.persistent,
         createdAt: job.createdAt.toISOString(),
-        lastRun: job.lastRun ? job.lastRun.toISOString() : null
+        lastRun: job.lastRun ? job.lastRun.toISOString() : null,
+        lastSuccess: job.lastSuccess ? job.lastSuccess.toISOString() : null,
+        lastFailure: job.lastFailure ? job.lastFailure.toISOString() : null,
+        consecutiveFailures: job.consecutiveFailures,
+        lastError: job.lastError,
+        concurrency: job.concurrency,
+        timeoutMs: job.timeoutMs,
+        retry: job.retry,
+        activeRuns: job.activeRuns.size,
+        queuedRuns: job.queue.length,
+        skippedRuns: job.skippedRuns
       }));
 
       return {
@@ -231,6 +775,487 @@ class CronScheduler {
     }
   }
 
+  /**
+   * Start a persisted job definition
+   *
+   * The job's task is looked up in the task registry and called with the
+   * job's parameters; run outcomes are stored on the job after every run.
+   *
+   * @param {Object} job - ScheduledJob document
+   * @returns {Object} Status object (see startScheduler)
+   */
+  startPersistedJob(job) {
+    const resolved = this.resolvePersistedJob(job);
+    if (!resolved) {
+      return {
+        success: false,
+        message: `Unknown task "${job.task}"`
+      };
+    }
+
+    const result = this.startScheduler(job.name, resolved.task, job.schedule, resolved.options);
+
+    if (result.success) {
+      Object.assign(this.jobs.get(job.name), {
+        taskName: job.task,
+        persistent: true,
+        definition: definitionOf(job),
+        lastRun: job.last_run_at || null,
+        lastSuccess: job.last_success_at || null,
+        lastFailure: job.last_failure_at || null,
+        consecutiveFailures: job.consecutive_failures || 0,
+        lastError: job.last_error || null
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Build the task function and scheduler options of a persisted job
+   * @param {Object} job - ScheduledJob document
+   * @returns {Object|null} { task, options } (see startScheduler), or null
+   *   if the job's task is not registered
+   */
+  resolvePersistedJob(job) {
+    const task = taskRegistry.get(job.task);
+    if (!task) {
+      console.warn(`[Scheduler] Job "${job.name}" uses unknown task "${job.task}"`);
+      return null;
+    }
+
+    const params = { ...task.defaultParams, ...job.params };
+    const options = {
+      concurrency: job.concurrency,
+      timeoutMs: job.timeout_seconds ? job.timeout_seconds * 1000 : null,
+      retry: {
+        attempts: job.retry_attempts,
+        delayMs: job.retry_delay_seconds * 1000
+      }
+    };
+    if (job.timezone) {
+      options.timezone = job.timezone;
+    }
+
+    return {
+      task: context => task.handler(params, { ...context, jobName: job.name, triggeredAt: new Date() }),
+      options
+    };
+  }
+
+  /**
+   * Bring a running persisted job up to date with its stored definition
+   *
+   * Jobs can be paused, edited or deleted through any instance, and only
+   * that instance restarts them. The others catch up here, before each
+   * run: paused and deleted jobs are stopped, and edits are applied in
+   * place. A changed schedule or timezone reschedules the job and skips
+   * scheduled and catch-up runs of occurrences the new schedule does not
+   * have.
+   *
+   * @param {string} jobName - Job name
+   * @param {Object} jobInfo - Entry of this.jobs
+   * @param {string} trigger - 'schedule', 'catch-up' or 'manual'
+   * @param {Date} scheduledFor - Cron occurrence of a scheduled or catch-up run
+   * @returns {Promise<string|null>} Reason to skip the run
+   *   ('deleted', 'disabled', 'rescheduled' or 'unknown_task'), or null
+   */
+  async refreshPersistedJob(jobName, jobInfo, trigger, scheduledFor) {
+    const job = await ScheduledJob.findOne({ name: jobName });
+    const current = this.jobs.get(jobName) === jobInfo;
+
+    if (!job || !job.enabled) {
+      const reason = job ? 'disabled' : 'deleted';
+      console.log(`[Scheduler] Job "${jobName}" skipped: ${reason} on another instance`);
+      if (current) {
+        this.stopScheduler(jobName);
+      }
+      return reason;
+    }
+
+    const definition = definitionOf(job);
+    if (definition === jobInfo.definition) {
+      return null;
+    }
+
+    const resolved = this.resolvePersistedJob(job);
+    if (!resolved) {
+      return 'unknown_task';
+    }
+
+    const timezone = resolved.options.timezone || config.scheduler.timezone;
+    const rescheduled = job.schedule !== jobInfo.schedule || timezone !== jobInfo.timezone;
+    Object.assign(jobInfo, {
+      task: resolved.task,
+      taskName: job.task,
+      definition,
+      schedule: job.schedule,
+      timezone,
+      ...toRunOptions(resolved.options)
+    });
+    if (rescheduled && current) {
+      jobInfo.cronJob.stop();
+      jobInfo.cronJob = this.scheduleRuns(jobName, jobInfo, { scheduled: true, timezone });
+    }
+    console.log(`[Scheduler] Job "${jobName}" reloaded: edited on another instance`);
+
+    if (!rescheduled || !scheduledFor) {
+      return null;
+    }
+    const [next] = nextOccurrences(job.schedule, timezone, new Date(scheduledFor.getTime() - 1), 1);
+    return next && next.getTime() === scheduledFor.getTime() ? null : 'rescheduled';
+  }
+
+  /**
+   * Start all enabled persisted jobs (call once on startup)
+   *
+   * Jobs with a catch-up policy then run the occurrences they missed (see
+   * findMissedRuns) in the background.
+   *
+   * @returns {Promise<Object>} { loaded: [names], skipped: [{ name, reason }],
+   *   catchUp: [{ name, occurrences: [ISO dates] }] }
+   */
+  async loadJobs() {
+    const jobs = await ScheduledJob.find({ enabled: true }).sort({ name: 1 });
+    const results = {
+      loaded: [],
+      skipped: [],
+      catchUp: []
+    };
+
+    jobs.forEach(job => {
+      const result = this.startPersistedJob(job);
+      if (result.success) {
+        results.loaded.push(job.name);
+      } else {
+        results.skipped.push({ name: job.name, reason: result.message });
+      }
+    });
+
+    console.log(`[Scheduler] Loaded ${results.loaded.length} persisted job(s)` +
+      (results.skipped.length > 0 ? `, skipped ${results.skipped.length}` : ''));
+
+    const now = new Date();
+    for (const job of jobs) {
+      if (job.catch_up === 'none' || !results.loaded.includes(job.name)) {
+        continue;
+      }
+
+      let occurrences;
+      try {
+        occurrences = await this.findMissedRuns(job, now);
+      } catch (error) {
+        console.error(`[Scheduler] Failed to look for missed runs of "${job.name}":`, error.message);
+        continue;
+      }
+      if (occurrences.length === 0) {
+        continue;
+      }
+
+      results.catchUp.push({
+        name: job.name,
+        occurrences: occurrences.map(occurrence => occurrence.toISOString())
+      });
+      this.runMissed(job.name, occurrences).catch(error => {
+        console.error(`[Scheduler] Catch-up of "${job.name}" failed:`, error.message);
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Find the occurrences a persisted job missed
+   *
+   * Looks at the job's occurrences since its last successful run (or its
+   * creation) that no instance has started. The 'latest' policy keeps the
+   * most recent one; 'all' keeps the most recent MAX_CATCH_UP_RUNS.
+   * Occurrences that started, even if they failed, are not missed.
+   *
+   * @param {Object} job - ScheduledJob document
+   * @param {Date} until - End of the search (exclusive), normally startup time
+   * @returns {Promise<Array<Date>>} Missed occurrences, oldest first
+   */
+  async findMissedRuns(job, until = new Date()) {
+    if (job.catch_up === 'none') {
+      return [];
+    }
+
+    const since = job.last_success_at || job.created_at;
+    const timezone = job.timezone || config.scheduler.timezone;
+    const count = job.catch_up === 'latest' ? 1 : MAX_CATCH_UP_RUNS;
+    const occurrences = latestOccurrences(job.schedule, timezone, since, until, count);
+    if (occurrences.length === 0) {
+      return [];
+    }
+
+    const recorded = await JobRunStore.findRecordedOccurrences(job.name, occurrences);
+    return occurrences.filter(occurrence => !recorded.has(occurrence.getTime()));
+  }
+
+  /**
+   * Run missed occurrences of a job one after another, oldest first
+   *
+   * Each run gets the 'catch-up' trigger and its occurrence as
+   * `scheduledFor`, so an occurrence another instance is catching up at
+   * the same time is skipped. Stops if the job is stopped.
+   *
+   * @param {string} jobName - Job name
+   * @param {Array<Date>} occurrences - Occurrences to run
+   * @returns {Promise<Array<Object>>} Results of the runs (see executeJob)
+   */
+  async runMissed(jobName, occurrences) {
+    const jobInfo = this.jobs.get(jobName);
+    const results = [];
+
+    for (const occurrence of occurrences) {
+      if (this.jobs.get(jobName) !== jobInfo) {
+        break;
+      }
+      console.log(`[Scheduler] Job "${jobName}" catching up on ${occurrence.toISOString()}`);
+      results.push(await this.executeJob(jobName, jobInfo, 'catch-up', occurrence));
+    }
+
+    return results;
+  }
+
+  /**
+   * Create and persist a job definition; enabled jobs start immediately
+   * @param {Object} definition - { name, task, schedule, timezone?, enabled?, params?, description?,
+   *   concurrency?, timeoutSeconds?, retryAttempts?, retryDelaySeconds?, catchUp? }
+   * @returns {Promise<Object>} The job (see formatJob)
+   */
+  async createJob(definition = {}) {
+    if (!taskRegistry.has(definition.task)) {
+      throw new SchedulerError('unknown_task', `Unknown task "${definition.task}"`);
+    }
+    if (this.jobs.has(definition.name) && !this.jobs.get(definition.name).persistent) {
+      throw new SchedulerError('job_exists', `Job "${definition.name}" is already running`);
+    }
+
+    let job;
+    try {
+      job = await ScheduledJob.create(toJobFields(definition));
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        throw new SchedulerError('job_exists', `Job "${definition.name}" already exists`);
+      }
+      throw toSchedulerError(error);
+    }
+
+    if (job.enabled) {
+      this.startPersistedJob(job);
+    }
+
+    return this.formatJob(job);
+  }
+
+  /**
+   * Create job definitions that do not exist yet, without starting them
+   *
+   * Existing jobs are left alone, including ones an admin edited or
+   * paused. Call before loadJobs().
+   *
+   * @param {Array<Object>} definitions - Job definitions (see createJob)
+   * @returns {Promise<Array<string>>} Names of the jobs created
+   */
+  async installJobs(definitions) {
+    const installed = [];
+
+    for (const definition of definitions) {
+      if (await ScheduledJob.exists({ name: definition.name })) {
+        continue;
+      }
+
+      try {
+        await ScheduledJob.create(toJobFields(definition));
+        installed.push(definition.name);
+      } catch (error) {
+        // Another instance may have created it first
+        if (error.code !== DUPLICATE_KEY) {
+          console.error(`[Scheduler] Failed to create job "${definition.name}":`, error.message);
+        }
+      }
+    }
+
+    if (installed.length > 0) {
+      console.log(`[Scheduler] Created default job(s): ${installed.join(', ')}`);
+    }
+
+    return installed;
+  }
+
+  /**
+   * Change a persisted job definition and restart it
+   * @param {string} name - Job name
+   * @param {Object} changes - Any field of createJob() except name
+   * @returns {Promise<Object>} The job (see formatJob)
+   */
+  async updateJob(name, changes = {}) {
+    const job = await ScheduledJob.findOne({ name });
+    if (!job) {
+      throw new SchedulerError('job_not_found', `Job "${name}" not found`);
+    }
+    if (changes.task !== undefined && !taskRegistry.has(changes.task)) {
+      throw new SchedulerError('unknown_task', `Unknown task "${changes.task}"`);
+    }
+
+    Object.entries(EDITABLE_FIELDS).forEach(([field, path]) => {
+      if (changes[field] !== undefined) {
+        job.set(path, changes[field]);
+      }
+    });
+
+    try {
+      await job.save();
+    } catch (error) {
+      throw toSchedulerError(error);
+    }
+
+    if (this.jobs.has(name)) {
+      this.stopScheduler(name);
+    }
+    if (job.enabled) {
+      this.startPersistedJob(job);
+    }
+
+    return this.formatJob(job);
+  }
+
+  /**
+   * Stop and delete a persisted job definition
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} The deleted job (see formatJob)
+   */
+  async deleteJob(name) {
+    const job = await ScheduledJob.findOneAndDelete({ name });
+    if (!job) {
+      throw new SchedulerError('job_not_found', `Job "${name}" not found`);
+    }
+
+    if (this.jobs.has(name)) {
+      this.stopScheduler(name);
+    }
+
+    return this.formatJob(job);
+  }
+
+  /**
+   * Get a persisted job definition
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} The job (see formatJob) with the instance running it now as `owner`
+   */
+  async getJob(name) {
+    const job = await ScheduledJob.findOne({ name });
+    if (!job) {
+      throw new SchedulerError('job_not_found', `Job "${name}" not found`);
+    }
+
+    const owners = await this.getJobOwners([name]);
+    return { ...this.formatJob(job), owner: owners[name] || null };
+  }
+
+  /**
+   * List persisted job definitions
+   * @returns {Promise<Array<Object>>} Jobs (see formatJob) with their current `owner`, by name
+   */
+  async listJobs() {
+    const jobs = await ScheduledJob.find().sort({ name: 1 });
+    const owners = await this.getJobOwners(jobs.map(job => job.name));
+    return jobs.map(job => ({ ...this.formatJob(job), owner: owners[job.name] || null }));
+  }
+
+  /**
+   * Run a job now, outside its schedule
+   *
+   * The run goes through the job's concurrency policy and lock like a
+   * scheduled run, and is recorded with the 'manual' trigger.
+   *
+   * @param {string} jobName - Name of a job scheduled in this process
+   * @param {Object} options - { onAccepted } called with 'queued' or 'running'
+   *   unless the run is skipped (see executeJob)
+   * @returns {Promise<Object>} Result of the run (see executeJob)
+   */
+  triggerJob(jobName, options = {}) {
+    const jobInfo = this.jobs.get(jobName);
+    if (!jobInfo) {
+      throw new SchedulerError('job_not_running', `Job "${jobName}" is not scheduled; resume it first`);
+    }
+
+    console.log(`[Scheduler] Job "${jobName}" triggered manually`);
+    return this.executeJob(jobName, jobInfo, 'manual', null, options.onAccepted);
+  }
+
+  /**
+   * List a job's run history, newest first
+   * @param {string} jobName - Job name (persisted or in-memory)
+   * @param {Object} options - { page = 1, limit = 20 }
+   * @returns {Promise<Object>} { runs, pagination }
+   */
+  async getJobHistory(jobName, options = {}) {
+    return JobRunStore.list(jobName, options);
+  }
+
+  /**
+   * Describe a persisted job, including whether it is running here
+   * @param {Object} job - ScheduledJob document
+   * @returns {Object} Job definition and state
+   */
+  formatJob(job) {
+    const toISO = date => (date ? date.toISOString() : null);
+
+    return {
+      name: job.name,
+      task: job.task,
+      schedule: job.schedule,
+      timezone: job.timezone || config.scheduler.timezone,
+      enabled: job.enabled,
+      params: job.params,
+      description: job.description,
+      concurrency: job.concurrency,
+      timeoutSeconds: job.timeout_seconds,
+      retryAttempts: job.retry_attempts,
+      retryDelaySeconds: job.retry_delay_seconds,
+      catchUp: job.catch_up,
+      running: this.jobs.has(job.name),
+      lastRun: toISO(job.last_run_at),
+      lastSuccess: toISO(job.last_success_at),
+      lastFailure: toISO(job.last_failure_at),
+      consecutiveFailures: job.consecutive_failures,
+      lastError: job.last_error,
+      lastInstance: job.last_instance,
+      createdAt: job.created_at.toISOString(),
+      updatedAt: job.updated_at.toISOString()
+    };
+  }
+
+  /**
+   * List the next fire times of a cron expression
+   * @param {string} schedule - Cron expression
+   * @param {Object} options - { timezone (default: from config), count = 5 (max 50) }
+   * @returns {Object} { schedule, timezone, next: [ISO dates] }; `next` is
+   *   empty for expressions that never fire (e.g. February 30)
+   */
+  previewSchedule(schedule, options = {}) {
+    if (typeof schedule !== 'string' || !cron.validate(schedule)) {
+      throw new SchedulerError('invalid_schedule', `Invalid cron expression: ${schedule}`);
+    }
+
+    const timezone = options.timezone || config.scheduler.timezone;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      throw new SchedulerError('invalid_schedule', `Unknown timezone: ${timezone}`);
+    }
+
+    const count = Math.min(Math.max(1, parseInt(options.count, 10) || 5), MAX_PREVIEW_COUNT);
+    return {
+      schedule,
+      timezone,
+      next: nextOccurrences(schedule, timezone, new Date(), count).map(date => date.toISOString())
+    };
+  }
+
   /**
    * Validate a cron expression
    * @param {string} expression - Cron expression to validate
@@ -245,3 +1270,4 @@ class CronScheduler {
 const schedulerInstance = new CronScheduler();
 
 module.exports = schedulerInstance;
+module.exports.SchedulerError = SchedulerError;
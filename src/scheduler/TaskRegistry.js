@@ -0,0 +1,75 @@
+/**
+ * TaskRegistry Module
+ *
+ * Named task handlers that persisted scheduler jobs refer to. A job stores
+ * only the task name and its parameters; the code lives here, so jobs can
+ * be created and edited at runtime without code changes.
+ */
+
+class TaskRegistry {
+  constructor() {
+    this.tasks = new Map();
+  }
+
+  /**
+   * Register a task handler
+   *
+   * The handler is called as `handler(params, context)` with the job's
+   * parameters and `{ jobName, triggeredAt, trigger, scheduledFor, attempt,
+   * signal }`; its return value is the run's summary. Long tasks should
+   * stop when `signal` aborts (on timeout).
+   *
+   * @param {string} name - Task name, e.g. 'refresh-expiring-tokens'
+   * @param {Function} handler - Task implementation
+   * @param {Object} options - { description, defaultParams }
+   */
+  register(name, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Task "${name}" must be a function`);
+    }
+    if (this.tasks.has(name)) {
+      console.warn(`[Scheduler] Task "${name}" is already registered. Replacing it.`);
+    }
+
+    this.tasks.set(name, {
+      handler,
+      description: options.description || null,
+      defaultParams: options.defaultParams || {}
+    });
+  }
+
+  /**
+   * Get a registered task
+   * @param {string} name - Task name
+   * @returns {Object|null} { handler, description, defaultParams }
+   */
+  get(name) {
+    return this.tasks.get(name) || null;
+  }
+
+  /**
+   * Check whether a task is registered
+   * @param {string} name - Task name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tasks.has(name);
+  }
+
+  /**
+   * List registered tasks
+   * @returns {Array<Object>} { name, description, defaultParams }
+   */
+  list() {
+    return Array.from(this.tasks.entries()).map(([name, task]) => ({
+      name,
+      description: task.description,
+      defaultParams: task.defaultParams
+    }));
+  }
+}
+
+// Export singleton instance
+const registryInstance = new TaskRegistry();
+
+module.exports = registryInstance;
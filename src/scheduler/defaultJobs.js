@@ -0,0 +1,41 @@
+/**
+ * Default Scheduler Jobs
+ *
+ * Job definitions the server creates on startup when they do not exist
+ * yet (see CronScheduler.installJobs). Once created they are ordinary
+ * persisted jobs: admins can edit or pause them through the scheduler API,
+ * and later changes here do not overwrite them.
+ */
+
+const config = require('../../config/config');
+
+const defaultJobs = [
+  {
+    name: 'refresh-expiring-tokens',
+    task: 'refresh-expiring-tokens',
+    schedule: '0 * * * *', // Hourly; tokens are refreshed a day before they expire
+    description: 'Refresh LinkedIn access tokens that expire within a day',
+    catchUp: 'latest'
+  },
+  {
+    name: 'retry-token-revocations',
+    task: 'retry-token-revocations',
+    schedule: '*/15 * * * *',
+    description: 'Retry LinkedIn token revocations that failed'
+  },
+  {
+    name: 'resync-profiles',
+    task: 'resync-profiles',
+    schedule: '0 4 * * *', // Daily; profiles are stale after 24 hours
+    description: 'Refresh LinkedIn name, email, avatar and locale of users with stale profiles'
+  },
+  {
+    name: 'sync-all-users',
+    task: 'sync-all-users',
+    schedule: config.scheduler.schedule, // CRON_SCHEDULE
+    description: 'Sync the activity of every user',
+    catchUp: 'latest'
+  }
+];
+
+module.exports = defaultJobs;
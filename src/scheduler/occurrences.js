@@ -0,0 +1,303 @@
+/**
+ * Cron Occurrences
+ *
+ * Lists the times a cron expression fires, for catching up on runs missed
+ * while the server was down and for previewing schedules. node-cron only
+ * exposes the next run of a started task, so expressions are matched here,
+ * with node-cron's syntax: an optional seconds field, lists, ranges, steps,
+ * month and weekday names, and both day-of-month and weekday having to
+ * match. Expressions are expected to have passed cron.validate().
+ *
+ * Times are matched on the wall clock of the schedule's timezone:
+ * - A time skipped by a DST change (02:30 when clocks jump from 02:00 to
+ *   03:00) fires when the clocks jump, shifted by the gap (03:30)
+ * - A time repeated by a DST change (01:30 when clocks go back from 02:00
+ *   to 01:00) fires once, the first time
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * How far ahead nextOccurrences looks, in days. Covers the 28-year cycle
+ * after which dates fall on the same weekdays, so expressions that match
+ * no day in it (e.g. February 30) never fire.
+ */
+const SEARCH_DAYS = 28 * 366;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Cron fields in order; names map to `offset + index`
+ */
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'weekday', min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 }
+];
+
+/**
+ * Parse one value of a field (a number or a month or weekday name)
+ * @param {string} text - Value
+ * @param {Object} field - Field definition
+ * @returns {number}
+ */
+function parseValue(text, field) {
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10);
+  }
+
+  // Full and three-letter names, in any case
+  const index = field.names ? field.names.indexOf(text.slice(0, 3).toLowerCase()) : -1;
+  if (index === -1) {
+    throw new Error(`Invalid ${field.name} value: ${text}`);
+  }
+  return field.offset + index;
+}
+
+/**
+ * Parse a field into the set of values it matches
+ * @param {string} expression - Field expression, e.g. '1-5', '*\/15' or 'mon,wed'
+ * @param {Object} field - Field definition
+ * @returns {Set<number>}
+ */
+function parseField(expression, field) {
+  const values = new Set();
+
+  expression.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let start;
+    let end;
+
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseValue(value, field));
+      if (start > end) {
+        [start, end] = [end, start];
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (!(step > 0) || start < field.min || end > field.max) {
+      throw new Error(`Invalid ${field.name} field: ${expression}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Compile a cron expression
+ * @param {string} schedule - Cron expression (5 or 6 fields)
+ * @returns {Object} { days, months, weekdays, times } where times are the
+ *   matching times of day in ms, ascending
+ */
+function compile(schedule) {
+  const parts = schedule.trim().split(/\s+/);
+  if (parts.length === 5) {
+    parts.unshift('0');
+  }
+  if (parts.length !== 6) {
+    throw new Error(`Invalid cron expression: ${schedule}`);
+  }
+
+  const [seconds, minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  const times = [];
+  [...hours].sort((a, b) => a - b).forEach(hour => {
+    [...minutes].sort((a, b) => a - b).forEach(minute => {
+      [...seconds].sort((a, b) => a - b).forEach(second => {
+        times.push(((hour * 60 + minute) * 60 + second) * 1000);
+      });
+    });
+  });
+
+  return { days, months, weekdays, times };
+}
+
+const formatters = new Map();
+
+/**
+ * UTC offset of a timezone at an instant
+ * @param {number} instant - Epoch ms
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in ms (local wall clock minus UTC)
+ */
+function offsetAt(instant, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timezone).formatToParts(instant).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Calendar day of an instant in a timezone
+ * @param {number} instant - Epoch ms
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Days since 1970-01-01
+ */
+function localDay(instant, timezone) {
+  return Math.floor((instant + offsetAt(instant, timezone)) / DAY_MS);
+}
+
+/**
+ * Check whether the expression fires on a calendar day
+ * @param {Object} matcher - Compiled expression
+ * @param {number} day - Days since 1970-01-01
+ * @returns {boolean}
+ */
+function matchesDay(matcher, day) {
+  const date = new Date(day * DAY_MS);
+  return matcher.days.has(date.getUTCDate()) &&
+    matcher.months.has(date.getUTCMonth() + 1) &&
+    matcher.weekdays.has(date.getUTCDay());
+}
+
+/**
+ * List the instants the expression fires at on a calendar day
+ * @param {Object} matcher - Compiled expression
+ * @param {string} timezone - IANA timezone
+ * @param {number} day - Days since 1970-01-01 (a day matchesDay accepts)
+ * @returns {Array<number>} Epoch ms, ascending
+ */
+function dayOccurrences(matcher, timezone, day) {
+  const midnight = day * DAY_MS;
+
+  // Offsets range from -12h to +14h, so the local day lies within
+  // [midnight - 14h, midnight + 36h]
+  let before = midnight - 15 * HOUR_MS;
+  let after = midnight + 37 * HOUR_MS;
+  const offsetBefore = offsetAt(before, timezone);
+  const offsetAfter = offsetAt(after, timezone);
+
+  if (offsetBefore === offsetAfter) {
+    return matcher.times.map(time => midnight + time - offsetBefore);
+  }
+
+  // Find the offset change to the second
+  while (after - before > 1000) {
+    const middle = before + Math.floor((after - before) / 2000) * 1000;
+    if (offsetAt(middle, timezone) === offsetBefore) {
+      before = middle;
+    } else {
+      after = middle;
+    }
+  }
+  const change = after;
+
+  const instants = matcher.times.map(time => {
+    const wallClock = midnight + time;
+    const early = wallClock - offsetBefore;
+    const late = wallClock - offsetAfter;
+    if (early < change) {
+      return early; // Before the change, or the first of a repeated time
+    }
+    // After the change, or skipped: shifted forward by the gap
+    return late >= change ? late : early;
+  });
+
+  // Shifted times can land on or before later ones
+  return [...new Set(instants)].sort((a, b) => a - b);
+}
+
+/**
+ * List the latest occurrences of a cron expression in a time range
+ *
+ * Walks back day by day from `until`, so finding the last occurrences
+ * after a long downtime does not walk every occurrence since `since`.
+ *
+ * @param {string} schedule - Cron expression
+ * @param {string} timezone - Timezone of the schedule
+ * @param {Date} since - Start of the range (exclusive)
+ * @param {Date} until - End of the range (exclusive)
+ * @param {number} count - Maximum number of occurrences
+ * @returns {Array<Date>} Up to `count` occurrences, oldest first
+ */
+function latestOccurrences(schedule, timezone, since, until, count) {
+  const matcher = compile(schedule);
+  const from = since.getTime();
+  const to = until.getTime();
+  const occurrences = [];
+
+  const firstDay = localDay(from, timezone);
+  for (let day = localDay(to, timezone); day >= firstDay && occurrences.length < count; day--) {
+    if (!matchesDay(matcher, day)) {
+      continue;
+    }
+
+    const instants = dayOccurrences(matcher, timezone, day);
+    for (let i = instants.length - 1; i >= 0 && occurrences.length < count; i--) {
+      if (instants[i] > from && instants[i] < to) {
+        occurrences.push(new Date(instants[i]));
+      }
+    }
+  }
+
+  return occurrences.reverse();
+}
+
+/**
+ * List the next occurrences of a cron expression
+ * @param {string} schedule - Cron expression
+ * @param {string} timezone - Timezone of the schedule
+ * @param {Date} from - Start time (exclusive)
+ * @param {number} count - Maximum number of occurrences
+ * @returns {Array<Date>} Occurrences, soonest first; fewer than `count`
+ *   (possibly none) if the expression stops firing, e.g. February 30
+ */
+function nextOccurrences(schedule, timezone, from, count) {
+  const matcher = compile(schedule);
+  const start = from.getTime();
+  const occurrences = [];
+
+  const firstDay = localDay(start, timezone);
+  for (let day = firstDay; day < firstDay + SEARCH_DAYS && occurrences.length < count; day++) {
+    if (!matchesDay(matcher, day)) {
+      continue;
+    }
+
+    const instants = dayOccurrences(matcher, timezone, day);
+    for (let i = 0; i < instants.length && occurrences.length < count; i++) {
+      if (instants[i] > start) {
+        occurrences.push(new Date(instants[i]));
+      }
+    }
+  }
+
+  return occurrences;
+}
+
+module.exports = {
+  latestOccurrences,
+  nextOccurrences
+};
@@ -0,0 +1,62 @@
+/**
+ * Built-in Scheduler Tasks
+ *
+ * Registers the task handlers that persisted jobs can run. Each handler
+ * receives the job's parameters (merged over `defaultParams`) and returns
+ * a summary of the run.
+ */
+
+const taskRegistry = require('./TaskRegistry');
+const OAuthService = require('../api/oauthService');
+const IdentityService = require('../api/identityService');
+const SyncService = require('../extractor/SyncService');
+
+taskRegistry.register('refresh-expiring-tokens', () => OAuthService.refreshExpiringTokens(), {
+  description: 'Refresh LinkedIn access tokens that expire soon'
+});
+
+taskRegistry.register('retry-token-revocations', params => OAuthService.retryFailedRevocations(params), {
+  description: 'Retry LinkedIn token revocations that failed on logout or account deletion',
+  defaultParams: { limit: 50 }
+});
+
+taskRegistry.register('resync-profiles', params => IdentityService.resyncStaleProfiles(params), {
+  description: 'Refresh LinkedIn name, email, avatar and locale of users with stale profiles',
+  defaultParams: { maxAgeHours: 24, limit: 100 }
+});
+
+taskRegistry.register('sync-user', async params => {
+  if (!params.userId) {
+    throw new Error('sync-user needs a userId parameter');
+  }
+
+  const report = await SyncService.syncUser(params.userId, {
+    trigger: 'scheduler',
+    sources: params.sources || null,
+    full: Boolean(params.full)
+  });
+  if (report.status === 'failed') {
+    throw new Error(report.failures.map(failure => failure.message).join('; '));
+  }
+  const { _id, status, events } = report.toObject();
+  return { syncRunId: _id, status, events };
+}, {
+  description: 'Sync one user\'s activity from all pull sources'
+});
+
+taskRegistry.register('sync-all-users', async (params, { signal }) => {
+  const results = await SyncService.syncAllUsers({
+    concurrency: params.concurrency,
+    sources: params.sources || null,
+    full: Boolean(params.full),
+    signal
+  });
+  // Timed out or lost its lock: users not synced are picked up by the next run
+  signal.throwIfAborted();
+  return results;
+}, {
+  description: 'Sync the activity of every user with usable LinkedIn tokens',
+  defaultParams: { concurrency: 4 }
+});
+
+module.exports = taskRegistry;
@@ -10,20 +10,44 @@ const session = require('express-session');
 const config = require('../config/config');
 const { connectDB } = require('../database/config');
 const OAuthController = require('./api/oauthController');
-const { requireAuth, withAccessToken, optionalAuth } = require('./api/authMiddleware');
+const ImportController = require('./api/importController');
+const ActivityController = require('./api/activityController');
+const EventController = require('./api/eventController');
+const ProfileController = require('./api/profileController');
+const IngestionController = require('./api/ingestionController');
+const SyncController = require('./api/syncController');
+const VisualizationController = require('./api/visualizationController');
+const AccessTokenController = require('./api/accessTokenController');
+const SessionController = require('./api/sessionController');
+const SchedulerController = require('./api/schedulerController');
+const SessionStore = require('./storage/SessionStore');
+const scheduler = require('./scheduler/CronScheduler');
+const defaultJobs = require('./scheduler/defaultJobs');
+const {
+  requireAuth,
+  withAccessToken,
+  optionalAuth,
+  requireScope,
+  requireSession,
+  trackSessionClient,
+  requireIngestionToken
+} = require('./api/authMiddleware');
 const OAuthService = require('./api/oauthService');
 
 // Initialize Express app
 const app = express();
 
 // Middleware
-app.use(express.json());
+// JSON limit is raised from the 100kb default for bulk activity uploads
+app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Session configuration
-// In production, use a proper session store like Redis or connect-mongo
+// Sessions are stored in MongoDB so logins survive restarts and are shared
+// by all instances
 app.use(session({
   secret: config.session.secret,
+  store: new SessionStore(),
   resave: false,
   saveUninitialized: false,
   cookie: {
@@ -33,6 +57,7 @@ app.use(session({
     maxAge: 24 * 60 * 60 * 1000 // 24 hours
   }
 }));
+app.use(trackSessionClient);
 
 // ============================================================================
 // OAuth Routes
@@ -76,22 +101,43 @@ app.post('/auth/refresh', OAuthController.refresh);
  * Example protected route
  * Requires authentication to access
  */
-app.get('/api/profile', requireAuth, async (req, res) => {
+app.get('/api/profile', requireAuth, requireScope('activity:read'), async (req, res) => {
   res.json({
     message: 'This is a protected route',
     user: {
       id: req.user._id,
       name: req.user.name,
-      linkedin_url: req.user.linkedin_url
+      linkedin_id: req.user.linkedin_id,
+      linkedin_url: req.user.linkedin_url,
+      email: req.user.email,
+      email_verified: req.user.email_verified,
+      avatar_url: req.user.avatar_url,
+      locale: req.user.locale,
+      profile_synced_at: req.user.profile_synced_at,
+      reauth_required_at: req.user.reauth_required_at,
+      timezone: req.user.timezone,
+      public_heatmap: req.user.public_heatmap
     }
   });
 });
 
+/**
+ * Update profile settings (timezone, public_heatmap)
+ * Changing the timezone re-buckets activity events into days
+ */
+app.patch('/api/profile', requireAuth, requireScope('activity:write'), ProfileController.update);
+
+/**
+ * Delete the account and all of its data
+ * Body: { confirm: true }; LinkedIn tokens are revoked at LinkedIn
+ */
+app.delete('/api/profile', requireAuth, requireSession, ProfileController.deleteAccount);
+
 /**
  * Example route that makes authenticated API calls to LinkedIn
  * Automatically gets and refreshes access token if needed
  */
-app.get('/api/linkedin/userinfo', requireAuth, withAccessToken, async (req, res) => {
+app.get('/api/linkedin/userinfo', requireAuth, requireScope('activity:read'), withAccessToken, async (req, res) => {
   try {
     // Use req.accessToken to make authenticated API calls
     const userInfo = await OAuthService.getUserInfo(req.accessToken);
@@ -129,6 +175,229 @@ app.get('/api/public', optionalAuth, (req, res) => {
   res.json(response);
 });
 
+// ============================================================================
+// Activity Routes
+// ============================================================================
+
+/**
+ * Create the activity record for one day
+ * Body: { date: 'YYYY-MM-DD', posts, likes, comments }
+ */
+app.post('/api/activities', requireAuth, requireScope('activity:write'), ActivityController.create);
+
+/**
+ * Create or update many days at once
+ * Body: JSON array of records, or text/csv with a date,posts,likes,comments header
+ */
+app.post(
+  '/api/activities/bulk',
+  requireAuth,
+  requireScope('activity:write'),
+  express.text({ type: 'text/csv', limit: '5mb' }),
+  ActivityController.bulkUpsert
+);
+
+/**
+ * Recompute daily counters from activity events
+ * Body: { from?: 'YYYY-MM-DD', to?: 'YYYY-MM-DD' }
+ */
+app.post('/api/activities/rollup', requireAuth, requireScope('activity:write'), EventController.rollup);
+
+/**
+ * Update counters of an existing day
+ */
+app.put('/api/activities/:date', requireAuth, requireScope('activity:write'), ActivityController.update);
+
+/**
+ * List individual activity events
+ * Query: from=YYYY-MM-DD, to=YYYY-MM-DD (optional), limit
+ */
+app.get('/api/events', requireAuth, requireScope('activity:read'), EventController.list);
+
+/**
+ * Delete an event (e.g. a double count) and recompute its day
+ */
+app.delete('/api/events/:id', requireAuth, requireScope('activity:write'), EventController.remove);
+
+/**
+ * Import a LinkedIn data export archive
+ * Body is the raw ZIP from LinkedIn's "Get a copy of your data"
+ */
+app.post(
+  '/api/import/linkedin-archive',
+  requireAuth,
+  requireScope('activity:write'),
+  express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '50mb' }),
+  ImportController.importArchive
+);
+
+// ============================================================================
+// Visualization Routes
+// ============================================================================
+
+/**
+ * Gap-filled daily activity series for the heatmap (`:id` may be `me`)
+ * Query: from=YYYY-MM-DD, to=YYYY-MM-DD, types=posts,likes,comments
+ */
+app.get('/api/users/:id/calendar', requireAuth, requireScope('activity:read'), VisualizationController.calendar);
+
+/**
+ * Streaks, averages, busiest day and yearly totals (`:id` may be `me`)
+ * Query: from, to, types, threshold (minimum count of an active day)
+ */
+app.get('/api/users/:id/stats', requireAuth, requireScope('activity:read'), VisualizationController.stats);
+
+/**
+ * Public SVG heatmap for users who set `public_heatmap` (no auth)
+ * Query: theme=dark|light, size=small|medium|large, from, to, types
+ */
+app.get('/api/users/:id/heatmap.svg', VisualizationController.heatmapSvg);
+
+/**
+ * Public SVG badge for users who set `public_heatmap` (no auth)
+ * Query: metric=total|streak|longest, theme, label, from, to, types
+ */
+app.get('/api/users/:id/badge.svg', VisualizationController.badgeSvg);
+
+// ============================================================================
+// Sync Routes
+// ============================================================================
+
+/**
+ * Pull activity from all registered sources and update the heatmap data
+ * Body: { sources?: [...], full?: boolean }
+ */
+app.post('/api/sync', requireAuth, requireScope('activity:write'), SyncController.sync);
+
+/**
+ * List recent sync reports
+ */
+app.get('/api/sync/runs', requireAuth, requireScope('activity:read'), SyncController.listRuns);
+
+// ============================================================================
+// Personal Access Token Routes
+// ============================================================================
+
+/**
+ * Issue a personal access token (plaintext is returned once)
+ * Body: { name, scopes?, expires_in_days? }
+ */
+app.post('/api/access-tokens', requireAuth, requireSession, AccessTokenController.createToken);
+
+/**
+ * List personal access tokens
+ */
+app.get('/api/access-tokens', requireAuth, requireSession, AccessTokenController.listTokens);
+
+/**
+ * Revoke a personal access token
+ */
+app.delete('/api/access-tokens/:id', requireAuth, requireSession, AccessTokenController.revokeToken);
+
+// ============================================================================
+// Session Management Routes
+// ============================================================================
+
+/**
+ * List active login sessions (device, IP, last seen)
+ */
+app.get('/api/sessions', requireAuth, requireSession, SessionController.listSessions);
+
+/**
+ * Revoke all sessions except the current one
+ */
+app.delete('/api/sessions', requireAuth, requireSession, SessionController.revokeOtherSessions);
+
+/**
+ * Revoke a session (revoking the current one logs out)
+ */
+app.delete('/api/sessions/:id', requireAuth, requireSession, SessionController.revokeSession);
+
+// ============================================================================
+// Ingestion Routes (browser extension and other push clients)
+// ============================================================================
+
+/**
+ * Issue an ingestion token (plaintext is returned once)
+ * Body: { name, source?, scopes? }
+ */
+app.post('/api/ingestion-tokens', requireAuth, requireSession, IngestionController.createToken);
+
+/**
+ * List ingestion tokens
+ */
+app.get('/api/ingestion-tokens', requireAuth, requireSession, IngestionController.listTokens);
+
+/**
+ * Revoke an ingestion token
+ */
+app.delete('/api/ingestion-tokens/:id', requireAuth, requireSession, IngestionController.revokeToken);
+
+/**
+ * Ingest a batch of activity events
+ * Authenticated with `Authorization: Bearer <ingestion token>`
+ */
+app.post('/api/ingest/events', requireIngestionToken('events:write'), IngestionController.ingestEvents);
+
+// ============================================================================
+// Scheduler Routes (admin)
+// ============================================================================
+
+/**
+ * Jobs scheduled in this process with their last outcomes
+ */
+app.get('/api/scheduler/status', requireAuth, requireScope('admin'), SchedulerController.status);
+
+/**
+ * List persisted job definitions
+ */
+app.get('/api/scheduler/jobs', requireAuth, requireScope('admin'), SchedulerController.listJobs);
+
+/**
+ * Create a persisted job
+ * Body: name, task, schedule and optional settings
+ */
+app.post('/api/scheduler/jobs', requireAuth, requireScope('admin'), SchedulerController.createJob);
+
+/**
+ * Next fire times of a cron expression
+ * Query: schedule, timezone, count
+ */
+app.get('/api/scheduler/preview', requireAuth, requireScope('admin'), SchedulerController.preview);
+
+/**
+ * Get a job with its last success, last failure and consecutive failures
+ */
+app.get('/api/scheduler/jobs/:name', requireAuth, requireScope('admin'), SchedulerController.getJob);
+
+/**
+ * Edit a job and restart it
+ */
+app.patch('/api/scheduler/jobs/:name', requireAuth, requireScope('admin'), SchedulerController.updateJob);
+
+/**
+ * Stop and delete a job
+ */
+app.delete('/api/scheduler/jobs/:name', requireAuth, requireScope('admin'), SchedulerController.deleteJob);
+
+/**
+ * Pause or resume a job
+ */
+app.post('/api/scheduler/jobs/:name/pause', requireAuth, requireScope('admin'), SchedulerController.pauseJob);
+app.post('/api/scheduler/jobs/:name/resume', requireAuth, requireScope('admin'), SchedulerController.resumeJob);
+
+/**
+ * Run a job now
+ * Query: wait=true to respond with the run's outcome
+ */
+app.post('/api/scheduler/jobs/:name/run', requireAuth, requireScope('admin'), SchedulerController.triggerJob);
+
+/**
+ * Paginated run history of a job
+ * Query: page, limit
+ */
+app.get('/api/scheduler/jobs/:name/runs', requireAuth, requireScope('admin'), SchedulerController.listRuns);
+
 // ============================================================================
 // Public Routes
 // ============================================================================
@@ -205,11 +474,171 @@ app.get('/', (req, res) => {
           Get user profile (requires authentication)
         </div>
         
+        <div class="endpoint">
+          <strong>PATCH /api/profile</strong> (Protected)<br>
+          Update profile settings such as timezone
+        </div>
+        
+        <div class="endpoint">
+          <strong>DELETE /api/profile</strong> (Protected)<br>
+          Delete your account and data; revokes your LinkedIn tokens
+        </div>
+        
         <div class="endpoint">
           <strong>GET /api/linkedin/userinfo</strong> (Protected)<br>
           Get LinkedIn user info (requires authentication)
         </div>
         
+        <div class="endpoint">
+          <strong>POST /api/activities</strong> (Protected)<br>
+          Create the activity record for one day
+        </div>
+        
+        <div class="endpoint">
+          <strong>PUT /api/activities/:date</strong> (Protected)<br>
+          Update posts/likes/comments for an existing day
+        </div>
+        
+        <div class="endpoint">
+          <strong>POST /api/activities/bulk</strong> (Protected)<br>
+          Create or update many days from a JSON array or CSV body
+        </div>
+        
+        <div class="endpoint">
+          <strong>POST /api/activities/rollup</strong> (Protected)<br>
+          Recompute daily counters from individual events
+        </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/events</strong> (Protected)<br>
+          List individual posts, comments and reactions for a day or range
+        </div>
+        
+        <div class="endpoint">
+          <strong>DELETE /api/events/:id</strong> (Protected)<br>
+          Delete an event and recompute its day
+        </div>
+        
+        <div class="endpoint">
+          <strong>POST /api/import/linkedin-archive</strong> (Protected)<br>
+          Import a LinkedIn data export ZIP into your activity history
+        </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/users/:id/calendar</strong> (Protected)<br>
+          Daily activity series for the heatmap (use <code>me</code> as the ID)
+        </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/users/:id/stats</strong> (Protected)<br>
+          Streaks, busiest day, averages and yearly totals
+        </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/users/:id/heatmap.svg</strong> (Public, opt-in)<br>
+          Embeddable SVG heatmap (enable with <code>public_heatmap</code> in PATCH /api/profile)
+        </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/users/:id/badge.svg</strong> (Public, opt-in)<br>
+          Embeddable activity badge
+        </div>
+        
+        <div class="endpoint">
+          <strong>POST /api/sync</strong> (Protected)<br>
+          Pull activity from all sources and update your activity history
+        </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/sync/runs</strong> (Protected)<br>
+          List recent sync reports
+        </div>
+        
+        <div class="endpoint">
+          <strong>POST /api/access-tokens</strong> (Protected)<br>
+          Issue a personal access token for scripts and other non-browser clients
+        </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/access-tokens</strong> (Protected)<br>
+          List your personal access tokens
+        </div>
+        
+        <div class="endpoint">
+          <strong>DELETE /api/access-tokens/:id</strong> (Protected)<br>
+          Revoke a personal access token
+        </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/sessions</strong> (Protected)<br>
+          List your active login sessions with device, IP and last activity
+        </div>
+        
+        <div class="endpoint">
+          <strong>DELETE /api/sessions/:id</strong> (Protected)<br>
+          Revoke a login session
+        </div>
+        
+        <div class="endpoint">
+          <strong>DELETE /api/sessions</strong> (Protected)<br>
+          Revoke all other login sessions
+        </div>
+        
+        <div class="endpoint">
+          <strong>POST /api/ingestion-tokens</strong> (Protected)<br>
+          Issue an ingestion token for the browser extension
+        </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/ingestion-tokens</strong> (Protected)<br>
+          List your ingestion tokens
+        </div>
+        
+        <div class="endpoint">
+          <strong>DELETE /api/ingestion-tokens/:id</strong> (Protected)<br>
+          Revoke an ingestion token
+        </div>
+        
+        <div class="endpoint">
+          <strong>POST /api/ingest/events</strong> (Ingestion token)<br>
+          Push a batch of activity events
+        </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/scheduler/status</strong> (Admin)<br>
+          Jobs scheduled in this process with their last outcomes
+        </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/scheduler/jobs</strong> (Admin)<br>
+          List scheduler jobs; <code>/api/scheduler/jobs/:name</code> gets one
+        </div>
+        
+        <div class="endpoint">
+          <strong>POST /api/scheduler/jobs</strong> (Admin)<br>
+          Create a scheduler job; <code>PATCH</code> and <code>DELETE /api/scheduler/jobs/:name</code> edit and delete one
+        </div>
+        
+        <div class="endpoint">
+          <strong>POST /api/scheduler/jobs/:name/pause</strong> (Admin)<br>
+          Pause a job; <code>/resume</code> starts it again
+        </div>
+        
+        <div class="endpoint">
+          <strong>POST /api/scheduler/jobs/:name/run</strong> (Admin)<br>
+          Run a job now
+        </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/scheduler/jobs/:name/runs</strong> (Admin)<br>
+          Paginated run history of a job
+        </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/scheduler/preview?schedule=...</strong> (Admin)<br>
+          Next fire times of a cron expression
+        </div>
+        
         <div class="endpoint">
           <strong>GET /api/public</strong><br>
           Public endpoint with optional authentication
@@ -267,12 +696,34 @@ app.use((err, req, res) => {
 // Server Startup
 // ============================================================================
 
+/**
+ * Create missing default jobs and start every enabled persisted job
+ * Does nothing when SCHEDULER_ENABLED=false
+ */
+async function startScheduledJobs() {
+  if (!config.scheduler.enabled) {
+    console.log('⚠️  Scheduler is disabled in configuration');
+    return;
+  }
+
+  try {
+    await scheduler.installJobs(defaultJobs);
+    const result = await scheduler.loadJobs();
+    console.log(`✓ Scheduler started ${result.loaded.length} job(s)`);
+  } catch (error) {
+    // The API keeps working without scheduled jobs
+    console.error('✗ Failed to start scheduler:', error.message);
+  }
+}
+
 async function startServer() {
   try {
     // Connect to database
     await connectDB();
     console.log('✓ Connected to database');
 
+    await startScheduledJobs();
+
     // Start server
     const port = config.port;
     app.listen(port, () => {
@@ -286,7 +737,43 @@ async function startServer() {
       console.log('  POST /auth/logout                - Logout');
       console.log('  POST /auth/refresh               - Refresh access token');
       console.log('  GET  /api/profile                - Get user profile (protected)');
+      console.log('  PATCH /api/profile               - Update profile settings (protected)');
+      console.log('  DELETE /api/profile              - Delete account (protected)');
       console.log('  GET  /api/linkedin/userinfo      - Get LinkedIn user info (protected)');
+      console.log('  POST /api/activities             - Create daily activity (protected)');
+      console.log('  PUT  /api/activities/:date       - Update daily activity (protected)');
+      console.log('  POST /api/activities/bulk        - Bulk upsert JSON or CSV (protected)');
+      console.log('  POST /api/activities/rollup      - Recompute activity from events (protected)');
+      console.log('  GET  /api/events                 - List activity events (protected)');
+      console.log('  DELETE /api/events/:id           - Delete activity event (protected)');
+      console.log('  POST /api/import/linkedin-archive - Import LinkedIn data export (protected)');
+      console.log('  GET  /api/users/:id/calendar     - Heatmap activity series (protected)');
+      console.log('  GET  /api/users/:id/stats        - Streaks and activity statistics (protected)');
+      console.log('  GET  /api/users/:id/heatmap.svg  - Public SVG heatmap (opt-in)');
+      console.log('  GET  /api/users/:id/badge.svg    - Public SVG badge (opt-in)');
+      console.log('  POST /api/sync                   - Sync activity from sources (protected)');
+      console.log('  GET  /api/sync/runs              - List sync reports (protected)');
+      console.log('  POST /api/access-tokens          - Issue personal access token (protected)');
+      console.log('  GET  /api/access-tokens          - List personal access tokens (protected)');
+      console.log('  DELETE /api/access-tokens/:id    - Revoke personal access token (protected)');
+      console.log('  GET  /api/sessions               - List login sessions (protected)');
+      console.log('  DELETE /api/sessions/:id         - Revoke login session (protected)');
+      console.log('  DELETE /api/sessions             - Revoke other login sessions (protected)');
+      console.log('  POST /api/ingestion-tokens       - Issue ingestion token (protected)');
+      console.log('  GET  /api/ingestion-tokens       - List ingestion tokens (protected)');
+      console.log('  DELETE /api/ingestion-tokens/:id - Revoke ingestion token (protected)');
+      console.log('  POST /api/ingest/events          - Ingest activity events (ingestion token)');
+      console.log('  GET  /api/scheduler/status       - Scheduler status (admin)');
+      console.log('  GET  /api/scheduler/jobs         - List scheduler jobs (admin)');
+      console.log('  POST /api/scheduler/jobs         - Create scheduler job (admin)');
+      console.log('  GET  /api/scheduler/jobs/:name   - Get scheduler job (admin)');
+      console.log('  PATCH /api/scheduler/jobs/:name  - Edit scheduler job (admin)');
+      console.log('  DELETE /api/scheduler/jobs/:name - Delete scheduler job (admin)');
+      console.log('  POST /api/scheduler/jobs/:name/pause - Pause scheduler job (admin)');
+      console.log('  POST /api/scheduler/jobs/:name/resume - Resume scheduler job (admin)');
+      console.log('  POST /api/scheduler/jobs/:name/run - Run scheduler job now (admin)');
+      console.log('  GET  /api/scheduler/jobs/:name/runs - Job run history (admin)');
+      console.log('  GET  /api/scheduler/preview      - Preview cron fire times (admin)');
       console.log('  GET  /api/public                 - Public endpoint');
       console.log('  GET  /health                     - Health check');
     });
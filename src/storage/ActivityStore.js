@@ -0,0 +1,240 @@
+/**
+ * Activity Store
+ *
+ * Persistence helpers for the daily `Activity` collection. Every writer
+ * goes through here so that dates are bucketed the same way: one document
+ * per user per calendar day, stored as midnight UTC of that day.
+ *
+ * Counters are either entered directly (REST API, `source: 'manual'`) or
+ * derived from ActivityEvent documents by rollupFromEvents()
+ * (`source: 'events'`).
+ */
+
+const mongoose = require('mongoose');
+const { Activity, ActivityEvent, User } = require('../../database/models');
+
+const COUNTER_FIELDS = ['posts', 'likes', 'comments'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * MongoDB duplicate key error code
+ */
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Maps event types to the Activity counter they contribute to
+ */
+const EVENT_COUNTERS = {
+  post: 'posts',
+  comment: 'comments',
+  reaction: 'likes'
+};
+
+class ActivityStore {
+  /**
+   * Normalize a date-like value to midnight UTC of its calendar day
+   * @param {Date|string|number} value - Date, ISO string or YYYY-MM-DD
+   * @returns {Date|null} Normalized date, or null if the value is not a valid date
+   */
+  static normalizeDate(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+  }
+
+  /**
+   * Format a date as a YYYY-MM-DD day key
+   * @param {Date} date - Date to format
+   * @returns {string} Day key
+   */
+  static toDayKey(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Format an instant as a YYYY-MM-DD day key in a timezone
+   * @param {Date} date - Instant to format
+   * @param {string} timezone - IANA timezone
+   * @returns {string} Day key
+   */
+  static toZonedDayKey(date, timezone) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(date);
+  }
+
+  /**
+   * Upsert daily counters for a user
+   *
+   * Counters present on a day are set (not incremented), so re-running the
+   * same import is idempotent. Counters missing from a day are left untouched.
+   *
+   * @param {string} userId - User ID
+   * @param {Array<Object>} days - Items of { date, posts?, likes?, comments? }
+   * @returns {Promise<Object>} { matched, modified, upserted }
+   */
+  static async upsertDailyCounts(userId, days) {
+    if (!days.length) {
+      return { matched: 0, modified: 0, upserted: 0 };
+    }
+
+    const operations = days.map(day => {
+      const counters = {};
+      COUNTER_FIELDS.forEach(field => {
+        if (day[field] !== undefined) {
+          counters[field] = day[field];
+        }
+      });
+
+      return {
+        updateOne: {
+          filter: { user_id: userId, date: this.normalizeDate(day.date) },
+          update: { $set: { ...counters, source: 'manual' } },
+          upsert: true
+        }
+      };
+    });
+
+    const result = await Activity.bulkWrite(operations, { ordered: false });
+
+    return {
+      matched: result.matchedCount,
+      modified: result.modifiedCount,
+      upserted: result.upsertedCount
+    };
+  }
+
+  /**
+   * Recompute daily counters from the user's ActivityEvent documents
+   *
+   * Events are bucketed into calendar days in the user's timezone. Days in
+   * the range are overwritten with the derived counts and marked
+   * `source: 'events'`; previously derived days that no longer have events
+   * (deleted duplicates, re-bucketing after a timezone change) are removed.
+   * Manually entered days are left alone, even when they also have events:
+   * counters written through the API take precedence over derived ones.
+   * The upserts only match derived days, so a day entered manually while
+   * the rollup runs is kept too (its upsert fails on the unique index).
+   *
+   * @param {string} userId - User ID
+   * @param {Object} options - Rollup options
+   * @param {Date|string} options.from - First instant or YYYY-MM-DD day to recompute (default: all history)
+   * @param {Date|string} options.to - Last instant or YYYY-MM-DD day to recompute (default: all history)
+   * @param {string} options.timezone - Timezone override (default: the user's timezone)
+   * @returns {Promise<Object>} { timezone, from, to, days, kept, removed }
+   */
+  static async rollupFromEvents(userId, options = {}) {
+    let { timezone } = options;
+    if (!timezone) {
+      const user = await User.findById(userId).select('timezone');
+      timezone = user?.timezone || 'UTC';
+    }
+
+    const toKey = value => (typeof value === 'string' ? value : this.toZonedDayKey(value, timezone));
+    const fromDay = options.from ? toKey(options.from) : null;
+    const toDay = options.to ? toKey(options.to) : null;
+
+    const match = { user_id: new mongoose.Types.ObjectId(userId) };
+    if (fromDay || toDay) {
+      // Pad by a day on each side so every timezone offset is covered
+      match.occurred_at = {};
+      if (fromDay) {
+        match.occurred_at.$gte = new Date(new Date(`${fromDay}T00:00:00Z`).getTime() - DAY_MS);
+      }
+      if (toDay) {
+        match.occurred_at.$lt = new Date(new Date(`${toDay}T00:00:00Z`).getTime() + 2 * DAY_MS);
+      }
+    }
+
+    const groups = await ActivityEvent.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$occurred_at', timezone } },
+            type: '$type'
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const days = new Map();
+    groups.forEach(({ _id, count }) => {
+      if ((fromDay && _id.day < fromDay) || (toDay && _id.day > toDay)) {
+        return;
+      }
+      if (!days.has(_id.day)) {
+        days.set(_id.day, { posts: 0, likes: 0, comments: 0 });
+      }
+      days.get(_id.day)[EVENT_COUNTERS[_id.type]] += count;
+    });
+
+    const dayDates = Array.from(days.keys()).map(day => new Date(`${day}T00:00:00Z`));
+
+    const manualDays = dayDates.length > 0
+      ? await Activity.find({ user_id: userId, date: { $in: dayDates }, source: 'manual' }).select('date')
+      : [];
+    manualDays.forEach(activity => days.delete(this.toDayKey(activity.date)));
+
+    let kept = manualDays.length;
+    if (days.size > 0) {
+      try {
+        await Activity.bulkWrite(Array.from(days.entries()).map(([day, counters]) => ({
+          updateOne: {
+            filter: { user_id: userId, date: new Date(`${day}T00:00:00Z`), source: { $ne: 'manual' } },
+            update: { $set: { ...counters, source: 'events' } },
+            upsert: true
+          }
+        })), { ordered: false });
+      } catch (error) {
+        // Days that became manual since they were looked up
+        const writeErrors = error.writeErrors || [];
+        if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY)) {
+          throw error;
+        }
+        kept += writeErrors.length;
+      }
+    }
+
+    const staleFilter = {
+      user_id: userId,
+      source: 'events',
+      date: { $nin: dayDates }
+    };
+    if (fromDay) {
+      staleFilter.date.$gte = new Date(`${fromDay}T00:00:00Z`);
+    }
+    if (toDay) {
+      staleFilter.date.$lte = new Date(`${toDay}T00:00:00Z`);
+    }
+    const removed = await Activity.deleteMany(staleFilter);
+
+    return {
+      timezone,
+      from: fromDay,
+      to: toDay,
+      days: days.size - (kept - manualDays.length),
+      kept,
+      removed: removed.deletedCount
+    };
+  }
+}
+
+ActivityStore.COUNTER_FIELDS = COUNTER_FIELDS;
+ActivityStore.EVENT_COUNTERS = EVENT_COUNTERS;
+
+module.exports = ActivityStore;
@@ -0,0 +1,95 @@
+/**
+ * Event Store
+ *
+ * Write path for the event-level `ActivityEvent` collection. Importers,
+ * extension ingestion and the extractor record events here; daily
+ * `Activity` counters are then recomputed with ActivityStore.rollupFromEvents().
+ */
+
+const { ActivityEvent } = require('../../database/models');
+
+class EventStore {
+  /**
+   * Insert events for a user, skipping ones already recorded
+   *
+   * Events are deduplicated on (user, source, source_id), so sending the same
+   * batch twice is safe.
+   *
+   * @param {string} userId - User ID
+   * @param {Array<Object>} events - Items of { type, source, source_id, occurred_at, url?, text?, metadata? }
+   * @returns {Promise<Object>} { inserted, duplicates, insertedIds, range } where
+   *   range is { from, to } covering the inserted events (or null)
+   */
+  static async recordEvents(userId, events) {
+    const result = {
+      inserted: 0,
+      duplicates: [],
+      insertedIds: [],
+      range: null
+    };
+
+    if (!events.length) {
+      return result;
+    }
+
+    const operations = events.map(event => ({
+      updateOne: {
+        filter: { user_id: userId, source: event.source, source_id: event.source_id },
+        update: {
+          $setOnInsert: {
+            type: event.type,
+            occurred_at: event.occurred_at,
+            url: event.url || undefined,
+            text: event.text || undefined,
+            metadata: event.metadata || undefined
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    const writeResult = await ActivityEvent.bulkWrite(operations, { ordered: false });
+    const upsertedIds = writeResult.upsertedIds || {};
+
+    events.forEach((event, index) => {
+      if (upsertedIds[index] === undefined) {
+        result.duplicates.push(event.source_id);
+        return;
+      }
+
+      result.inserted++;
+      result.insertedIds.push(upsertedIds[index]);
+
+      const occurredAt = new Date(event.occurred_at);
+      if (!result.range) {
+        result.range = { from: occurredAt, to: occurredAt };
+      } else if (occurredAt < result.range.from) {
+        result.range.from = occurredAt;
+      } else if (occurredAt > result.range.to) {
+        result.range.to = occurredAt;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * List a user's events in a time range, newest first
+   * @param {string} userId - User ID
+   * @param {Object} range - { from, to } Date bounds (inclusive from, exclusive to)
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} Event documents
+   */
+  static async listEvents(userId, range, options = {}) {
+    const { limit = 500 } = options;
+
+    return ActivityEvent.find({
+      user_id: userId,
+      occurred_at: { $gte: range.from, $lt: range.to }
+    })
+      .sort({ occurred_at: -1 })
+      .limit(limit);
+  }
+}
+
+module.exports = EventStore;
@@ -0,0 +1,165 @@
+/**
+ * Job Run Store
+ *
+ * Run history of scheduler jobs in the `JobRun` collection. Recording is
+ * skipped while MongoDB is not connected, so in-memory jobs keep working
+ * without a database (e.g. src/scheduler/example.js).
+ *
+ * Scheduled runs record their cron occurrence (`scheduled_for`), which is
+ * unique per job: the first instance to record an occurrence runs it.
+ */
+
+const mongoose = require('mongoose');
+const config = require('../../config/config');
+const { JobRun } = require('../../database/models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * MongoDB duplicate key error code
+ */
+const DUPLICATE_KEY = 11000;
+
+class JobRunStore {
+  /**
+   * Check whether run history (and the scheduler's locks) can be used
+   * @returns {boolean}
+   */
+  static isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Record the start of a run
+   *
+   * Throws a duplicate key error (code 11000) when `scheduledFor` was
+   * already recorded for the job, i.e. the occurrence has been run.
+   *
+   * @param {string} jobName - Job name
+   * @param {Object} options - { task, trigger, startedAt, scheduledFor, instance }
+   * @returns {Promise<Object|null>} JobRun document, or null when not recorded
+   */
+  static async start(jobName, options = {}) {
+    if (!this.isConnected()) {
+      return null;
+    }
+
+    const startedAt = options.startedAt || new Date();
+    try {
+      return await JobRun.create({
+        job_name: jobName,
+        task: options.task || null,
+        trigger: options.trigger || 'schedule',
+        scheduled_for: options.scheduledFor || null,
+        instance: options.instance || null,
+        started_at: startedAt,
+        expires_at: new Date(startedAt.getTime() + config.scheduler.runRetentionDays * DAY_MS)
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        throw error;
+      }
+      console.error(`[Scheduler] Failed to record run of "${jobName}":`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record the outcome of a run
+   * @param {Object|null} run - JobRun document from start()
+   * @param {Object} outcome - { status: 'success'|'failed', attempts?, summary?, error? }
+   * @returns {Promise<void>}
+   */
+  static async finish(run, outcome) {
+    if (!run) {
+      return;
+    }
+
+    const finishedAt = new Date();
+    run.status = outcome.status;
+    run.finished_at = finishedAt;
+    run.duration_ms = finishedAt - run.started_at;
+    run.attempts = outcome.attempts || 1;
+    run.summary = outcome.summary === undefined ? null : outcome.summary;
+    run.error = outcome.error
+      ? { message: outcome.error.message, stack: outcome.error.stack || null }
+      : null;
+
+    try {
+      await run.save();
+    } catch (error) {
+      console.error(`[Scheduler] Failed to record outcome of "${run.job_name}":`, error.message);
+    }
+  }
+
+  /**
+   * Find which cron occurrences of a job have been recorded
+   * @param {string} jobName - Job name
+   * @param {Array<Date>} occurrences - Occurrences to look up
+   * @returns {Promise<Set<number>>} Times (ms) of the recorded occurrences
+   */
+  static async findRecordedOccurrences(jobName, occurrences) {
+    const runs = await JobRun.find({ job_name: jobName, scheduled_for: { $in: occurrences } })
+      .select('scheduled_for')
+      .lean();
+    return new Set(runs.map(run => run.scheduled_for.getTime()));
+  }
+
+  /**
+   * Fail runs left `running` by other instances
+   *
+   * Called by the holder of a job's lock: any other instance's run still
+   * marked running lost its lock, so its process stopped responding.
+   *
+   * @param {string} jobName - Job name
+   * @param {string} instance - Instance that holds the lock
+   * @returns {Promise<number>} Number of runs marked failed
+   */
+  static async failAbandoned(jobName, instance) {
+    const now = new Date();
+    const result = await JobRun.updateMany(
+      { job_name: jobName, status: 'running', instance: { $ne: instance } },
+      {
+        $set: {
+          status: 'failed',
+          finished_at: now,
+          error: { message: 'Abandoned: the instance running the job stopped responding', stack: null }
+        }
+      }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * List a job's runs, newest first
+   * @param {string} jobName - Job name
+   * @param {Object} options - { page = 1, limit = 20 (max 100) }
+   * @returns {Promise<Object>} { runs, pagination: { page, limit, total, pages } }
+   */
+  static async list(jobName, options = {}) {
+    const page = Math.max(1, parseInt(options.page, 10) || 1);
+    const limit = Math.min(Math.max(1, parseInt(options.limit, 10) || 20), 100);
+
+    const [runs, total] = await Promise.all([
+      JobRun.find({ job_name: jobName })
+        .sort({ started_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-expires_at')
+        .lean(),
+      JobRun.countDocuments({ job_name: jobName })
+    ]);
+
+    return {
+      runs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = JobRunStore;
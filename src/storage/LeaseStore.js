@@ -0,0 +1,122 @@
+/**
+ * Lease Store
+ *
+ * Cross-process mutual exclusion on top of the `Lease` collection. A lease
+ * is held by one owner until it is released or expires, so a crashed
+ * process cannot block others for longer than the lease duration.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const { Lease } = require('../../database/models');
+
+/**
+ * Owner ID of this process
+ */
+const PROCESS_OWNER = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * MongoDB duplicate key error code
+ */
+const DUPLICATE_KEY = 11000;
+
+class LeaseStore {
+  /**
+   * Try to acquire (or extend) a lease
+   *
+   * Succeeds when the lease is free, expired or already held by `owner`.
+   *
+   * @param {string} key - Lease name
+   * @param {number} durationMs - How long the lease is held unless released or renewed
+   * @param {string} owner - Owner ID (default: this process)
+   * @returns {Promise<boolean>} True if the lease is now held by `owner`
+   */
+  static async acquire(key, durationMs, owner = PROCESS_OWNER) {
+    const now = new Date();
+
+    try {
+      await Lease.findOneAndUpdate(
+        {
+          key,
+          $or: [{ expires_at: { $lte: now } }, { owner }]
+        },
+        {
+          $set: {
+            owner,
+            acquired_at: now,
+            expires_at: new Date(now.getTime() + durationMs)
+          }
+        },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      // Upsert collided with a live lease held by someone else
+      if (error.code === DUPLICATE_KEY) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Extend a lease held by `owner`
+   * @param {string} key - Lease name
+   * @param {number} durationMs - New duration from now
+   * @param {string} owner - Owner ID (default: this process)
+   * @returns {Promise<boolean>} False if the lease was lost to another owner
+   */
+  static async renew(key, durationMs, owner = PROCESS_OWNER) {
+    const result = await Lease.updateOne(
+      { key, owner },
+      { $set: { expires_at: new Date(Date.now() + durationMs) } }
+    );
+    return result.matchedCount === 1;
+  }
+
+  /**
+   * Release a lease held by `owner`
+   * @param {string} key - Lease name
+   * @param {string} owner - Owner ID (default: this process)
+   * @returns {Promise<boolean>} True if the lease was held and is now released
+   */
+  static async release(key, owner = PROCESS_OWNER) {
+    const result = await Lease.deleteOne({ key, owner });
+    return result.deletedCount === 1;
+  }
+
+  /**
+   * Check whether a lease is currently held by anyone
+   * @param {string} key - Lease name
+   * @returns {Promise<boolean>}
+   */
+  static async isHeld(key) {
+    const lease = await Lease.exists({ key, expires_at: { $gt: new Date() } });
+    return Boolean(lease);
+  }
+
+  /**
+   * Get the current holders of leases
+   * @param {Array<string>} keys - Lease names
+   * @returns {Promise<Object>} Map of key to { owner, acquired_at, expires_at } for leases that are held
+   */
+  static async getHolders(keys) {
+    const leases = await Lease.find({ key: { $in: keys }, expires_at: { $gt: new Date() } })
+      .select('key owner acquired_at expires_at')
+      .lean();
+
+    const holders = {};
+    leases.forEach(lease => {
+      holders[lease.key] = {
+        owner: lease.owner,
+        acquired_at: lease.acquired_at,
+        expires_at: lease.expires_at
+      };
+    });
+    return holders;
+  }
+}
+
+LeaseStore.PROCESS_OWNER = PROCESS_OWNER;
+
+module.exports = LeaseStore;
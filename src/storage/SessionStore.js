@@ -0,0 +1,225 @@
+/**
+ * Session Store
+ *
+ * express-session store backed by the `Session` collection, using the
+ * mongoose connection opened by `connectDB`. Expired sessions are ignored
+ * on read and removed by a TTL index.
+ *
+ * Sessions are also the unit users manage on `/api/sessions`: the store
+ * copies the logged-in user and the client (see trackSessionClient in
+ * authMiddleware.js) out of the session data so they can be queried.
+ */
+
+const session = require('express-session');
+const { Session } = require('../../database/models');
+const { hashToken } = require('../api/tokenUtils');
+
+/**
+ * Session lifetime when the cookie has no expiry (one day)
+ */
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Minimum time between two `last_seen_at` updates of an unchanged session
+ */
+const DEFAULT_TOUCH_AFTER_SECONDS = 60;
+
+/**
+ * Marks sessions that are in the collection (loaded from it or saved);
+ * a symbol, so it is not serialized with the session data
+ */
+const STORED = Symbol('stored');
+
+/**
+ * Summarize a user agent for display
+ * @param {string} userAgent - User-Agent header
+ * @returns {string|null} e.g. 'Chrome on macOS', or null without a user agent
+ */
+function describeUserAgent(userAgent) {
+  if (!userAgent) {
+    return null;
+  }
+
+  const browsers = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Safari\//],
+    ['curl', /^curl\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['ChromeOS', /CrOS/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return 'Unknown device';
+  }
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+}
+
+class SessionStore extends session.Store {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.ttlSeconds - Lifetime of sessions whose cookie has no expiry (default: 1 day)
+   * @param {number} options.touchAfterSeconds - Minimum time between `last_seen_at` updates (default: 60)
+   */
+  constructor(options = {}) {
+    super();
+    this.ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+    this.touchAfterSeconds = options.touchAfterSeconds ?? DEFAULT_TOUCH_AFTER_SECONDS;
+  }
+
+  /**
+   * Hash a session ID for storage and lookup
+   * @param {string} sid - Session ID
+   * @returns {string} Hex-encoded SHA-256 hash
+   */
+  static hashSessionId(sid) {
+    return hashToken(sid);
+  }
+
+  /**
+   * Compute when a session expires
+   * @param {Object} sess - Session data
+   * @returns {Date} Cookie expiry, or now + ttlSeconds
+   */
+  getExpiry(sess) {
+    const expires = sess && sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires) : new Date(Date.now() + this.ttlSeconds * 1000);
+  }
+
+  /**
+   * Load a session
+   * @param {string} sid - Session ID
+   * @param {Function} callback - (error, session|null)
+   */
+  get(sid, callback) {
+    Session.findOne({
+      sid_hash: SessionStore.hashSessionId(sid),
+      expires_at: { $gt: new Date() }
+    })
+      .select('data')
+      .lean()
+      .then(doc => callback(null, doc ? JSON.parse(doc.data) : null))
+      .catch(callback);
+  }
+
+  /**
+   * Build the session object of a loaded session, marked as stored
+   * @param {Object} req - Request (or the stub express-session passes)
+   * @param {Object} sess - Session data
+   * @returns {Object} Session
+   */
+  createSession(req, sess) {
+    const created = super.createSession(req, sess);
+    Object.defineProperty(created, STORED, { value: true });
+    return created;
+  }
+
+  /**
+   * Save a session
+   *
+   * Sessions loaded from the store are only updated, so a request still
+   * running when its session is revoked does not recreate it. Sessions
+   * created during the request are inserted.
+   *
+   * @param {string} sid - Session ID
+   * @param {Object} sess - Session data
+   * @param {Function} callback - (error)
+   */
+  set(sid, sess, callback) {
+    const client = sess.client || {};
+    const update = {
+      data: JSON.stringify(sess),
+      user_id: sess.userId || null,
+      user_agent: client.user_agent ? client.user_agent.slice(0, 512) : null,
+      device: describeUserAgent(client.user_agent),
+      ip: client.ip || null,
+      last_seen_at: new Date(),
+      expires_at: this.getExpiry(sess)
+    };
+
+    const stored = Boolean(sess[STORED]);
+    Session.updateOne(
+      { sid_hash: SessionStore.hashSessionId(sid) },
+      { $set: update },
+      { upsert: !stored }
+    )
+      .then(() => {
+        if (!stored) {
+          Object.defineProperty(sess, STORED, { value: true });
+        }
+        callback && callback(null);
+      })
+      .catch(error => (callback ? callback(error) : this.emit('error', error)));
+  }
+
+  /**
+   * Extend an unchanged session
+   *
+   * Skipped when the session was seen within `touchAfterSeconds`, so
+   * every request does not write to the database. Revoked sessions are not
+   * recreated.
+   *
+   * @param {string} sid - Session ID
+   * @param {Object} sess - Session data
+   * @param {Function} callback - (error)
+   */
+  touch(sid, sess, callback) {
+    const now = new Date();
+
+    Session.updateOne(
+      {
+        sid_hash: SessionStore.hashSessionId(sid),
+        last_seen_at: { $lte: new Date(now.getTime() - this.touchAfterSeconds * 1000) }
+      },
+      { $set: { last_seen_at: now, expires_at: this.getExpiry(sess) } }
+    )
+      .then(() => callback && callback(null))
+      .catch(error => (callback ? callback(error) : this.emit('error', error)));
+  }
+
+  /**
+   * Delete a session
+   * @param {string} sid - Session ID
+   * @param {Function} callback - (error)
+   */
+  destroy(sid, callback) {
+    Session.deleteOne({ sid_hash: SessionStore.hashSessionId(sid) })
+      .then(() => callback && callback(null))
+      .catch(error => (callback ? callback(error) : this.emit('error', error)));
+  }
+
+  /**
+   * Count active sessions
+   * @param {Function} callback - (error, count)
+   */
+  length(callback) {
+    Session.countDocuments({ expires_at: { $gt: new Date() } })
+      .then(count => callback(null, count))
+      .catch(callback);
+  }
+
+  /**
+   * Delete all sessions
+   * @param {Function} callback - (error)
+   */
+  clear(callback) {
+    Session.deleteMany({})
+      .then(() => callback && callback(null))
+      .catch(error => (callback ? callback(error) : this.emit('error', error)));
+  }
+}
+
+SessionStore.describeUserAgent = describeUserAgent;
+
+module.exports = SessionStore;
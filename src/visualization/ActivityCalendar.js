@@ -0,0 +1,203 @@
+/**
+ * Activity Calendar
+ *
+ * Builds the contribution-calendar series consumed by the heatmap
+ * (linkedin-activity-tracker/components/ActivityGraph.tsx): one entry per
+ * day in the requested range, gap-filled with zero days, with per-type
+ * counts and the same intensity levels as the frontend's getColorLevel().
+ */
+
+const { Activity } = require('../../database/models');
+const ActivityStore = require('../storage/ActivityStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Default range when `from` is omitted (one year, like the heatmap)
+ */
+const DEFAULT_RANGE_DAYS = 365;
+
+/**
+ * Longest range a single request may cover (about ten years)
+ */
+const MAX_RANGE_DAYS = 3660;
+
+/**
+ * Upper bounds of intensity levels 1-3; anything above is level 4.
+ * Keep in sync with getColorLevel() in ActivityGraph.tsx.
+ */
+const LEVEL_THRESHOLDS = [2, 4, 7];
+
+/**
+ * Error raised for invalid calendar queries
+ */
+class CalendarError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CalendarError';
+    this.code = code;
+  }
+}
+
+class ActivityCalendar {
+  /**
+   * Compute the intensity level (0-4) of a day's activity count
+   * @param {number} count - Activity count
+   * @returns {number} Level
+   */
+  static getColorLevel(count) {
+    if (count === 0) {
+      return 0;
+    }
+    const level = LEVEL_THRESHOLDS.findIndex(max => count <= max);
+    return level === -1 ? LEVEL_THRESHOLDS.length + 1 : level + 1;
+  }
+
+  /**
+   * Parse a strict YYYY-MM-DD day
+   * @param {*} value - Raw value
+   * @returns {Date|null} Midnight UTC of the day, or null if invalid
+   */
+  static parseDay(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return null;
+    }
+
+    // Reject dates like 2024-02-30 that Date silently rolls over
+    const date = ActivityStore.normalizeDate(value);
+    return date && ActivityStore.toDayKey(date) === value ? date : null;
+  }
+
+  /**
+   * Resolve query parameters into an inclusive day range
+   *
+   * `to` defaults to today in the user's timezone and `from` to one year
+   * before `to`.
+   *
+   * @param {Object} query - { from?, to? } as YYYY-MM-DD strings
+   * @param {Object} options - Range options
+   * @param {string} options.timezone - Timezone used for "today" (default: UTC)
+   * @param {number} options.defaultDays - Days covered when `from` is omitted
+   * @param {number} options.maxDays - Longest allowed range
+   * @returns {Object} { from, to } as midnight UTC dates
+   * @throws {CalendarError} If the range is invalid
+   */
+  static resolveRange(query = {}, options = {}) {
+    const {
+      timezone = 'UTC',
+      defaultDays = DEFAULT_RANGE_DAYS,
+      maxDays = MAX_RANGE_DAYS
+    } = options;
+
+    const to = query.to
+      ? this.parseDay(query.to)
+      : new Date(`${ActivityStore.toZonedDayKey(new Date(), timezone)}T00:00:00Z`);
+    const from = query.from
+      ? this.parseDay(query.from)
+      : to && new Date(to.getTime() - (defaultDays - 1) * DAY_MS);
+
+    if (!from || !to) {
+      throw new CalendarError('invalid_range', 'from and to must be valid YYYY-MM-DD dates');
+    }
+    if (from > to) {
+      throw new CalendarError('invalid_range', 'from must not be after to');
+    }
+    if ((to - from) / DAY_MS + 1 > maxDays) {
+      throw new CalendarError('range_too_large', `The range may cover at most ${maxDays} days`);
+    }
+
+    return { from, to };
+  }
+
+  /**
+   * Parse a comma-separated list of activity types
+   * @param {string|Array<string>} value - e.g. "posts,comments"; empty for all types
+   * @returns {Array<string>} Counter fields
+   * @throws {CalendarError} If a type is unknown
+   */
+  static parseTypes(value) {
+    if (value === undefined || value === null || value === '') {
+      return [...ActivityStore.COUNTER_FIELDS];
+    }
+
+    const types = (Array.isArray(value) ? value.join(',') : String(value))
+      .split(',')
+      .map(type => type.trim())
+      .filter(Boolean);
+
+    const unknown = types.filter(type => !ActivityStore.COUNTER_FIELDS.includes(type));
+    if (types.length === 0 || unknown.length > 0) {
+      throw new CalendarError(
+        'invalid_types',
+        `types must be a comma-separated subset of: ${ActivityStore.COUNTER_FIELDS.join(', ')}`
+      );
+    }
+
+    return Array.from(new Set(types));
+  }
+
+  /**
+   * Build the gap-filled daily series for a user
+   * @param {string} userId - User ID
+   * @param {Object} options - Calendar options
+   * @param {Date} options.from - First day (midnight UTC)
+   * @param {Date} options.to - Last day (midnight UTC)
+   * @param {Array<string>} options.types - Counter fields to count (default: all)
+   * @returns {Promise<Object>} { from, to, types, days, totals, max_count }
+   */
+  static async getCalendar(userId, options) {
+    const { from, to, types = ActivityStore.COUNTER_FIELDS } = options;
+
+    const records = await Activity.find({
+      user_id: userId,
+      date: { $gte: from, $lte: to }
+    })
+      .select(`date ${types.join(' ')}`)
+      .lean();
+
+    const byDay = new Map(records.map(record => [ActivityStore.toDayKey(record.date), record]));
+
+    const totals = { count: 0, active_days: 0 };
+    types.forEach(type => {
+      totals[type] = 0;
+    });
+
+    const days = [];
+    let maxCount = 0;
+    for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS) {
+      const date = ActivityStore.toDayKey(new Date(time));
+      const record = byDay.get(date);
+      const day = { date, count: 0 };
+
+      types.forEach(type => {
+        const value = record?.[type] || 0;
+        day[type] = value;
+        day.count += value;
+        totals[type] += value;
+      });
+      day.level = this.getColorLevel(day.count);
+
+      totals.count += day.count;
+      if (day.count > 0) {
+        totals.active_days += 1;
+      }
+      maxCount = Math.max(maxCount, day.count);
+      days.push(day);
+    }
+
+    return {
+      from: ActivityStore.toDayKey(from),
+      to: ActivityStore.toDayKey(to),
+      types,
+      days,
+      totals,
+      max_count: maxCount
+    };
+  }
+}
+
+ActivityCalendar.CalendarError = CalendarError;
+ActivityCalendar.DEFAULT_RANGE_DAYS = DEFAULT_RANGE_DAYS;
+ActivityCalendar.MAX_RANGE_DAYS = MAX_RANGE_DAYS;
+
+module.exports = ActivityCalendar;
@@ -0,0 +1,235 @@
+/**
+ * Activity Stats
+ *
+ * GitHub-style profile statistics computed from the daily `Activity`
+ * collection: current and longest streaks, busiest day, per-weekday and
+ * per-month averages and year-over-year totals.
+ *
+ * Grouping happens in a single aggregation; only the dates of active days
+ * are sent back for the streak scan, so multi-year histories stay cheap.
+ */
+
+const mongoose = require('mongoose');
+const { Activity } = require('../../database/models');
+const ActivityStore = require('../storage/ActivityStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Round an average to two decimals
+ * @param {number} total - Sum
+ * @param {number} count - Number of periods
+ * @returns {number} Average (0 when there are no periods)
+ */
+function average(total, count) {
+  return count > 0 ? Math.round((total / count) * 100) / 100 : 0;
+}
+
+/**
+ * Count how often each position of a cycle occurs in consecutive periods
+ * @param {number} count - Number of consecutive periods (days or months)
+ * @param {number} first - Position of the first period in the cycle
+ * @param {number} length - Length of the cycle (7 weekdays or 12 months)
+ * @returns {Array<number>} Occurrences of each position
+ */
+function countPerCycle(count, first, length) {
+  return Array.from({ length }, (_, position) => {
+    const offset = (position - first + length) % length;
+    return Math.floor(count / length) + (offset < count % length ? 1 : 0);
+  });
+}
+
+/**
+ * Find runs of consecutive days
+ * @param {Array<Date>} dates - Active days (midnight UTC), ascending
+ * @returns {Array<Object>} Runs of { start, end, length }
+ */
+function findRuns(dates) {
+  const runs = [];
+  let run = null;
+
+  dates.forEach(date => {
+    if (run && date.getTime() - run.end.getTime() === DAY_MS) {
+      run.end = date;
+      run.length += 1;
+    } else {
+      run = { start: date, end: date, length: 1 };
+      runs.push(run);
+    }
+  });
+
+  return runs;
+}
+
+/**
+ * Format a run for API responses
+ * @param {Object|null} run - { start, end, length }
+ * @returns {Object} { length, start, end } with YYYY-MM-DD days
+ */
+function formatRun(run) {
+  if (!run) {
+    return { length: 0, start: null, end: null };
+  }
+  return {
+    length: run.length,
+    start: ActivityStore.toDayKey(run.start),
+    end: ActivityStore.toDayKey(run.end)
+  };
+}
+
+class ActivityStats {
+  /**
+   * Get the first day with an Activity record
+   * @param {string} userId - User ID
+   * @returns {Promise<Date|null>} Midnight UTC of the day, or null without records
+   */
+  static async getFirstDay(userId) {
+    const first = await Activity.findOne({ user_id: userId })
+      .sort({ date: 1 })
+      .select('date')
+      .lean();
+    return first ? first.date : null;
+  }
+
+  /**
+   * Compute statistics for a user
+   *
+   * A day is active when its summed counters reach `threshold`. The
+   * current streak ends today, or yesterday when today has no activity
+   * yet, so it does not reset before the day is over.
+   *
+   * @param {string} userId - User ID
+   * @param {Object} options - Stats options
+   * @param {Date} options.from - First day (midnight UTC)
+   * @param {Date} options.to - Last day (midnight UTC), usually today
+   * @param {Array<string>} options.types - Counter fields to count (default: all)
+   * @param {number} options.threshold - Minimum count of an active day (default: 1)
+   * @returns {Promise<Object>} { from, to, types, threshold, totals, streaks, busiest_day, weekdays, months, years }
+   */
+  static async getStats(userId, options) {
+    const { from, to, types = ActivityStore.COUNTER_FIELDS, threshold = 1 } = options;
+
+    const countExpression = { $add: types.map(type => ({ $ifNull: [`$${type}`, 0] })) };
+    const typeSums = {};
+    types.forEach(type => {
+      typeSums[type] = { $sum: { $ifNull: [`$${type}`, 0] } };
+    });
+
+    const [facets] = await Activity.aggregate([
+      {
+        $match: {
+          user_id: new mongoose.Types.ObjectId(userId),
+          date: { $gte: from, $lte: to }
+        }
+      },
+      { $addFields: { count: countExpression } },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                count: { $sum: '$count' },
+                active_days: { $sum: { $cond: [{ $gte: ['$count', threshold] }, 1, 0] } },
+                ...typeSums
+              }
+            }
+          ],
+          busiest: [
+            { $sort: { count: -1, date: 1 } },
+            { $limit: 1 },
+            { $project: { _id: 0, date: 1, count: 1 } }
+          ],
+          weekdays: [
+            { $group: { _id: { $isoDayOfWeek: '$date' }, total: { $sum: '$count' } } }
+          ],
+          months: [
+            { $group: { _id: { $month: '$date' }, total: { $sum: '$count' } } }
+          ],
+          years: [
+            {
+              $group: {
+                _id: { $year: '$date' },
+                count: { $sum: '$count' },
+                active_days: { $sum: { $cond: [{ $gte: ['$count', threshold] }, 1, 0] } },
+                ...typeSums
+              }
+            }
+          ],
+          activeDays: [
+            { $match: { count: { $gte: threshold } } },
+            { $sort: { date: 1 } },
+            { $project: { _id: 0, date: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    // Number of each weekday / month in the range, for averages that
+    // include days without records
+    const rangeDays = Math.round((to - from) / DAY_MS) + 1;
+    const rangeMonths = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth() + 1;
+    const weekdayDays = countPerCycle(rangeDays, (from.getUTCDay() + 6) % 7, 7);
+    const monthMonths = countPerCycle(rangeMonths, from.getUTCMonth(), 12);
+
+    const runs = findRuns(facets.activeDays.map(day => day.date));
+    const longest = runs.reduce((best, run) => (!best || run.length > best.length ? run : best), null);
+    const last = runs[runs.length - 1];
+    const current = last && to.getTime() - last.end.getTime() <= DAY_MS ? last : null;
+
+    const weekdayTotals = new Map(facets.weekdays.map(group => [group._id, group.total]));
+    const monthTotals = new Map(facets.months.map(group => [group._id, group.total]));
+
+    const emptyTotals = { count: 0, active_days: 0 };
+    types.forEach(type => {
+      emptyTotals[type] = 0;
+    });
+    const totals = { ...(facets.totals[0] || emptyTotals) };
+    delete totals._id;
+
+    // One entry per calendar year in the range, including empty years
+    const yearTotals = new Map(facets.years.map(({ _id: year, ...values }) => [year, values]));
+    const years = [];
+    for (let year = from.getUTCFullYear(); year <= to.getUTCFullYear(); year++) {
+      const values = yearTotals.get(year) || emptyTotals;
+      const previous = years[years.length - 1];
+      years.push({
+        year,
+        ...values,
+        change: previous ? values.count - previous.count : null
+      });
+    }
+
+    const busiest = facets.busiest[0];
+
+    return {
+      from: ActivityStore.toDayKey(from),
+      to: ActivityStore.toDayKey(to),
+      types,
+      threshold,
+      totals: { ...totals, days: rangeDays },
+      streaks: {
+        current: formatRun(current),
+        longest: formatRun(longest)
+      },
+      busiest_day: busiest && busiest.count > 0
+        ? { date: ActivityStore.toDayKey(busiest.date), count: busiest.count }
+        : null,
+      weekdays: WEEKDAY_NAMES.map((name, index) => {
+        const total = weekdayTotals.get(index + 1) || 0;
+        return { weekday: name, total, average: average(total, weekdayDays[index]) };
+      }),
+      months: MONTH_NAMES.map((name, index) => {
+        const total = monthTotals.get(index + 1) || 0;
+        return { month: name, total, average: average(total, monthMonths[index]) };
+      }),
+      years
+    };
+  }
+}
+
+module.exports = ActivityStats;
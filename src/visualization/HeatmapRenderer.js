@@ -0,0 +1,184 @@
+/**
+ * Heatmap Renderer
+ *
+ * Renders the contribution calendar and the activity badge as standalone
+ * SVG documents for embedding in READMEs, websites and email signatures.
+ * Colors mirror the Tailwind classes of `colorClasses` in
+ * linkedin-activity-tracker/components/ActivityGraph.tsx.
+ */
+
+/**
+ * Color themes; `levels` are indexed by ActivityCalendar.getColorLevel()
+ */
+const THEMES = {
+  dark: {
+    background: '#1e293b', // slate-800
+    text: '#94a3b8', // slate-400
+    levels: ['#334155', '#0c4a6e', '#0369a1', '#0ea5e9', '#7dd3fc'] // slate-700, sky-900/700/500/300
+  },
+  light: {
+    background: '#ffffff',
+    text: '#64748b', // slate-500
+    levels: ['#e2e8f0', '#bae6fd', '#38bdf8', '#0284c7', '#075985'] // slate-200, sky-200/400/600/800
+  }
+};
+
+/**
+ * Cell size and gap in pixels
+ */
+const SIZES = {
+  small: { cell: 8, gap: 2, font: 8 },
+  medium: { cell: 11, gap: 3, font: 10 },
+  large: { cell: 15, gap: 4, font: 12 }
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const WEEKDAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+/**
+ * Escape text for use in SVG content and attributes
+ * @param {*} value - Raw value
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Approximate rendered width of badge text (11px Verdana)
+ * @param {string} text - Text
+ * @returns {number} Width in pixels
+ */
+function textWidth(text) {
+  return Math.ceil(text.length * 6.5) + 10;
+}
+
+class HeatmapRenderer {
+  /**
+   * Render a calendar as an SVG heatmap
+   *
+   * Weeks are columns (Sunday to Saturday, top to bottom), as in the
+   * frontend graph.
+   *
+   * @param {Object} calendar - Result of ActivityCalendar.getCalendar()
+   * @param {Object} options - Render options
+   * @param {string} options.theme - 'dark' or 'light' (default: 'dark')
+   * @param {string} options.size - 'small', 'medium' or 'large' (default: 'medium')
+   * @param {string} options.title - Accessible title
+   * @returns {string} SVG document
+   */
+  static renderHeatmap(calendar, options = {}) {
+    const theme = THEMES[options.theme] || THEMES.dark;
+    const { cell, gap, font } = SIZES[options.size] || SIZES.medium;
+    const step = cell + gap;
+
+    const labelWidth = font * 3;
+    const headerHeight = font + gap * 2;
+    const footerHeight = font + gap * 3;
+    const padding = gap * 2;
+
+    const firstWeekday = new Date(`${calendar.from}T00:00:00Z`).getUTCDay();
+    const weeks = Math.ceil((firstWeekday + calendar.days.length) / 7);
+
+    // Footer: total on the left, "Less ... More" legend on the right
+    const summary = `${calendar.totals.count} activities from ${calendar.from} to ${calendar.to}`;
+    const legendWidth = font * 5 + theme.levels.length * step + gap;
+    const footerWidth = Math.ceil(summary.length * font * 0.6) + gap * 4 + legendWidth;
+
+    const width = padding * 2 + labelWidth + Math.max(weeks * step, footerWidth);
+    const height = padding * 2 + headerHeight + 7 * step + footerHeight;
+    const gridX = padding + labelWidth;
+    const gridY = padding + headerHeight;
+
+    const parts = [];
+    let lastMonth = null;
+
+    calendar.days.forEach((day, index) => {
+      const position = firstWeekday + index;
+      const week = Math.floor(position / 7);
+      const weekday = position % 7;
+      const x = gridX + week * step;
+      const y = gridY + weekday * step;
+
+      const month = Number(day.date.slice(5, 7)) - 1;
+      if (month !== lastMonth && (weekday === 0 || index === 0)) {
+        parts.push(`<text x="${x}" y="${padding + font}" class="label">${MONTH_NAMES[month]}</text>`);
+        lastMonth = month;
+      }
+
+      const noun = day.count === 1 ? 'activity' : 'activities';
+      parts.push(
+        `<rect x="${x}" y="${y}" width="${cell}" height="${cell}" rx="2" fill="${theme.levels[day.level]}">` +
+        `<title>${day.count} ${noun} on ${day.date}</title></rect>`
+      );
+    });
+
+    WEEKDAY_LABELS.forEach((label, weekday) => {
+      if (label) {
+        parts.push(`<text x="${padding}" y="${gridY + weekday * step + cell - 1}" class="label">${label}</text>`);
+      }
+    });
+
+    const footerY = gridY + 7 * step + gap + font;
+    parts.push(`<text x="${gridX}" y="${footerY}" class="label">${summary}</text>`);
+    const legendX = width - padding - legendWidth + font * 2.5;
+    parts.push(`<text x="${legendX - font * 2.5}" y="${footerY}" class="label">Less</text>`);
+    theme.levels.forEach((color, level) => {
+      parts.push(
+        `<rect x="${legendX + level * step}" y="${footerY - cell + 1}" width="${cell}" height="${cell}" rx="2" fill="${color}"/>`
+      );
+    });
+    parts.push(`<text x="${legendX + theme.levels.length * step + gap}" y="${footerY}" class="label">More</text>`);
+
+    const title = escapeXml(options.title || 'LinkedIn activity');
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${title}">`,
+      `<title>${title}</title>`,
+      `<style>.label{font:${font}px -apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif;fill:${theme.text}}</style>`,
+      `<rect width="${width}" height="${height}" rx="6" fill="${theme.background}"/>`,
+      ...parts,
+      '</svg>'
+    ].join('\n');
+  }
+
+  /**
+   * Render a shields.io-style badge
+   * @param {string} label - Left-hand text
+   * @param {string} message - Right-hand text
+   * @param {Object} options - Render options
+   * @param {string} options.theme - 'dark' or 'light' (default: 'dark')
+   * @returns {string} SVG document
+   */
+  static renderBadge(label, message, options = {}) {
+    const theme = THEMES[options.theme] || THEMES.dark;
+    const labelWidth = textWidth(label);
+    const messageWidth = textWidth(message);
+    const width = labelWidth + messageWidth;
+    const title = escapeXml(`${label}: ${message}`);
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" viewBox="0 0 ${width} 20" role="img" aria-label="${title}">`,
+      `<title>${title}</title>`,
+      `<rect width="${labelWidth}" height="20" rx="3" fill="#555"/>`,
+      `<rect x="${labelWidth}" width="${messageWidth}" height="20" rx="3" fill="${theme.levels[3]}"/>`,
+      `<rect x="${labelWidth}" width="4" height="20" fill="${theme.levels[3]}"/>`,
+      '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">',
+      `<text x="${labelWidth / 2}" y="14">${escapeXml(label)}</text>`,
+      `<text x="${labelWidth + messageWidth / 2}" y="14">${escapeXml(message)}</text>`,
+      '</g>',
+      '</svg>'
+    ].join('\n');
+  }
+}
+
+HeatmapRenderer.THEMES = THEMES;
+HeatmapRenderer.SIZES = SIZES;
+
+module.exports = HeatmapRenderer;
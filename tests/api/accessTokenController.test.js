@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PersonalAccessToken } = require('../../database/models');
+const { hashToken } = require('../../src/api/tokenUtils');
+const AccessTokenController = require('../../src/api/accessTokenController');
+
+const USER = { _id: '507f1f77bcf86cd799439011', role: 'user' };
+const ADMIN = { _id: '507f1f77bcf86cd799439012', role: 'admin' };
+
+/**
+ * Build a response that records its status and body
+ */
+function response() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Issue a token, returning the response and the stored document fields
+ */
+async function createToken(t, user, body) {
+  const create = t.mock.method(PersonalAccessToken, 'create', async fields => ({ _id: 'id', ...fields }));
+  const res = response();
+  await AccessTokenController.createToken({ user, body }, res);
+  return { res, stored: create.mock.calls[0]?.arguments[0] };
+}
+
+test('only the hash of an issued token is stored', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-01-01T00:00:00Z') });
+  const { res, stored } = await createToken(t, USER, {
+    name: ' CI ',
+    scopes: ['activity:read', 'activity:write', 'activity:read'],
+    expires_in_days: 30
+  });
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(stored.token_hash, hashToken(res.body.token));
+  assert.ok(res.body.token.startsWith(stored.token_prefix));
+  assert.equal(stored.name, 'CI');
+  assert.deepEqual(stored.scopes, ['activity:read', 'activity:write']);
+  assert.equal(stored.expires_at.toISOString(), '2024-01-31T00:00:00.000Z');
+  assert.equal(res.body.accessToken.token_hash, undefined);
+});
+
+test('only administrators can issue admin tokens', async t => {
+  const { res, stored } = await createToken(t, USER, { name: 'Ops', scopes: ['admin'] });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'forbidden');
+  assert.equal(stored, undefined);
+
+  const { res: adminRes } = await createToken(t, ADMIN, { name: 'Ops', scopes: ['admin'] });
+  assert.equal(adminRes.statusCode, 201);
+});
+
+test('unknown scopes and out-of-range expiries are refused', async t => {
+  const { res: scopes } = await createToken(t, USER, { name: 'CI', scopes: ['activity:delete'] });
+  assert.equal(scopes.statusCode, 400);
+  assert.equal(scopes.body.error, 'invalid_scopes');
+
+  const { res: expiry } = await createToken(t, USER, { name: 'CI', expires_in_days: 0 });
+  assert.equal(expiry.statusCode, 400);
+  assert.equal(expiry.body.error, 'invalid_expiry');
+});
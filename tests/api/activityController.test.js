@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Activity } = require('../../database/models');
+const ActivityStore = require('../../src/storage/ActivityStore');
+const ActivityController = require('../../src/api/activityController');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+/**
+ * Build a request for the signed-in test user
+ */
+function request(body, params = {}) {
+  return { body, params, user: { _id: USER_ID } };
+}
+
+/**
+ * Build a response that records its status and JSON body
+ */
+function response() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+test('create stores a valid day', async t => {
+  const create = t.mock.method(Activity, 'create', async doc => doc);
+  const res = response();
+
+  await ActivityController.create(request({ date: '2024-10-01', posts: 2, likes: '3' }), res);
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(create.mock.callCount(), 1);
+  const doc = create.mock.calls[0].arguments[0];
+  assert.equal(doc.user_id, USER_ID);
+  assert.equal(ActivityStore.toDayKey(doc.date), '2024-10-01');
+  assert.equal(doc.posts, 2);
+  assert.equal(doc.likes, 3);
+  assert.equal(doc.comments, undefined);
+});
+
+test('create rejects invalid records without writing', async t => {
+  const create = t.mock.method(Activity, 'create', async doc => doc);
+  const cases = [
+    [[], null],
+    [{ posts: 1 }, 'date'],
+    [{ date: '2024-02-30', posts: 1 }, 'date'],
+    [{ date: '2024-10-01T00:00:00Z', posts: 1 }, 'date'],
+    [{ date: '2024-10-01', posts: -1 }, 'posts'],
+    [{ date: '2024-10-01', likes: 1.5 }, 'likes'],
+    [{ date: '2024-10-01', comments: 'many' }, 'comments'],
+    [{ date: '2024-10-01' }, null]
+  ];
+
+  for (const [body, field] of cases) {
+    const res = response();
+    await ActivityController.create(request(body), res);
+
+    assert.equal(res.statusCode, 400, JSON.stringify(body));
+    assert.equal(res.body.error, 'validation_failed');
+    assert.equal(res.body.errors[0].field, field);
+  }
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('create reports an existing day as a conflict', async t => {
+  t.mock.method(Activity, 'create', async () => {
+    throw Object.assign(new Error('duplicate key'), { code: 11000 });
+  });
+  const res = response();
+
+  await ActivityController.create(request({ date: '2024-10-01', posts: 1 }), res);
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.error, 'activity_exists');
+});
+
+test('update rejects an invalid date parameter', async t => {
+  const findOneAndUpdate = t.mock.method(Activity, 'findOneAndUpdate', async () => null);
+  const res = response();
+
+  await ActivityController.update(request({ posts: 1 }, { date: '2024-13-01' }), res);
+
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.errors.map(error => error.field), ['date']);
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+});
+
+test('update returns 404 for a day without activity', async t => {
+  t.mock.method(Activity, 'findOneAndUpdate', async () => null);
+  const res = response();
+
+  await ActivityController.update(request({ posts: 1 }, { date: '2024-10-01' }), res);
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.error, 'activity_not_found');
+});
+
+test('bulkUpsert writes valid JSON rows and reports the rest', async t => {
+  const upsert = t.mock.method(ActivityStore, 'upsertDailyCounts', async (userId, days) => ({
+    upserted: days.length,
+    modified: 0
+  }));
+  const res = response();
+
+  await ActivityController.bulkUpsert(request({
+    activities: [
+      { date: '2024-10-01', posts: 1 },
+      { date: '2024-10-01', posts: 2 },
+      { date: 'yesterday', posts: 1 },
+      { date: '2024-10-02', likes: 4 }
+    ]
+  }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.received, 4);
+  assert.equal(res.body.accepted, 2);
+  assert.deepEqual(res.body.rejected.map(entry => entry.row), [1, 2]);
+  assert.match(res.body.rejected[0].errors[0].message, /Duplicate date 2024-10-01 \(first seen in row 0\)/);
+  assert.equal(upsert.mock.calls[0].arguments[1].length, 2);
+});
+
+test('bulkUpsert reads CSV bodies with case-insensitive headers', async t => {
+  const upsert = t.mock.method(ActivityStore, 'upsertDailyCounts', async () => ({ upserted: 1, modified: 1 }));
+  const res = response();
+
+  await ActivityController.bulkUpsert(request('Date,Posts,Likes\n2024-10-01,1,2\n2024-10-02,,3\n2024-10-03,x,\n'), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.accepted, 2);
+  assert.deepEqual(res.body.rejected, [{ row: 4, errors: [{ field: 'posts', message: 'posts must be a non-negative integer' }] }]);
+  assert.deepEqual(upsert.mock.calls[0].arguments[1].map(day => [ActivityStore.toDayKey(day.date), day.posts, day.likes]), [
+    ['2024-10-01', 1, 2],
+    ['2024-10-02', undefined, 3]
+  ]);
+});
+
+test('bulkUpsert returns 400 when every row is rejected', async t => {
+  t.mock.method(ActivityStore, 'upsertDailyCounts', async () => ({ upserted: 0, modified: 0 }));
+  const res = response();
+
+  await ActivityController.bulkUpsert(request([{ date: 'soon' }]), res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.accepted, 0);
+});
+
+test('bulkUpsert rejects unreadable bodies and oversized batches', async t => {
+  const upsert = t.mock.method(ActivityStore, 'upsertDailyCounts', async () => ({ upserted: 0, modified: 0 }));
+
+  const invalid = response();
+  await ActivityController.bulkUpsert(request({ date: '2024-10-01' }), invalid);
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.error, 'invalid_body');
+
+  const noDateColumn = response();
+  await ActivityController.bulkUpsert(request('day,posts\n2024-10-01,1\n'), noDateColumn);
+  assert.equal(noDateColumn.statusCode, 400);
+  assert.equal(noDateColumn.body.error, 'invalid_body');
+
+  const tooMany = response();
+  await ActivityController.bulkUpsert(request(Array.from({ length: 5001 }, () => ({}))), tooMany);
+  assert.equal(tooMany.statusCode, 413);
+  assert.equal(tooMany.body.error, 'too_many_rows');
+
+  assert.equal(upsert.mock.callCount(), 0);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PersonalAccessToken, User } = require('../../database/models');
+const OAuthService = require('../../src/api/oauthService');
+const { requireAuth, requireScope, requireSession } = require('../../src/api/authMiddleware');
+const { hashToken } = require('../../src/api/tokenUtils');
+
+const USER = { _id: '507f1f77bcf86cd799439011', role: 'user' };
+const ADMIN = { _id: '507f1f77bcf86cd799439012', role: 'admin' };
+
+/**
+ * Build a response that records its status and body
+ */
+function response() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Build an unsaved personal access token for the test user
+ */
+function accessToken(fields = {}) {
+  return new PersonalAccessToken({
+    user_id: USER._id,
+    name: 'CI',
+    token_hash: hashToken('lcp_secret'),
+    token_prefix: 'lcp_sec',
+    scopes: ['activity:read'],
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+  });
+}
+
+/**
+ * Run a middleware and report whether it called next()
+ */
+async function run(middleware, req) {
+  const res = response();
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+/**
+ * Serve the given token document and user to requireAuth
+ */
+function mockLookups(t, tokenDoc, user = USER) {
+  t.mock.method(PersonalAccessToken, 'updateOne', async () => ({}));
+  t.mock.method(User, 'findById', async () => user);
+  return t.mock.method(PersonalAccessToken, 'findOne', async () => tokenDoc);
+}
+
+test('bearer tokens authenticate without a session', async t => {
+  const tokenDoc = accessToken();
+  const findOne = mockLookups(t, tokenDoc);
+  const hasValidToken = t.mock.method(OAuthService, 'hasValidToken', async () => true);
+  const req = { headers: { authorization: 'Bearer lcp_secret' }, session: { userId: ADMIN._id } };
+
+  const { nextCalled } = await run(requireAuth, req);
+
+  assert.equal(nextCalled, true);
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { token_hash: hashToken('lcp_secret') });
+  assert.equal(req.user, USER);
+  assert.equal(req.personalAccessToken, tokenDoc);
+  // The token wins over the session cookie
+  assert.equal(hasValidToken.mock.callCount(), 0);
+});
+
+test('unknown, expired and revoked bearer tokens are rejected', async t => {
+  const cases = {
+    unknown: null,
+    expired: accessToken({ expires_at: new Date(Date.now() - 1000) }),
+    revoked: accessToken({ revoked_at: new Date() })
+  };
+
+  for (const [name, tokenDoc] of Object.entries(cases)) {
+    await t.test(name, async t => {
+      mockLookups(t, tokenDoc);
+      const req = { headers: { authorization: 'Bearer lcp_secret' } };
+
+      const { res, nextCalled } = await run(requireAuth, req);
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.error, 'invalid_token');
+      assert.equal(req.user, undefined);
+    });
+  }
+});
+
+test('token requests need a token granting the scope', async () => {
+  const readOnly = { user: USER, personalAccessToken: accessToken() };
+  const { res, nextCalled } = await run(requireScope('activity:write'), readOnly);
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'insufficient_scope');
+
+  assert.equal((await run(requireScope('activity:read'), readOnly)).nextCalled, true);
+
+  // The admin scope grants every other scope
+  const adminToken = { user: ADMIN, personalAccessToken: accessToken({ scopes: ['admin'] }) };
+  assert.equal((await run(requireScope('activity:write'), adminToken)).nextCalled, true);
+});
+
+test('session requests have every scope but admin', async () => {
+  assert.equal((await run(requireScope('activity:write'), { user: USER })).nextCalled, true);
+
+  const { res, nextCalled } = await run(requireScope('admin'), { user: USER });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'forbidden');
+
+  assert.equal((await run(requireScope('admin'), { user: ADMIN })).nextCalled, true);
+});
+
+test('the admin scope also requires the admin role', async () => {
+  // A token issued before the user lost the admin role
+  const req = { user: USER, personalAccessToken: accessToken({ scopes: ['admin'] }) };
+  const { res, nextCalled } = await run(requireScope('admin'), req);
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.body.error, 'forbidden');
+
+  const adminReadOnly = { user: ADMIN, personalAccessToken: accessToken() };
+  assert.equal((await run(requireScope('admin'), adminReadOnly)).res.body.error, 'insufficient_scope');
+});
+
+test('credential routes refuse personal access tokens', async () => {
+  const { res, nextCalled } = await run(requireSession, { user: USER, personalAccessToken: accessToken() });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'session_required');
+
+  assert.equal((await run(requireSession, { user: USER })).nextCalled, true);
+});
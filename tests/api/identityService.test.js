@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { User, OAuthToken } = require('../../database/models');
+const OAuthService = require('../../src/api/oauthService');
+const IdentityService = require('../../src/api/identityService');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+const USER_INFO = {
+  sub: 'member-1',
+  given_name: 'Ada',
+  family_name: 'Lovelace',
+  email: 'ada@example.com',
+  email_verified: true,
+  picture: 'https://media.example.com/ada.jpg',
+  locale: { country: 'gb', language: 'EN' }
+};
+
+test('locales are normalized to BCP 47 tags', () => {
+  assert.equal(IdentityService.normalizeLocale({ country: 'us', language: 'EN' }), 'en-US');
+  assert.equal(IdentityService.normalizeLocale('de_DE'), 'de-DE');
+  assert.equal(IdentityService.normalizeLocale('fr'), 'fr');
+  assert.equal(IdentityService.normalizeLocale({ country: 'US' }), null);
+  assert.equal(IdentityService.normalizeLocale(null), null);
+});
+
+test('profiles are read from userinfo and clear removed details', () => {
+  const profile = IdentityService.profileFromUserInfo(USER_INFO);
+  assert.equal(profile.linkedin_id, 'member-1');
+  assert.equal(profile.name, 'Ada Lovelace');
+  assert.equal(profile.email_verified, true);
+  assert.equal(profile.locale, 'en-GB');
+
+  const bare = IdentityService.profileFromUserInfo({ sub: 'member-1', email_verified: true });
+  assert.equal('name' in bare, false);
+  assert.equal(bare.email, null);
+  assert.equal(bare.email_verified, false);
+  assert.equal(bare.avatar_url, null);
+
+  assert.throws(() => IdentityService.profileFromUserInfo({ name: 'Nobody' }), { code: 'missing_subject' });
+});
+
+test('logins find users by member id and only name new accounts', async t => {
+  const upsert = t.mock.method(User, 'findOneAndUpdate', async () => ({ _id: USER_ID }));
+
+  await IdentityService.upsertFromUserInfo(USER_INFO);
+  const [filter, update, options] = upsert.mock.calls[0].arguments;
+  assert.deepEqual(filter, { linkedin_id: 'member-1' });
+  assert.equal(update.$set.name, 'Ada Lovelace');
+  assert.equal(update.$setOnInsert.name, undefined);
+  assert.equal(options.upsert, true);
+
+  // Without a name an existing name is kept and new accounts get a default
+  await IdentityService.upsertFromUserInfo({ sub: 'member-1' });
+  const [, nameless] = upsert.mock.calls[1].arguments;
+  assert.equal('name' in nameless.$set, false);
+  assert.equal(nameless.$setOnInsert.name, 'LinkedIn User');
+});
+
+test('a first login that loses the insert race updates the winner', async t => {
+  const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  const upsert = t.mock.method(User, 'findOneAndUpdate', async () => {
+    if (upsert.mock.callCount() === 0) {
+      throw duplicate;
+    }
+    return { _id: USER_ID };
+  });
+
+  const user = await IdentityService.upsertFromUserInfo(USER_INFO);
+
+  assert.equal(user._id, USER_ID);
+  assert.equal(upsert.mock.callCount(), 2);
+});
+
+test('resync refuses a token of a different member', async t => {
+  t.mock.method(User, 'findById', async () => ({ _id: USER_ID, linkedin_id: 'member-2' }));
+  t.mock.method(OAuthService, 'getValidAccessToken', async () => 'access');
+  t.mock.method(OAuthService, 'getUserInfo', async () => USER_INFO);
+  const update = t.mock.method(User, 'findByIdAndUpdate', async () => ({}));
+
+  await assert.rejects(IdentityService.resyncProfile(USER_ID), { code: 'identity_mismatch' });
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('stale profiles are resynced one user at a time', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-01-02T00:00:00Z') });
+  t.mock.method(OAuthToken, 'distinct', async () => ['a', 'b']);
+  const find = t.mock.method(User, 'find', () => ({
+    sort: () => ({ limit: () => ({ select: () => ({ lean: async () => [{ _id: 'a' }, { _id: 'b' }] }) }) })
+  }));
+  t.mock.method(IdentityService, 'resyncProfile', async userId => {
+    if (userId === 'a') {
+      throw new Error('LinkedIn unavailable');
+    }
+  });
+
+  const results = await IdentityService.resyncStaleProfiles({ maxAgeHours: 12 });
+
+  assert.deepEqual(results, { success: 1, failed: 1, errors: [{ userId: 'a', error: 'LinkedIn unavailable' }] });
+  const filter = find.mock.calls[0].arguments[0];
+  assert.deepEqual(filter._id, { $in: ['a', 'b'] });
+  assert.equal(filter.$or[1].profile_synced_at.$lt.toISOString(), '2024-01-01T12:00:00.000Z');
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IngestionToken, User } = require('../../database/models');
+const { requireIngestionToken } = require('../../src/api/authMiddleware');
+const { hashToken } = require('../../src/api/tokenUtils');
+const EventStore = require('../../src/storage/EventStore');
+const ActivityStore = require('../../src/storage/ActivityStore');
+const IngestionController = require('../../src/api/ingestionController');
+
+const USER = { _id: '507f1f77bcf86cd799439011', timezone: 'UTC' };
+
+/**
+ * Build a response that records its status and body
+ */
+function response() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Run the ingestion token middleware against a stored token document
+ */
+async function authenticate(t, header, tokenDoc, scope = 'events:write') {
+  const lookup = t.mock.method(IngestionToken, 'findOne', async () => tokenDoc);
+  t.mock.method(IngestionToken, 'updateOne', async () => ({}));
+  t.mock.method(User, 'findById', async () => USER);
+
+  const req = { headers: header ? { authorization: header } : {} };
+  const res = response();
+  let nextCalled = false;
+  await requireIngestionToken(scope)(req, res, () => { nextCalled = true; });
+
+  return { req, res, nextCalled, lookup };
+}
+
+/**
+ * Build an unsaved ingestion token for the test user
+ */
+function storedToken(fields = {}) {
+  return new IngestionToken({
+    user_id: USER._id,
+    name: 'Laptop',
+    token_hash: hashToken('lci_secret'),
+    token_prefix: 'lci_sec',
+    source: 'browser_extension',
+    scopes: ['events:write'],
+    ...fields
+  });
+}
+
+test('ingestion tokens are looked up by hash and attach the user', async t => {
+  const tokenDoc = storedToken();
+  const { req, nextCalled, lookup } = await authenticate(t, 'Bearer lci_secret', tokenDoc);
+
+  assert.equal(nextCalled, true);
+  assert.deepEqual(lookup.mock.calls[0].arguments[0], { token_hash: hashToken('lci_secret') });
+  assert.equal(req.user, USER);
+  assert.equal(req.ingestionToken, tokenDoc);
+});
+
+test('missing, unknown and revoked ingestion tokens are rejected', async t => {
+  await t.test('missing', async t => {
+    const { res, nextCalled } = await authenticate(t, null, storedToken());
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'unauthorized');
+  });
+
+  await t.test('unknown', async t => {
+    const { res, nextCalled } = await authenticate(t, 'Bearer lci_other', null);
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'invalid_token');
+  });
+
+  await t.test('revoked', async t => {
+    const { res, nextCalled } = await authenticate(t, 'Bearer lci_secret', storedToken({ revoked_at: new Date() }));
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'invalid_token');
+  });
+});
+
+test('ingestion tokens need the route scope', async t => {
+  const { res, nextCalled } = await authenticate(t, 'Bearer lci_secret', storedToken(), 'events:read');
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'insufficient_scope');
+});
+
+/**
+ * Ingest a batch, treating the given source IDs as already recorded
+ */
+async function ingest(t, body, alreadyRecorded = []) {
+  const record = t.mock.method(EventStore, 'recordEvents', async (userId, events) => {
+    const inserted = events.filter(event => !alreadyRecorded.includes(event.source_id));
+    return {
+      inserted: inserted.length,
+      duplicates: events.filter(event => alreadyRecorded.includes(event.source_id)).map(event => event.source_id),
+      insertedIds: [],
+      range: inserted.length ? { from: inserted[0].occurred_at, to: inserted[0].occurred_at } : null
+    };
+  });
+  const rollup = t.mock.method(ActivityStore, 'rollupFromEvents', async () => ({ days: 1 }));
+
+  const req = { user: USER, ingestionToken: { source: 'browser_extension' }, body };
+  const res = response();
+  await IngestionController.ingestEvents(req, res);
+
+  return { res, record, rollup };
+}
+
+/**
+ * Build a browser extension reaction record
+ */
+function reaction(id) {
+  return { id, type: 'reaction', occurred_at: Date.UTC(2024, 9, 1), reaction: 'LIKE' };
+}
+
+test('a batch reports accepted, duplicate and rejected events by index', async t => {
+  const { res, record, rollup } = await ingest(t, {
+    events: [reaction('a'), reaction('b'), reaction('a'), { id: 'c', type: 'post', occurred_at: 'yesterday' }, reaction('d')]
+  }, ['b']);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.received, 5);
+  assert.deepEqual(res.body.accepted, [{ index: 0, id: 'a' }, { index: 4, id: 'd' }]);
+  assert.deepEqual(res.body.duplicates, [{ index: 1, id: 'b' }, { index: 2, id: 'a' }]);
+  assert.deepEqual(res.body.rejected.map(item => [item.index, item.id]), [[3, 'c']]);
+
+  // The in-batch duplicate is never sent to the store
+  assert.deepEqual(record.mock.calls[0].arguments[1].map(event => event.source_id), ['a', 'b', 'd']);
+  assert.equal(rollup.mock.calls[0].arguments[1].timezone, 'UTC');
+});
+
+test('a batch where every event is invalid is a bad request', async t => {
+  const { res, rollup } = await ingest(t, [{ id: 'x', type: 'post', occurred_at: 'yesterday' }]);
+
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.accepted, []);
+  assert.equal(rollup.mock.callCount(), 0);
+});
+
+test('a batch of only known events is not rolled up again', async t => {
+  const { res, rollup } = await ingest(t, [reaction('a')], ['a']);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.deepEqual(res.body.duplicates, [{ index: 0, id: 'a' }]);
+  assert.equal(res.body.rollup, null);
+  assert.equal(rollup.mock.callCount(), 0);
+});
+
+test('batches that are not arrays or are too large are refused', async t => {
+  const { res: invalid } = await ingest(t, { events: 'nope' });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.error, 'invalid_body');
+
+  const { res: tooLarge, record } = await ingest(t, Array.from({ length: 1001 }, (_, i) => reaction(String(i))));
+  assert.equal(tooLarge.statusCode, 413);
+  assert.equal(tooLarge.body.error, 'batch_too_large');
+  assert.equal(record.mock.callCount(), 0);
+});
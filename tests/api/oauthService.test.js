@@ -0,0 +1,266 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+const { OAuthState, OAuthToken, TokenRevocation } = require('../../database/models');
+const LeaseStore = require('../../src/storage/LeaseStore');
+const OAuthService = require('../../src/api/oauthService');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Stand-in for a stored OAuthToken document
+ */
+function tokenDoc(accessToken, expiresInMs) {
+  return {
+    access_token: accessToken,
+    refresh_token: 'refresh',
+    expires_at: new Date(Date.now() + expiresInMs),
+    isAccessTokenExpired() {
+      return Date.now() >= this.expires_at.getTime();
+    },
+    needsRefresh() {
+      return this.expires_at.getTime() <= Date.now() + 24 * HOUR_MS;
+    },
+    isRefreshTokenExpired() {
+      return false;
+    }
+  };
+}
+
+/**
+ * Store one token and refresh it into `access-<n>` valid for 60 days
+ * @param {Function} acquire - LeaseStore.acquire stand-in
+ */
+function mockTokenStore(t, stored, acquire = async () => true) {
+  const state = { stored };
+  t.mock.method(LeaseStore, 'acquire', acquire);
+  t.mock.method(LeaseStore, 'release', async () => {});
+  t.mock.method(OAuthService, 'findTokenDoc', async () => state.stored);
+  const refresh = t.mock.method(OAuthService, 'refreshAccessToken', async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    return { access_token: `access-${refresh.mock.callCount()}` };
+  });
+  t.mock.method(OAuthService, 'storeTokens', async (userId, data) => {
+    state.stored = tokenDoc(data.access_token, 60 * 24 * HOUR_MS);
+  });
+  return { state, refresh };
+}
+
+test('concurrent callers share one refresh', async t => {
+  const { refresh } = mockTokenStore(t, tokenDoc('expired', -HOUR_MS));
+
+  const tokens = await Promise.all([1, 2, 3].map(() => OAuthService.getValidAccessToken(USER_ID)));
+
+  assert.deepEqual(tokens, ['access-1', 'access-1', 'access-1']);
+  assert.equal(refresh.mock.callCount(), 1);
+});
+
+test('a caller with a stricter rule refreshes again after a shared refresh', async t => {
+  const { refresh } = mockTokenStore(t, tokenDoc('expiring', 12 * HOUR_MS));
+
+  // Expired-only: the token expiring in 12 hours is fine
+  const lenient = OAuthService.refreshTokenOnce(USER_ID, doc => doc.isAccessTokenExpired());
+  const strict = OAuthService.refreshTokenOnce(USER_ID, doc => doc.needsRefresh());
+
+  assert.equal((await lenient).access_token, 'expiring');
+  assert.equal((await strict).access_token, 'access-1');
+  assert.equal(refresh.mock.callCount(), 1);
+});
+
+test('a refresh by another process is reused instead of repeated', async t => {
+  const { state, refresh } = mockTokenStore(t, tokenDoc('expired', -HOUR_MS), async () => {
+    // Another process holds the lease and stores its result meanwhile
+    state.stored = tokenDoc('other-process', 60 * 24 * HOUR_MS);
+    return false;
+  });
+
+  assert.equal(await OAuthService.getValidAccessToken(USER_ID), 'other-process');
+  assert.equal(refresh.mock.callCount(), 0);
+});
+
+/**
+ * Keep authorization states in memory, keyed by state hash
+ */
+function mockStateStore(t) {
+  const states = new Map();
+  t.mock.method(OAuthState, 'create', async fields => {
+    states.set(fields.state_hash, { ...fields });
+  });
+  t.mock.method(OAuthState, 'findOneAndDelete', async ({ state_hash: stateHash }) => {
+    const stateDoc = states.get(stateHash) || null;
+    states.delete(stateHash);
+    return stateDoc;
+  });
+  return states;
+}
+
+test('authorization requests send the S256 challenge of the stored verifier', async t => {
+  mockStateStore(t);
+  const { url, state } = await OAuthService.createAuthorizationRequest({ sessionId: 'session-1', returnTo: '/dashboard' });
+  const params = new URL(url).searchParams;
+
+  assert.equal(params.get('state'), state);
+  assert.equal(params.get('code_challenge_method'), 'S256');
+
+  const authRequest = await OAuthService.consumeAuthorizationState(state, 'session-1');
+  const challenge = crypto.createHash('sha256').update(authRequest.code_verifier).digest('base64url');
+  assert.equal(params.get('code_challenge'), challenge);
+  assert.equal(authRequest.return_to, '/dashboard');
+  // Only the hash of the state is stored
+  assert.notEqual(authRequest.state_hash, state);
+});
+
+test('states are single use', async t => {
+  mockStateStore(t);
+  const { state } = await OAuthService.createAuthorizationRequest({ sessionId: 'session-1' });
+
+  await OAuthService.consumeAuthorizationState(state, 'session-1');
+  await assert.rejects(OAuthService.consumeAuthorizationState(state, 'session-1'), {
+    name: 'OAuthStateError',
+    code: 'invalid_state'
+  });
+  await assert.rejects(OAuthService.consumeAuthorizationState('forged', 'session-1'), { code: 'invalid_state' });
+});
+
+test('states are bound to the session that started the flow', async t => {
+  mockStateStore(t);
+  const { state } = await OAuthService.createAuthorizationRequest({ sessionId: 'victim' });
+
+  await assert.rejects(OAuthService.consumeAuthorizationState(state, 'attacker'), { code: 'invalid_state' });
+  // The rejected attempt used the state up
+  await assert.rejects(OAuthService.consumeAuthorizationState(state, 'victim'), { code: 'invalid_state' });
+});
+
+test('states expire', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-01-01T00:00:00Z') });
+  mockStateStore(t);
+  const { state } = await OAuthService.createAuthorizationRequest({ sessionId: 'session-1' });
+
+  t.mock.timers.tick(10 * 60 * 1000);
+  await assert.rejects(OAuthService.consumeAuthorizationState(state, 'session-1'), { code: 'expired_state' });
+});
+
+test('the code exchange sends the PKCE verifier', async t => {
+  const post = t.mock.method(axios, 'post', async () => ({ data: { access_token: 'access' } }));
+
+  await OAuthService.exchangeCodeForToken('code', { codeVerifier: 'verifier' });
+
+  const body = new URLSearchParams(post.mock.calls[0].arguments[1]);
+  assert.equal(body.get('code'), 'code');
+  assert.equal(body.get('code_verifier'), 'verifier');
+});
+
+/**
+ * Error shaped like an axios error with an HTTP response (or a network error)
+ */
+function httpError(status) {
+  const error = new Error(status ? `Request failed with status code ${status}` : 'socket hang up');
+  if (status) {
+    error.response = { status, data: {} };
+  }
+  return error;
+}
+
+test('revocation errors are retryable unless LinkedIn rejected the request', async t => {
+  const cases = [[null, true], [408, true], [429, true], [503, true], [400, false], [401, false]];
+
+  const post = t.mock.method(axios, 'post');
+
+  for (const [status, retryable] of cases) {
+    post.mock.mockImplementation(async () => {
+      throw httpError(status);
+    });
+    await assert.rejects(OAuthService.revokeLinkedInToken('token'), { retryable }, `HTTP ${status}`);
+  }
+});
+
+test('failed revocations back off exponentially and are abandoned after eight attempts', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-01-01T00:00:00Z') });
+  t.mock.method(OAuthService, 'revokeLinkedInToken', async () => {
+    throw Object.assign(new Error('Token revocation failed: HTTP 503'), { retryable: true });
+  });
+  const update = t.mock.method(TokenRevocation, 'updateOne', async () => ({}));
+
+  const delays = [];
+  for (let attempts = 0; attempts < 8; attempts++) {
+    const { status } = await OAuthService.attemptRevocation({ _id: 'r', token: 'token', attempts });
+    const { $set: fields } = update.mock.calls[attempts].arguments[1];
+    assert.equal(fields.attempts, attempts + 1);
+
+    if (attempts < 7) {
+      assert.equal(status, 'pending');
+      assert.equal(fields.token, undefined);
+      delays.push((fields.next_attempt_at - Date.now()) / 60000);
+    } else {
+      assert.equal(status, 'failed');
+      assert.equal(fields.token, null);
+      assert.equal(fields.next_attempt_at, null);
+    }
+  }
+
+  assert.deepEqual(delays, [1, 2, 4, 8, 16, 32, 64]);
+});
+
+test('rejected revocations are not retried and successful ones drop the token', async t => {
+  const revoke = t.mock.method(OAuthService, 'revokeLinkedInToken', async () => {
+    throw Object.assign(new Error('Token revocation failed: invalid_request'), { retryable: false });
+  });
+  const update = t.mock.method(TokenRevocation, 'updateOne', async () => ({}));
+
+  const rejected = await OAuthService.attemptRevocation({ _id: 'r', token: 'token', attempts: 0 });
+  assert.deepEqual(rejected, { status: 'failed', error: 'Token revocation failed: invalid_request' });
+
+  revoke.mock.mockImplementation(async () => {});
+  const revoked = await OAuthService.attemptRevocation({ _id: 'r', token: 'token', attempts: 3 });
+  assert.equal(revoked.status, 'revoked');
+  const { $set: fields } = update.mock.calls[1].arguments[1];
+  assert.equal(fields.token, null);
+  assert.equal(fields.attempts, 4);
+});
+
+test('logout records revocations before deleting the local tokens', async t => {
+  const steps = [];
+  t.mock.method(OAuthService, 'findTokenDoc', async () => ({ _id: 'token-doc', access_token: 'access', refresh_token: null }));
+  t.mock.method(TokenRevocation, 'insertMany', async docs => {
+    steps.push(`record ${docs.map(doc => doc.token_type).join(',')}`);
+    return docs.map((doc, index) => ({ _id: index, attempts: 0, ...doc }));
+  });
+  t.mock.method(OAuthToken, 'deleteOne', async () => {
+    steps.push('delete');
+  });
+  t.mock.method(OAuthService, 'attemptRevocation', async revocation => {
+    steps.push(`revoke ${revocation.token}`);
+    return { status: 'pending', error: 'HTTP 503' };
+  });
+
+  const results = await OAuthService.revokeTokens(USER_ID, { reason: 'account_deletion' });
+
+  assert.deepEqual(steps, ['record access_token', 'delete', 'revoke access']);
+  assert.deepEqual(results, { revoked: 0, pending: 1, failed: 0 });
+});
+
+test('retries claim due revocations one at a time', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-01-01T00:00:00Z') });
+  const due = [
+    { _id: 'a', user_id: USER_ID, token: 'a', attempts: 1 },
+    { _id: 'b', user_id: USER_ID, token: 'b', attempts: 2 }
+  ];
+  const claim = t.mock.method(TokenRevocation, 'findOneAndUpdate', () => ({
+    select: async () => due.shift() || null
+  }));
+  t.mock.method(OAuthService, 'attemptRevocation', async revocation => (
+    revocation._id === 'a' ? { status: 'revoked', error: null } : { status: 'pending', error: 'HTTP 503' }
+  ));
+
+  const results = await OAuthService.retryFailedRevocations();
+
+  assert.equal(results.success, 1);
+  assert.deepEqual(results.errors, [{ revocationId: 'b', userId: USER_ID, status: 'pending', error: 'HTTP 503' }]);
+  assert.equal(claim.mock.callCount(), 3);
+  const [filter, update] = claim.mock.calls[0].arguments;
+  assert.deepEqual(filter, { status: 'pending', next_attempt_at: { $lte: new Date('2024-01-01T00:00:00Z') } });
+  // Claimed revocations are hidden from other runs for a while
+  assert.equal(update.$set.next_attempt_at.toISOString(), '2024-01-01T00:05:00.000Z');
+});
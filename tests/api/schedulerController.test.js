@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const scheduler = require('../../src/scheduler/CronScheduler');
+const SchedulerController = require('../../src/api/schedulerController');
+
+/**
+ * Build a response that records its status and JSON body
+ */
+function response() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+test('triggerJob responds 202 once the run starts', async t => {
+  t.mock.method(scheduler, 'triggerJob', async (name, { onAccepted }) => {
+    onAccepted('running');
+    return { status: 'success' };
+  });
+  const res = response();
+
+  await SchedulerController.triggerJob({ params: { name: 'sync-all-users' }, query: {} }, res);
+
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.body.status, 'running');
+});
+
+test('triggerJob responds 409 with the reason when the run is skipped', async t => {
+  t.mock.method(scheduler, 'triggerJob', async () => ({ status: 'skipped', reason: 'overlap' }));
+
+  for (const query of [{}, { wait: 'true' }]) {
+    const res = response();
+    await SchedulerController.triggerJob({ params: { name: 'sync-all-users' }, query }, res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.error, 'run_skipped');
+    assert.equal(res.body.reason, 'overlap');
+  }
+});
+
+test('triggerJob responds with the outcome when waiting', async t => {
+  t.mock.method(scheduler, 'triggerJob', async (name, { onAccepted }) => {
+    onAccepted('running');
+    return { status: 'success', summary: 'done' };
+  });
+  const res = response();
+
+  await SchedulerController.triggerJob({ params: { name: 'sync-all-users' }, query: { wait: 'true' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.result, { status: 'success', summary: 'done' });
+});
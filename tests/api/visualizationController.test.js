@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { User } = require('../../database/models');
+const ActivityCalendar = require('../../src/visualization/ActivityCalendar');
+const ActivityStats = require('../../src/visualization/ActivityStats');
+const VisualizationController = require('../../src/api/visualizationController');
+
+const USER = { _id: '507f1f77bcf86cd799439011', name: 'Ada', timezone: 'UTC' };
+
+/**
+ * Build a response that records its status, headers and body
+ */
+function response() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    set() {
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Serve the public test user and record the ranges stats are computed for
+ */
+function mockStats(t, firstDay = null) {
+  t.mock.method(User, 'findOne', async () => USER);
+  t.mock.method(ActivityStats, 'getFirstDay', async () => firstDay);
+  return t.mock.method(ActivityStats, 'getStats', async () => ({
+    totals: { count: 0, days: 1 },
+    streaks: { current: { length: 0 }, longest: { length: 0 } }
+  }));
+}
+
+test('badge ranges longer than thirty years are rejected', async t => {
+  const getStats = mockStats(t);
+  const res = response();
+
+  await VisualizationController.badgeSvg({
+    params: { id: USER._id },
+    query: { from: '0001-01-01', to: '9999-12-31' }
+  }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'range_too_large');
+  assert.equal(getStats.mock.callCount(), 0);
+});
+
+test('badge streaks start at the first recorded day, at most thirty years back', async t => {
+  const getStats = mockStats(t, new Date('1900-01-01T00:00:00Z'));
+  const res = response();
+
+  await VisualizationController.badgeSvg({
+    params: { id: USER._id },
+    query: { metric: 'longest', to: '2024-12-31' }
+  }, res);
+
+  assert.equal(res.statusCode, 200);
+  const { from, to } = getStats.mock.calls[0].arguments[1];
+  assert.equal(from.toISOString(), '1995-01-01T00:00:00.000Z');
+  assert.equal(to.toISOString(), '2024-12-31T00:00:00.000Z');
+});
+
+test('stats ranges longer than thirty years are rejected', async t => {
+  const getStats = mockStats(t);
+  const res = response();
+
+  await VisualizationController.stats({
+    params: { id: 'me' },
+    user: USER,
+    query: { from: '1900-01-01', to: '2024-12-31' }
+  }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'range_too_large');
+  assert.equal(getStats.mock.callCount(), 0);
+});
+
+test('stats cover the whole history by default', async t => {
+  const getStats = mockStats(t, new Date('2020-05-04T00:00:00Z'));
+  const res = response();
+
+  await VisualizationController.stats({ params: { id: 'me' }, user: USER, query: { to: '2024-12-31' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(getStats.mock.calls[0].arguments[1].from.toISOString(), '2020-05-04T00:00:00.000Z');
+});
+
+test('calendar query errors are bad requests', async t => {
+  const getCalendar = t.mock.method(ActivityCalendar, 'getCalendar', async () => ({}));
+
+  for (const [query, code] of [
+    [{ from: '2024-13-01', to: '2024-12-31' }, 'invalid_range'],
+    [{ from: '2010-01-01', to: '2024-12-31' }, 'range_too_large'],
+    [{ to: '2024-12-31', types: 'posts,shares' }, 'invalid_types']
+  ]) {
+    const res = response();
+    await VisualizationController.calendar({ params: { id: 'me' }, user: USER, query }, res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, code);
+  }
+  assert.equal(getCalendar.mock.callCount(), 0);
+});
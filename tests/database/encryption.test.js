@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const config = require('../../config/config');
+const encryption = require('../../database/encryption');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+const KEY_1 = key();
+const KEY_2 = key();
+
+/**
+ * Use the given keys for the rest of the test
+ */
+function useKeys(t, keys, currentVersion = '') {
+  const previous = { ...config.encryption };
+  config.encryption.keys = keys;
+  config.encryption.currentVersion = currentVersion;
+  encryption.resetKeyring();
+
+  t.after(() => {
+    Object.assign(config.encryption, previous);
+    encryption.resetKeyring();
+  });
+}
+
+test('encrypt and decrypt round-trip with the current key', t => {
+  useKeys(t, `1:${KEY_1}`);
+
+  const stored = encryption.encrypt('access-token', 'oauth_tokens.access_token');
+  assert.match(stored, /^enc:v1:/);
+  assert.notEqual(stored, encryption.encrypt('access-token', 'oauth_tokens.access_token'));
+  assert.equal(encryption.decrypt(stored, 'oauth_tokens.access_token'), 'access-token');
+  assert.equal(encryption.getKeyVersion(stored), 1);
+});
+
+test('new values use the highest version unless one is configured', t => {
+  useKeys(t, `1:${KEY_1},2:${KEY_2}`);
+  assert.equal(encryption.currentKeyVersion(), 2);
+  assert.match(encryption.encrypt('x'), /^enc:v2:/);
+
+  encryption.resetKeyring();
+  config.encryption.currentVersion = '1';
+  assert.equal(encryption.currentKeyVersion(), 1);
+});
+
+test('values stay readable with their old key after a rotation', t => {
+  useKeys(t, `1:${KEY_1}`);
+  const stored = encryption.encrypt('refresh-token', 'ctx');
+
+  config.encryption.keys = `1:${KEY_1},2:${KEY_2}`;
+  encryption.resetKeyring();
+  assert.equal(encryption.decrypt(stored, 'ctx'), 'refresh-token');
+
+  config.encryption.keys = `2:${KEY_2}`;
+  encryption.resetKeyring();
+  assert.throws(() => encryption.decrypt(stored, 'ctx'), { code: 'missing_key' });
+});
+
+test('decrypt rejects another field context and tampered values', t => {
+  useKeys(t, `1:${KEY_1}`);
+  const stored = encryption.encrypt('secret', 'oauth_tokens.access_token');
+
+  assert.throws(() => encryption.decrypt(stored, 'oauth_tokens.refresh_token'), { code: 'decryption_failed' });
+
+  const parts = stored.split(':');
+  parts[4] = Buffer.from('tampered').toString('base64url');
+  assert.throws(() => encryption.decrypt(parts.join(':'), 'oauth_tokens.access_token'), { code: 'decryption_failed' });
+});
+
+test('plaintext values pass through decrypt', t => {
+  useKeys(t, `1:${KEY_1}`);
+  assert.equal(encryption.isEncrypted('legacy-token'), false);
+  assert.equal(encryption.decrypt('legacy-token'), 'legacy-token');
+  assert.equal(encryption.getKeyVersion('legacy-token'), null);
+});
+
+test('invalid key configuration is rejected', t => {
+  useKeys(t, 'not-a-pair');
+  assert.throws(() => encryption.currentKeyVersion(), { code: 'invalid_key' });
+
+  config.encryption.keys = `1:${Buffer.alloc(16).toString('base64')}`;
+  encryption.resetKeyring();
+  assert.throws(() => encryption.currentKeyVersion(), { code: 'invalid_key' });
+
+  config.encryption.keys = `1:${KEY_1}`;
+  config.encryption.currentVersion = '3';
+  encryption.resetKeyring();
+  assert.throws(() => encryption.currentKeyVersion(), { code: 'invalid_key' });
+});
+
+test('encryptedField encrypts once and leaves null alone', t => {
+  useKeys(t, `1:${KEY_1}`);
+  const field = encryption.encryptedField('token_revocations.token');
+
+  const stored = field.set('token');
+  assert.equal(field.set(stored), stored);
+  assert.equal(field.get(stored), 'token');
+  assert.equal(field.set(null), null);
+  assert.equal(field.get(undefined), undefined);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const config = require('../../config/config');
+const encryption = require('../../database/encryption');
+const { OAuthToken, OAuthState, TokenRevocation } = require('../../database/models');
+const rotateTokenKey = require('../../database/scripts/rotate-token-key');
+
+const KEY_1 = crypto.randomBytes(32).toString('base64');
+const KEY_2 = crypto.randomBytes(32).toString('base64');
+
+/**
+ * Serve raw documents from a model's collection and record updates
+ * @param {Function} matches - Decides whether an update filter still matches
+ */
+function stubCollection(t, model, docs, matches = () => true) {
+  t.mock.method(model.collection, 'find', () => (async function* () {
+    yield* docs;
+  })());
+  return t.mock.method(model.collection, 'updateOne', async filter => ({
+    matchedCount: matches(filter) ? 1 : 0
+  }));
+}
+
+test.beforeEach(t => {
+  const previous = { ...config.encryption };
+  config.encryption.keys = `1:${KEY_1},2:${KEY_2}`;
+  config.encryption.currentVersion = '2';
+  encryption.resetKeyring();
+
+  t.after(() => {
+    Object.assign(config.encryption, previous);
+    encryption.resetKeyring();
+  });
+});
+
+test('every encrypted path of the models is rotated', () => {
+  const fields = Object.fromEntries(rotateTokenKey.findEncryptedFields()
+    .map(({ model, fields }) => [model.modelName, fields]));
+
+  assert.deepEqual(fields, {
+    OAuthToken: {
+      access_token: 'oauth_tokens.access_token',
+      refresh_token: 'oauth_tokens.refresh_token'
+    },
+    OAuthState: { code_verifier: 'oauth_states.code_verifier' },
+    TokenRevocation: { token: 'token_revocations.token' }
+  });
+});
+
+test('rotation only replaces the values it read', async t => {
+  config.encryption.currentVersion = '1';
+  encryption.resetKeyring();
+  const accessToken = encryption.encrypt('access', 'oauth_tokens.access_token');
+  config.encryption.currentVersion = '2';
+  encryption.resetKeyring();
+
+  const updateOne = stubCollection(t, OAuthToken, [{ _id: 'a', access_token: accessToken }]);
+  stubCollection(t, OAuthState, []);
+  stubCollection(t, TokenRevocation, []);
+  const results = await rotateTokenKey();
+
+  assert.equal(results.rotated, 1);
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: 'a', access_token: accessToken, refresh_token: null });
+  assert.equal(encryption.getKeyVersion(update.$set.access_token), 2);
+  assert.equal(encryption.decrypt(update.$set.access_token, 'oauth_tokens.access_token'), 'access');
+});
+
+test('tokens changed during rotation are reported instead of reverted', async t => {
+  stubCollection(t, OAuthToken, [{ _id: 'a', access_token: 'plain', refresh_token: 'plain-refresh' }], () => false);
+  stubCollection(t, OAuthState, []);
+  const revocations = stubCollection(t, TokenRevocation, [{ _id: 'r', token: 'plain-revoked' }]);
+  const results = await rotateTokenKey();
+
+  assert.equal(results.rotated, 1);
+  assert.deepEqual(results.changed, [{ collection: OAuthToken.collection.collectionName, id: 'a' }]);
+  const [filter, update] = revocations.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: 'r', token: 'plain-revoked' });
+  assert.equal(encryption.decrypt(update.$set.token, 'token_revocations.token'), 'plain-revoked');
+});
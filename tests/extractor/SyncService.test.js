@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { User, SyncRun, OAuthToken } = require('../../database/models');
+const LinkedInExtractor = require('../../src/extractor/LinkedInExtractor');
+const EventStore = require('../../src/storage/EventStore');
+const SyncService = require('../../src/extractor/SyncService');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+/**
+ * Run syncUser against stubbed storage with the given per-source summaries
+ */
+async function syncWithSources(t, sources) {
+  t.mock.method(User, 'findById', async () => ({ _id: USER_ID, timezone: 'UTC' }));
+  const updateOne = t.mock.method(User, 'updateOne', async () => ({}));
+  t.mock.method(SyncRun, 'create', async doc => ({ ...doc, save: async () => {} }));
+  t.mock.method(LinkedInExtractor.prototype, 'extractEvents', async () => ({ events: [], sources }));
+  t.mock.method(EventStore, 'recordEvents', async () => ({ inserted: 0, duplicates: [], range: null }));
+
+  const run = await SyncService.syncUser(USER_ID);
+  const [update] = updateOne.mock.calls;
+  return { run, watermarks: update ? update.arguments[1].$set : null };
+}
+
+const limited = () => ({
+  success: false,
+  unavailable: true,
+  error: { code: 'API_LIMITATION', message: 'Partner access required' }
+});
+
+test('a sync where no source is available is skipped, not failed', async t => {
+  const { run, watermarks } = await syncWithSources(t, { linkedin_api: limited() });
+
+  assert.equal(run.status, 'skipped');
+  assert.deepEqual(run.failures, []);
+  assert.deepEqual(run.unavailable, [{ source: 'linkedin_api', code: 'API_LIMITATION', message: 'Partner access required' }]);
+  assert.equal(watermarks, null);
+});
+
+test('unavailable sources do not count against the other sources', async t => {
+  const ok = { success: true, fetched: 1, events: 1, rejected: 0 };
+  const failed = { success: false, error: { code: 'ECONNRESET', message: 'socket hang up' } };
+
+  assert.equal((await syncWithSources(t, { linkedin_api: limited(), custom: ok })).run.status, 'success');
+
+  t.mock.restoreAll();
+  assert.equal((await syncWithSources(t, { linkedin_api: limited(), custom: failed })).run.status, 'failed');
+
+  t.mock.restoreAll();
+  assert.equal((await syncWithSources(t, { custom: ok, other: failed })).run.status, 'partial');
+});
+
+test('last_sync only advances when a source succeeded', async t => {
+  const ok = { success: true, fetched: 1, events: 1, rejected: 0 };
+  const failed = () => ({ success: false, error: { code: 'ECONNRESET', message: 'socket hang up' } });
+
+  const { watermarks } = await syncWithSources(t, { linkedin_api: failed(), custom: ok });
+  assert.ok(watermarks.last_sync instanceof Date);
+  assert.equal(watermarks['sync_watermarks.custom'], watermarks.last_sync);
+  assert.equal(watermarks['sync_watermarks.linkedin_api'], undefined);
+
+  t.mock.restoreAll();
+  assert.equal((await syncWithSources(t, { linkedin_api: failed(), custom: failed() })).watermarks, null);
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Run syncAllUsers over the given raw token documents
+ */
+async function syncAll(t, tokens, syncUser = async () => ({ status: 'success', events: null })) {
+  t.mock.method(OAuthToken, 'find', () => ({
+    select: () => ({ lean: async () => tokens })
+  }));
+  const updateMany = t.mock.method(User, 'updateMany', async () => ({}));
+  const synced = t.mock.method(SyncService, 'syncUser', syncUser);
+
+  const results = await SyncService.syncAllUsers();
+  return { results, updateMany, synced: synced.mock.calls.map(call => call.arguments[0]) };
+}
+
+test('syncAllUsers flags users whose tokens can neither be used nor refreshed', async t => {
+  const past = new Date(Date.now() - HOUR_MS);
+  const future = new Date(Date.now() + HOUR_MS);
+
+  const { results, updateMany, synced } = await syncAll(t, [
+    { user_id: 'valid', expires_at: future },
+    { user_id: 'refreshable', expires_at: past, refresh_token: 'v1:stored' },
+    { user_id: 'no-refresh', expires_at: past, refresh_token: null },
+    { user_id: 'refresh-expired', expires_at: past, refresh_token: 'v1:stored', refresh_expires_at: past }
+  ]);
+
+  assert.deepEqual(synced, ['valid', 'refreshable']);
+  assert.deepEqual(results.reauthRequired, ['no-refresh', 'refresh-expired']);
+  assert.deepEqual(updateMany.mock.calls[0].arguments, [
+    { _id: { $in: ['no-refresh', 'refresh-expired'] }, reauth_required_at: null },
+    { $set: { reauth_required_at: updateMany.mock.calls[0].arguments[1].$set.reauth_required_at } }
+  ]);
+  assert.equal(results.total, 2);
+});
+
+test('syncAllUsers does not decrypt refresh tokens to check for them', async t => {
+  const past = new Date(Date.now() - HOUR_MS);
+
+  // Not a value the current keys can decrypt
+  const { synced } = await syncAll(t, [{ user_id: 'a', expires_at: past, refresh_token: 'v99:undecryptable' }]);
+  assert.deepEqual(synced, ['a']);
+});
+
+test('syncAllUsers keeps going when a user fails', async t => {
+  const future = new Date(Date.now() + HOUR_MS);
+
+  const { results } = await syncAll(t, [
+    { user_id: 'a', expires_at: future },
+    { user_id: 'b', expires_at: future }
+  ], async userId => {
+    if (userId === 'a') {
+      throw new Error('User a not found');
+    }
+    return { status: 'success', events: { received: 2, inserted: 1, duplicates: 1 } };
+  });
+
+  assert.equal(results.failed, 1);
+  assert.equal(results.success, 1);
+  assert.deepEqual(results.errors, [{ userId: 'a', error: 'User a not found' }]);
+  assert.deepEqual(results.events, { received: 2, inserted: 1, duplicates: 1 });
+});
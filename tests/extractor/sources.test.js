@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  registry,
+  SourceRegistry,
+  ActivitySource,
+  LinkedInArchiveSource,
+  BrowserExtensionSource
+} = require('../../src/extractor/sources');
+
+class StubSource extends ActivitySource {
+  constructor(name, capabilities) {
+    super(name, capabilities);
+  }
+
+  normalize(raw) {
+    return this.validateEvent(raw);
+  }
+}
+
+test('the default registry holds the built-in sources', () => {
+  assert.deepEqual(registry.list().map(source => source.name), [
+    'linkedin_api',
+    'linkedin_archive',
+    'browser_extension'
+  ]);
+  assert.deepEqual(registry.list({ capability: 'pull' }).map(source => source.name), ['linkedin_api']);
+});
+
+test('register validates names and the source interface', () => {
+  const sources = new SourceRegistry();
+
+  assert.throws(() => sources.register(new StubSource('has.dot')), /Source name/);
+  assert.throws(() => sources.register(new StubSource('')), /Source name/);
+  assert.throws(() => sources.register({ name: 'bare', capabilities: {} }), /must implement fetch\(\) and normalize\(\)/);
+});
+
+test('register refuses duplicates unless replacing', () => {
+  const sources = new SourceRegistry();
+  sources.register(new StubSource('custom', { push: true }));
+
+  assert.throws(() => sources.register(new StubSource('custom')), /already registered/);
+
+  const replacement = new StubSource('custom', { pull: true });
+  sources.register(replacement, { replace: true });
+  assert.equal(sources.get('custom'), replacement);
+  assert.deepEqual(sources.describe(), [{ name: 'custom', capabilities: replacement.capabilities }]);
+
+  assert.equal(sources.unregister('custom'), true);
+  assert.equal(sources.has('custom'), false);
+  assert.equal(sources.get('custom'), null);
+});
+
+test('the base source cannot fetch', async () => {
+  await assert.rejects(new StubSource('custom').fetch(null, new Date()), { code: 'NOT_SUPPORTED' });
+});
+
+test('validateEvent requires a type, source_id and date and sets the source', () => {
+  const source = new StubSource('custom');
+  const occurredAt = new Date('2024-10-01T09:30:00Z');
+
+  assert.deepEqual(source.normalize({ type: 'post', source_id: 'p1', occurred_at: occurredAt }), {
+    type: 'post',
+    source_id: 'p1',
+    occurred_at: occurredAt,
+    source: 'custom'
+  });
+  assert.throws(() => source.normalize({ type: 'share', source_id: 'p1', occurred_at: occurredAt }), { code: 'INVALID_RECORD' });
+  assert.throws(() => source.normalize({ type: 'post', source_id: ' ', occurred_at: occurredAt }), { code: 'INVALID_RECORD' });
+  assert.throws(() => source.normalize({ type: 'post', source_id: 'p1', occurred_at: new Date('x') }), { code: 'INVALID_RECORD' });
+});
+
+test('browser extension records are normalized', () => {
+  const source = new BrowserExtensionSource();
+  const event = source.normalize({
+    id: ' urn:li:activity:1 ',
+    type: 'reaction',
+    occurred_at: Date.UTC(2024, 9, 1),
+    reaction: 'LIKE'
+  });
+
+  assert.equal(event.source, 'browser_extension');
+  assert.equal(event.source_id, 'urn:li:activity:1');
+  assert.equal(event.occurred_at.toISOString(), '2024-10-01T00:00:00.000Z');
+  assert.deepEqual(event.metadata, { kind: 'LIKE' });
+
+  assert.throws(() => source.normalize([]), { code: 'INVALID_RECORD' });
+  assert.throws(() => source.normalize({ id: 'x', type: 'post', occurred_at: 'yesterday' }), { code: 'INVALID_RECORD' });
+  assert.throws(() => source.normalize({ id: 'x', type: 'post', occurred_at: 0, url: 42 }), { code: 'INVALID_RECORD' });
+});
+
+test('archive rows are normalized with UTC dates and stable IDs', () => {
+  const source = new LinkedInArchiveSource();
+  const record = { Date: '2024-10-01 09:30:00', ShareLink: 'https://www.linkedin.com/feed/update/1', ShareCommentary: 'Hello' };
+
+  const event = source.normalize({ file: 'shares.csv', record });
+  assert.equal(event.type, 'post');
+  assert.equal(event.source, 'linkedin_archive');
+  assert.equal(event.occurred_at.toISOString(), '2024-10-01T09:30:00.000Z');
+  assert.equal(event.text, 'Hello');
+  assert.equal(event.source_id, source.normalize({ file: 'shares.csv', record: { ...record } }).source_id);
+  assert.notEqual(event.source_id, source.normalize({ file: 'shares.csv', record: { ...record, ShareCommentary: 'Hi' } }).source_id);
+
+  const reaction = source.normalize({ file: 'reactions.csv', record: { Date: '2024-10-01 10:00:00', Type: 'PRAISE', Link: 'x' } });
+  assert.equal(reaction.type, 'reaction');
+  assert.deepEqual(reaction.metadata, { kind: 'PRAISE' });
+
+  assert.throws(() => source.normalize({ file: 'shares.csv', record: { Date: 'soon' } }), { code: 'INVALID_RECORD' });
+  assert.throws(() => source.normalize({ file: 'messages.csv', record }), { code: 'INVALID_RECORD' });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const config = require('../../config/config');
+const LinkedInArchiveImporter = require('../../src/importer/LinkedInArchiveImporter');
+
+const CENTRAL_HEADER = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+
+/**
+ * Build a ZIP archive from a map of file name to contents
+ */
+function archive(files) {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, text]) => zip.addFile(name, Buffer.from(text)));
+  return zip.toBuffer();
+}
+
+/**
+ * Overwrite the uncompressed size in every local and central header
+ */
+function forgeSizes(buffer, size) {
+  const forged = Buffer.from(buffer);
+  for (let offset = 0; offset <= forged.length - 4; offset++) {
+    const signature = forged.readUInt32LE(offset);
+    if (signature === LOCAL_HEADER) {
+      forged.writeUInt32LE(size, offset + 22);
+    } else if (signature === CENTRAL_HEADER) {
+      forged.writeUInt32LE(size, offset + 24);
+    }
+  }
+  return forged;
+}
+
+/**
+ * Use small size limits for the rest of the test
+ */
+function limitSizes(t, maxFileBytes, maxTotalBytes) {
+  const previous = { ...config.archiveImport };
+  Object.assign(config.archiveImport, { maxFileBytes, maxTotalBytes });
+  t.after(() => Object.assign(config.archiveImport, previous));
+}
+
+test('parseArchive reads the recognized files', () => {
+  const buffer = archive({
+    'Basic_LinkedInDataExport/Shares.csv': 'Date,ShareLink,ShareCommentary\n2024-10-01 09:30:00,https://www.linkedin.com/feed/update/1,Hello\n',
+    'Profile.csv': 'First Name\nAda\n'
+  });
+
+  const { events, files } = LinkedInArchiveImporter.parseArchive(buffer);
+  assert.deepEqual(files, { 'shares.csv': { rows: 1, parsed: 1 } });
+  assert.equal(events[0].type, 'post');
+});
+
+test('files larger than the limit are rejected', t => {
+  limitSizes(t, 1024, 4096);
+  const buffer = archive({ 'Shares.csv': `Date\n${'2024-10-01\n'.repeat(200)}` });
+
+  assert.throws(() => LinkedInArchiveImporter.readArchive(buffer), { code: 'archive_too_large' });
+});
+
+test('headers understating the uncompressed size do not bypass the limit', t => {
+  limitSizes(t, 1024, 4096);
+  const bomb = archive({ 'Shares.csv': `Date\n${'0'.repeat(1024 * 1024)}` });
+
+  for (const size of [0, 10]) {
+    assert.throws(() => LinkedInArchiveImporter.readArchive(forgeSizes(bomb, size)), { code: 'archive_too_large' });
+  }
+});
+
+test('headers overstating the uncompressed size are rejected', () => {
+  const buffer = forgeSizes(archive({ 'Shares.csv': 'Date\n2024-10-01\n' }), 100);
+
+  assert.throws(() => LinkedInArchiveImporter.readArchive(buffer), { code: 'invalid_archive' });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRows, parseCsv } = require('../../src/importer/csvParser');
+
+test('parseRows splits fields and rows', () => {
+  assert.deepEqual(parseRows('a,b,c\n1,2,3\n'), [['a', 'b', 'c'], ['1', '2', '3']]);
+});
+
+test('parseRows handles CRLF, a missing final newline and blank lines', () => {
+  assert.deepEqual(parseRows('a,b\r\n\r\n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('parseRows keeps commas, escaped quotes and line breaks inside quotes', () => {
+  assert.deepEqual(parseRows('text\n"a, ""quoted""\nline"\n'), [['text'], ['a, "quoted"\nline']]);
+});
+
+test('parseRows keeps empty fields', () => {
+  assert.deepEqual(parseRows('a,,c\n,,\n'), [['a', '', 'c'], ['', '', '']]);
+});
+
+test('parseRows strips a UTF-8 byte order mark', () => {
+  assert.deepEqual(parseRows('\ufeffDate,Link\n'), [['Date', 'Link']]);
+});
+
+test('parseCsv maps rows to header names with 1-based row numbers', () => {
+  const { headers, records } = parseCsv(' Date ,Link\n2024-01-01,https://a\n2024-01-02\n');
+
+  assert.deepEqual(headers, ['Date', 'Link']);
+  assert.deepEqual(records, [
+    { row: 2, Date: '2024-01-01', Link: 'https://a' },
+    { row: 3, Date: '2024-01-02', Link: '' }
+  ]);
+});
+
+test('parseCsv skips notes before the required header', () => {
+  const { headers, records } = parseCsv('Notes:\nExported by LinkedIn\nDate,Type\n2024-01-01,LIKE\n', {
+    requiredHeader: 'date'
+  });
+
+  assert.deepEqual(headers, ['Date', 'Type']);
+  assert.deepEqual(records, [{ row: 4, Date: '2024-01-01', Type: 'LIKE' }]);
+});
+
+test('parseCsv returns nothing when the required header is missing', () => {
+  assert.deepEqual(parseCsv('a,b\n1,2\n', { requiredHeader: 'Date' }), { headers: [], records: [] });
+  assert.deepEqual(parseCsv(''), { headers: [], records: [] });
+});
@@ -0,0 +1,96 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../config/config');
+const OAuthService = require('../../src/api/oauthService');
+const MockLinkedInServer = require('../../src/mock/MockLinkedInServer');
+
+const server = new MockLinkedInServer({ clientId: 'client', clientSecret: 'secret' });
+
+before(async () => {
+  const baseUrl = await server.start(0);
+  Object.assign(config.linkedin, {
+    clientId: 'client',
+    clientSecret: 'secret',
+    authorizationUrl: `${baseUrl}/oauth/v2/authorization`,
+    tokenUrl: `${baseUrl}/oauth/v2/accessToken`,
+    userInfoUrl: `${baseUrl}/v2/userinfo`,
+    revokeUrl: `${baseUrl}/oauth/v2/revoke`
+  });
+});
+
+after(() => server.stop());
+
+beforeEach(() => server.reset());
+
+/**
+ * Log in as a mock member through the authorization endpoint
+ * @returns {Promise<Object>} { code, state, codeVerifier }
+ */
+async function authorize(sub) {
+  const { codeVerifier, codeChallenge } = OAuthService.generatePkcePair();
+  const url = new URL(OAuthService.getAuthorizationUrl('state-1', { codeChallenge }));
+  url.searchParams.set('mock_member', sub);
+
+  const response = await fetch(url, { redirect: 'manual' });
+  assert.equal(response.status, 302);
+
+  const callback = new URL(response.headers.get('location'));
+  assert.equal(`${callback.origin}${callback.pathname}`, config.linkedin.redirectUri);
+  return { code: callback.searchParams.get('code'), state: callback.searchParams.get('state'), codeVerifier };
+}
+
+test('a PKCE login yields tokens for the chosen member', async () => {
+  const { code, state, codeVerifier } = await authorize('mock-ada');
+  assert.equal(state, 'state-1');
+
+  const tokens = await OAuthService.exchangeCodeForToken(code, { codeVerifier });
+  assert.equal(tokens.token_type, 'Bearer');
+  assert.ok(tokens.refresh_token);
+
+  const userInfo = await OAuthService.getUserInfo(tokens.access_token);
+  assert.equal(userInfo.sub, 'mock-ada');
+  assert.equal(userInfo.email, 'ada@example.com');
+
+  // Codes are single use
+  await assert.rejects(OAuthService.exchangeCodeForToken(code, { codeVerifier }), /invalid or expired/);
+});
+
+test('a code is refused without its PKCE verifier', async () => {
+  const { code } = await authorize('mock-grace');
+
+  await assert.rejects(
+    OAuthService.exchangeCodeForToken(code, { codeVerifier: 'not-the-verifier' }),
+    /code_verifier does not match/
+  );
+});
+
+test('expired access tokens can be refreshed, and revoked ones stop working', async () => {
+  const { code, codeVerifier } = await authorize('mock-ada');
+  const tokens = await OAuthService.exchangeCodeForToken(code, { codeVerifier });
+
+  assert.equal(server.expireAccessTokens('mock-ada'), 1);
+  await assert.rejects(OAuthService.getUserInfo(tokens.access_token), /has expired/);
+
+  const refreshed = await OAuthService.refreshAccessToken(tokens.refresh_token);
+  assert.notEqual(refreshed.access_token, tokens.access_token);
+  assert.equal(refreshed.refresh_token, tokens.refresh_token);
+  assert.equal((await OAuthService.getUserInfo(refreshed.access_token)).sub, 'mock-ada');
+
+  await OAuthService.revokeLinkedInToken(refreshed.access_token);
+  await assert.rejects(OAuthService.getUserInfo(refreshed.access_token), /Invalid access token/);
+});
+
+test('injected faults answer the given number of requests', async () => {
+  server.addFault({ path: '/oauth/v2/revoke', status: 503 });
+
+  await assert.rejects(OAuthService.revokeLinkedInToken('any'), { retryable: true });
+  await OAuthService.revokeLinkedInToken('any');
+
+  const response = await fetch(new URL('/__mock/faults', config.linkedin.tokenUrl), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path: '/oauth/v2/revoke', status: 400 })
+  });
+  assert.equal(response.status, 201);
+  await assert.rejects(OAuthService.revokeLinkedInToken('any'), { retryable: false });
+});
@@ -0,0 +1,386 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ScheduledJob } = require('../../database/models');
+const OAuthService = require('../../src/api/oauthService');
+const JobRunStore = require('../../src/storage/JobRunStore');
+const scheduler = require('../../src/scheduler/CronScheduler');
+
+test('previewSchedule lists the next fire times', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-07T00:00:00Z') });
+
+  assert.deepEqual(scheduler.previewSchedule('0 2 * * *', { timezone: 'America/New_York', count: 3 }), {
+    schedule: '0 2 * * *',
+    timezone: 'America/New_York',
+    next: ['2026-03-07T07:00:00.000Z', '2026-03-08T07:00:00.000Z', '2026-03-09T06:00:00.000Z']
+  });
+});
+
+test('previewSchedule is empty for expressions that never fire', () => {
+  assert.deepEqual(scheduler.previewSchedule('0 0 30 2 *', { timezone: 'UTC' }).next, []);
+});
+
+test('previewSchedule rejects invalid expressions and timezones', () => {
+  assert.throws(() => scheduler.previewSchedule('0 25 * * *'), { code: 'invalid_schedule' });
+  assert.throws(() => scheduler.previewSchedule('0 2 * * *', { timezone: 'Mars/Olympus' }), { code: 'invalid_schedule' });
+});
+
+/**
+ * Schedule an in-memory job that does not fire during the test
+ */
+function startJob(t, name, task, options = {}) {
+  const result = scheduler.startScheduler(name, task, '0 0 1 1 *', options);
+  assert.equal(result.success, true);
+  t.after(() => scheduler.stopScheduler(name));
+}
+
+/**
+ * Promise with its resolve function exposed
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+test('triggerJob reports when the run starts and resolves with its outcome', async t => {
+  startJob(t, 'test-trigger', async () => 'done');
+  const states = [];
+
+  const result = await scheduler.triggerJob('test-trigger', { onAccepted: state => states.push(state) });
+
+  assert.deepEqual(result, { status: 'success', summary: 'done' });
+  assert.deepEqual(states, ['running']);
+});
+
+test('triggerJob resolves skipped runs without accepting them', async t => {
+  const release = deferred();
+  startJob(t, 'test-overlap', () => release.promise);
+  const first = scheduler.triggerJob('test-overlap');
+
+  const states = [];
+  const second = await scheduler.triggerJob('test-overlap', { onAccepted: state => states.push(state) });
+
+  assert.deepEqual(second, { status: 'skipped', reason: 'overlap' });
+  assert.deepEqual(states, []);
+  release.resolve();
+  await first;
+});
+
+test('queued runs report their state and pass on failures', async t => {
+  const release = deferred();
+  startJob(t, 'test-queue', () => release.promise, { concurrency: 'queue' });
+  const first = scheduler.triggerJob('test-queue');
+
+  const states = [];
+  const queued = scheduler.triggerJob('test-queue', { onAccepted: state => states.push(state) });
+  assert.deepEqual(states, ['queued']);
+
+  t.mock.method(scheduler, 'runJob', async () => {
+    throw new Error('lock store unavailable');
+  });
+  release.resolve();
+
+  await first;
+  await assert.rejects(queued, /lock store unavailable/);
+});
+
+/**
+ * Stored definition of a persisted test job
+ */
+function storedJob(changes = {}) {
+  return {
+    name: 'test-persisted',
+    task: 'retry-token-revocations',
+    schedule: '0 3 * * *',
+    timezone: 'UTC',
+    enabled: true,
+    params: {},
+    description: null,
+    concurrency: 'skip',
+    timeout_seconds: null,
+    retry_attempts: 0,
+    retry_delay_seconds: 60,
+    catch_up: 'none',
+    ...changes
+  };
+}
+
+/**
+ * Start a persisted job as if MongoDB were connected, with the stored
+ * definition another instance may have changed
+ */
+function startPersistedJob(t, stored) {
+  t.mock.method(JobRunStore, 'isConnected', () => true);
+  t.mock.method(JobRunStore, 'start', async () => null);
+  t.mock.method(scheduler, 'acquireJobLock', async () => true);
+  t.mock.method(scheduler, 'releaseJobLock', async () => {});
+  t.mock.method(ScheduledJob, 'findOne', async () => stored);
+  t.mock.method(ScheduledJob, 'updateOne', async () => ({}));
+
+  assert.equal(scheduler.startPersistedJob(storedJob()).success, true);
+  t.after(() => scheduler.jobs.has('test-persisted') && scheduler.stopScheduler('test-persisted'));
+}
+
+test('jobs paused or deleted on another instance stop at their next run', async t => {
+  for (const [stored, reason] of [[storedJob({ enabled: false }), 'disabled'], [null, 'deleted']]) {
+    await t.test(reason, async t => {
+      startPersistedJob(t, stored);
+      const retry = t.mock.method(OAuthService, 'retryFailedRevocations', async () => ({}));
+
+      assert.deepEqual(await scheduler.triggerJob('test-persisted'), { status: 'skipped', reason });
+      assert.equal(scheduler.jobs.has('test-persisted'), false);
+      assert.equal(retry.mock.callCount(), 0);
+    });
+  }
+});
+
+test('jobs edited on another instance run with the new definition', async t => {
+  startPersistedJob(t, storedJob({ schedule: '0 4 * * *', params: { limit: 5 }, retry_attempts: 2 }));
+  const retry = t.mock.method(OAuthService, 'retryFailedRevocations', async () => ({ retried: 0 }));
+
+  assert.equal((await scheduler.triggerJob('test-persisted')).status, 'success');
+  assert.deepEqual(retry.mock.calls[0].arguments, [{ limit: 5 }]);
+  const status = scheduler.getSchedulerStatus('test-persisted');
+  assert.equal(status.schedule, '0 4 * * *');
+  assert.equal(status.retry.attempts, 2);
+});
+
+test('runs of an old schedule are skipped unless the new one has them too', async t => {
+  const cases = [
+    ['Sunday', new Date('2026-01-04T03:00:00Z'), 'skipped'],
+    ['Monday', new Date('2026-01-05T03:00:00Z'), 'success']
+  ];
+
+  for (const [day, scheduledFor, status] of cases) {
+    await t.test(day, async t => {
+      startPersistedJob(t, storedJob({ schedule: '0 3 * * 1' }));
+      t.mock.method(OAuthService, 'retryFailedRevocations', async () => ({}));
+      const jobInfo = scheduler.jobs.get('test-persisted');
+
+      const result = await scheduler.executeJob('test-persisted', jobInfo, 'schedule', scheduledFor);
+      assert.equal(result.status, status);
+      assert.equal(jobInfo.schedule, '0 3 * * 1');
+    });
+  }
+});
+
+test('run outcomes update the failure counters', async t => {
+  let failing = true;
+  startJob(t, 'test-counters', async () => {
+    if (failing) {
+      throw new Error('LinkedIn unavailable');
+    }
+    return 'done';
+  });
+
+  await scheduler.triggerJob('test-counters');
+  assert.deepEqual(await scheduler.triggerJob('test-counters'), { status: 'failed', error: 'LinkedIn unavailable' });
+
+  let status = scheduler.getSchedulerStatus('test-counters');
+  assert.equal(status.consecutiveFailures, 2);
+  assert.equal(status.lastError, 'LinkedIn unavailable');
+  assert.equal(status.lastSuccess, null);
+  assert.equal(status.lastFailure, status.lastRun);
+
+  failing = false;
+  await scheduler.triggerJob('test-counters');
+
+  status = scheduler.getSchedulerStatus('test-counters');
+  assert.equal(status.consecutiveFailures, 0);
+  assert.equal(status.lastError, null);
+  assert.equal(status.lastSuccess, status.lastRun);
+  assert.notEqual(status.lastFailure, null);
+});
+
+test('runs are recorded in the history with their outcome', async t => {
+  t.mock.method(JobRunStore, 'isConnected', () => true);
+  t.mock.method(scheduler, 'acquireJobLock', async () => true);
+  t.mock.method(scheduler, 'releaseJobLock', async () => {});
+  const run = { job_name: 'test-history' };
+  const start = t.mock.method(JobRunStore, 'start', async () => run);
+  const finish = t.mock.method(JobRunStore, 'finish', async () => {});
+  startJob(t, 'test-history', async () => {
+    throw new Error('LinkedIn unavailable');
+  });
+
+  await scheduler.triggerJob('test-history');
+
+  const [jobName, options] = start.mock.calls[0].arguments;
+  assert.equal(jobName, 'test-history');
+  assert.equal(options.trigger, 'manual');
+  assert.equal(options.instance, scheduler.instanceId);
+  const [finished, outcome] = finish.mock.calls[0].arguments;
+  assert.equal(finished, run);
+  assert.equal(outcome.status, 'failed');
+  assert.equal(outcome.error.message, 'LinkedIn unavailable');
+  assert.equal(outcome.attempts, 1);
+});
+
+test('persisted jobs store their counters after every run', async t => {
+  startPersistedJob(t, storedJob());
+  t.mock.method(OAuthService, 'retryFailedRevocations', async () => {
+    throw new Error('LinkedIn unavailable');
+  });
+
+  await scheduler.triggerJob('test-persisted');
+
+  const [filter, update] = ScheduledJob.updateOne.mock.calls.at(-1).arguments;
+  assert.deepEqual(filter, { name: 'test-persisted' });
+  assert.equal(update.$set.consecutive_failures, 1);
+  assert.equal(update.$set.last_error, 'LinkedIn unavailable');
+  assert.equal(update.$set.last_success_at, null);
+  assert.equal(update.$set.last_instance, scheduler.instanceId);
+});
+
+test('attempts that exceed the timeout fail and are aborted', async t => {
+  const signals = [];
+  startJob(t, 'test-timeout', ({ signal }) => {
+    signals.push(signal);
+    return new Promise(() => {});
+  }, { timeoutMs: 20 });
+
+  const result = await scheduler.triggerJob('test-timeout');
+
+  assert.equal(result.status, 'failed');
+  assert.match(result.error, /^Timed out after/);
+  assert.equal(signals[0].aborted, true);
+  assert.equal(signals[0].reason.code, 'JOB_TIMEOUT');
+});
+
+/**
+ * Trigger a job, advancing mocked timers a second at a time until it ends
+ */
+async function triggerWithTimers(t, jobName, onTick = () => {}) {
+  let settled = false;
+  const result = scheduler.triggerJob(jobName).finally(() => {
+    settled = true;
+  });
+  while (!settled) {
+    await new Promise(resolve => setImmediate(resolve));
+    onTick();
+    t.mock.timers.tick(1000);
+  }
+  return result;
+}
+
+test('failed attempts are retried with a doubling delay', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  const attempts = [];
+  startJob(t, 'test-retry', async ({ attempt }) => {
+    attempts.push([attempt, Date.now()]);
+    if (attempt < 3) {
+      throw new Error(`attempt ${attempt} failed`);
+    }
+    return 'done';
+  }, { retry: { attempts: 3, delayMs: 1000 } });
+
+  assert.deepEqual(await triggerWithTimers(t, 'test-retry'), { status: 'success', summary: 'done' });
+  assert.deepEqual(attempts, [[1, 0], [2, 1000], [3, 3000]]);
+});
+
+test('retries stop when they run out or the job is stopped', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  let calls = 0;
+  const failing = async () => {
+    calls++;
+    throw new Error('LinkedIn unavailable');
+  };
+
+  startJob(t, 'test-retry-limit', failing, { retry: { attempts: 1, delayMs: 1000 } });
+  assert.equal((await triggerWithTimers(t, 'test-retry-limit')).status, 'failed');
+  assert.equal(calls, 2);
+
+  calls = 0;
+  scheduler.startScheduler('test-retry-stop', failing, '0 0 1 1 *', { retry: { attempts: 5, delayMs: 1000 } });
+  const result = await triggerWithTimers(t, 'test-retry-stop', () => scheduler.stopScheduler('test-retry-stop'));
+  assert.deepEqual(result, { status: 'failed', error: 'LinkedIn unavailable' });
+  assert.equal(calls, 1);
+});
+
+test('runs are aborted and not retried when the job lock is lost', async t => {
+  let onLost;
+  t.mock.method(JobRunStore, 'isConnected', () => true);
+  t.mock.method(JobRunStore, 'start', async () => null);
+  t.mock.method(scheduler, 'acquireJobLock', async (jobName, callback) => {
+    onLost = callback;
+    return true;
+  });
+  t.mock.method(scheduler, 'releaseJobLock', async () => {});
+
+  let calls = 0;
+  startJob(t, 'test-lock-lost', ({ signal }) => new Promise((resolve, reject) => {
+    calls++;
+    signal.addEventListener('abort', () => reject(signal.reason));
+    onLost();
+  }), { retry: { attempts: 3, delayMs: 1000 } });
+
+  assert.deepEqual(await scheduler.triggerJob('test-lock-lost'), {
+    status: 'failed',
+    error: 'Lost the job lock to another instance'
+  });
+  assert.equal(calls, 1);
+});
+
+test('missed runs are the unrecorded occurrences since the last success', async t => {
+  const recorded = t.mock.method(JobRunStore, 'findRecordedOccurrences', async () => (
+    new Set([new Date('2026-03-09T06:00:00Z').getTime()])
+  ));
+  const job = storedJob({
+    schedule: '0 2 * * *',
+    timezone: 'America/New_York',
+    catch_up: 'all',
+    created_at: new Date('2026-01-01T00:00:00Z'),
+    last_success_at: new Date('2026-03-07T07:00:00Z')
+  });
+  const until = new Date('2026-03-10T12:00:00Z');
+
+  const missed = await scheduler.findMissedRuns(job, until);
+
+  // 2026-03-08 02:00 does not exist in New York; it ran at 03:00 EDT
+  assert.deepEqual(missed.map(date => date.toISOString()), ['2026-03-08T07:00:00.000Z', '2026-03-10T06:00:00.000Z']);
+  assert.equal(recorded.mock.calls[0].arguments[1].length, 3);
+
+  const latest = await scheduler.findMissedRuns({ ...job, catch_up: 'latest' }, until);
+  assert.deepEqual(latest.map(date => date.toISOString()), ['2026-03-10T06:00:00.000Z']);
+
+  // Without a success the search starts at the job's creation
+  const never = await scheduler.findMissedRuns({ ...job, last_success_at: null, catch_up: 'latest' }, until);
+  assert.equal(never.length, 1);
+
+  assert.deepEqual(await scheduler.findMissedRuns({ ...job, catch_up: 'none' }, until), []);
+  assert.equal(recorded.mock.callCount(), 3);
+});
+
+test('loading jobs catches up on missed runs in the background', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-03T12:00:00Z') });
+  const job = storedJob({
+    catch_up: 'all',
+    created_at: new Date('2026-01-01T00:00:00Z'),
+    last_success_at: null
+  });
+  t.mock.method(ScheduledJob, 'find', () => ({ sort: async () => [job] }));
+  t.mock.method(JobRunStore, 'findRecordedOccurrences', async () => new Set());
+  const runs = [];
+  t.mock.method(scheduler, 'executeJob', async (jobName, jobInfo, trigger, scheduledFor) => {
+    runs.push([jobName, trigger, scheduledFor.toISOString()]);
+    return { status: 'success' };
+  });
+  t.after(() => scheduler.jobs.has('test-persisted') && scheduler.stopScheduler('test-persisted'));
+
+  const results = await scheduler.loadJobs();
+
+  assert.deepEqual(results.loaded, ['test-persisted']);
+  assert.deepEqual(results.catchUp, [{
+    name: 'test-persisted',
+    occurrences: ['2026-01-01T03:00:00.000Z', '2026-01-02T03:00:00.000Z', '2026-01-03T03:00:00.000Z']
+  }]);
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(runs, [
+    ['test-persisted', 'catch-up', '2026-01-01T03:00:00.000Z'],
+    ['test-persisted', 'catch-up', '2026-01-02T03:00:00.000Z'],
+    ['test-persisted', 'catch-up', '2026-01-03T03:00:00.000Z']
+  ]);
+});
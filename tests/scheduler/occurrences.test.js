@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { latestOccurrences, nextOccurrences } = require('../../src/scheduler/occurrences');
+
+const iso = dates => dates.map(date => date.toISOString());
+
+test('nextOccurrences lists daily runs in the schedule timezone', () => {
+  assert.deepEqual(iso(nextOccurrences('0 9 * * *', 'Asia/Kolkata', new Date('2026-01-01T00:00:00Z'), 2)), [
+    '2026-01-01T03:30:00.000Z',
+    '2026-01-02T03:30:00.000Z'
+  ]);
+});
+
+test('nextOccurrences continues daily across the spring-forward change', () => {
+  assert.deepEqual(iso(nextOccurrences('0 2 * * *', 'America/New_York', new Date('2026-03-07'), 4)), [
+    '2026-03-07T07:00:00.000Z',
+    '2026-03-08T07:00:00.000Z', // 02:00 does not exist; runs at 03:00 EDT
+    '2026-03-09T06:00:00.000Z',
+    '2026-03-10T06:00:00.000Z'
+  ]);
+});
+
+test('times skipped by DST are shifted by the gap and not repeated', () => {
+  assert.deepEqual(iso(nextOccurrences('*/30 * * * *', 'America/New_York', new Date('2026-03-08T06:00:00Z'), 4)), [
+    '2026-03-08T06:30:00.000Z', // 01:30 EST
+    '2026-03-08T07:00:00.000Z', // 02:00 -> 03:00 EDT, same as 03:00
+    '2026-03-08T07:30:00.000Z', // 02:30 -> 03:30 EDT, same as 03:30
+    '2026-03-08T08:00:00.000Z'
+  ]);
+});
+
+test('times repeated by DST fire once', () => {
+  assert.deepEqual(iso(nextOccurrences('30 1 * * *', 'America/New_York', new Date('2026-10-31T12:00:00Z'), 3)), [
+    '2026-11-01T05:30:00.000Z', // first 01:30 (EDT)
+    '2026-11-02T06:30:00.000Z',
+    '2026-11-03T06:30:00.000Z'
+  ]);
+});
+
+test('latestOccurrences finds the last runs before a DST change', () => {
+  const since = new Date('2026-03-01T00:00:00Z');
+  const until = new Date('2026-03-10T12:00:00Z');
+
+  assert.deepEqual(iso(latestOccurrences('0 2 * * *', 'America/New_York', since, until, 3)), [
+    '2026-03-08T07:00:00.000Z',
+    '2026-03-09T06:00:00.000Z',
+    '2026-03-10T06:00:00.000Z'
+  ]);
+});
+
+test('latestOccurrences counts a time repeated by the fall-back change once', () => {
+  const since = new Date('2026-10-30T12:00:00Z');
+  const until = new Date('2026-11-02T12:00:00Z');
+
+  assert.deepEqual(iso(latestOccurrences('30 1 * * *', 'America/New_York', since, until, 10)), [
+    '2026-10-31T05:30:00.000Z',
+    '2026-11-01T05:30:00.000Z', // first 01:30 (EDT) only
+    '2026-11-02T06:30:00.000Z'
+  ]);
+});
+
+test('latestOccurrences matches nextOccurrences across a year of DST changes', () => {
+  const since = new Date('2026-01-01T00:00:00Z');
+  const until = new Date('2027-01-01T00:00:00Z');
+  const forward = nextOccurrences('15 2 * * *', 'Europe/Berlin', since, 400).filter(date => date < until);
+
+  assert.equal(forward.length, 365);
+  assert.deepEqual(iso(latestOccurrences('15 2 * * *', 'Europe/Berlin', since, until, 400)), iso(forward));
+});
+
+test('latestOccurrences excludes both ends of the range', () => {
+  const since = new Date('2026-01-01T10:00:00Z');
+  const until = new Date('2026-01-01T13:00:00Z');
+
+  assert.deepEqual(iso(latestOccurrences('0 * * * *', 'UTC', since, until, 10)), [
+    '2026-01-01T11:00:00.000Z',
+    '2026-01-01T12:00:00.000Z'
+  ]);
+});
+
+test('expressions that never fire have no occurrences', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+
+  assert.deepEqual(nextOccurrences('0 0 30 2 *', 'UTC', now, 5), []);
+  assert.deepEqual(latestOccurrences('0 0 31 4 *', 'UTC', new Date('2000-01-01'), now, 5), []);
+});
+
+test('rare days are found', () => {
+  // February 29 on a Monday
+  assert.deepEqual(iso(nextOccurrences('0 0 29 2 mon', 'UTC', new Date('2026-01-01T00:00:00Z'), 1)), [
+    '2044-02-29T00:00:00.000Z'
+  ]);
+});
+
+test('seconds, names, ranges, lists and steps follow node-cron', () => {
+  const from = new Date('2026-01-01T00:00:00Z'); // Thursday
+
+  assert.deepEqual(iso(nextOccurrences('*/20 * * * * *', 'UTC', from, 3)), [
+    '2026-01-01T00:00:20.000Z',
+    '2026-01-01T00:00:40.000Z',
+    '2026-01-01T00:01:00.000Z'
+  ]);
+  assert.deepEqual(iso(nextOccurrences('0 9 * * Mon-Wed,FRI', 'UTC', from, 4)), [
+    '2026-01-02T09:00:00.000Z',
+    '2026-01-05T09:00:00.000Z',
+    '2026-01-06T09:00:00.000Z',
+    '2026-01-07T09:00:00.000Z'
+  ]);
+  assert.deepEqual(iso(nextOccurrences('0 0 1 march,10-12/2 *', 'UTC', from, 3)), [
+    '2026-03-01T00:00:00.000Z',
+    '2026-10-01T00:00:00.000Z',
+    '2026-12-01T00:00:00.000Z'
+  ]);
+  // Day of month and weekday must both match; 7 is Sunday
+  assert.deepEqual(iso(nextOccurrences('0 0 1-7 * 7', 'UTC', from, 2)), [
+    '2026-01-04T00:00:00.000Z',
+    '2026-02-01T00:00:00.000Z'
+  ]);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Activity, ActivityEvent } = require('../../database/models');
+const ActivityStore = require('../../src/storage/ActivityStore');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+test('rollupFromEvents leaves manually entered days alone', async t => {
+  t.mock.method(ActivityEvent, 'aggregate', async () => [
+    { _id: { day: '2024-10-01', type: 'post' }, count: 2 },
+    { _id: { day: '2024-10-02', type: 'reaction' }, count: 3 }
+  ]);
+  t.mock.method(Activity, 'find', () => ({
+    select: async () => [{ date: new Date('2024-10-01T00:00:00Z') }]
+  }));
+  const bulkWrite = t.mock.method(Activity, 'bulkWrite', async () => ({}));
+  t.mock.method(Activity, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+  const result = await ActivityStore.rollupFromEvents(USER_ID, { timezone: 'UTC' });
+
+  assert.deepEqual(result, { timezone: 'UTC', from: null, to: null, days: 1, kept: 1, removed: 0 });
+  const operations = bulkWrite.mock.calls[0].arguments[0];
+  assert.equal(operations.length, 1);
+  assert.equal(operations[0].updateOne.filter.date.toISOString(), '2024-10-02T00:00:00.000Z');
+  assert.deepEqual(operations[0].updateOne.update, { $set: { posts: 0, likes: 3, comments: 0, source: 'events' } });
+});
+
+test('rollupFromEvents keeps days entered manually while it runs', async t => {
+  t.mock.method(ActivityEvent, 'aggregate', async () => [
+    { _id: { day: '2024-10-01', type: 'post' }, count: 2 },
+    { _id: { day: '2024-10-02', type: 'reaction' }, count: 3 }
+  ]);
+  t.mock.method(Activity, 'find', () => ({ select: async () => [] }));
+  const bulkWrite = t.mock.method(Activity, 'bulkWrite', async () => {
+    const error = new Error('E11000 duplicate key error');
+    error.writeErrors = [{ code: 11000, index: 0 }];
+    throw error;
+  });
+  t.mock.method(Activity, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+  const result = await ActivityStore.rollupFromEvents(USER_ID, { timezone: 'UTC' });
+
+  assert.equal(result.days, 1);
+  assert.equal(result.kept, 1);
+  const [operation] = bulkWrite.mock.calls[0].arguments[0];
+  assert.deepEqual(operation.updateOne.filter.source, { $ne: 'manual' });
+});
+
+test('rollupFromEvents passes on other write errors', async t => {
+  t.mock.method(ActivityEvent, 'aggregate', async () => [{ _id: { day: '2024-10-01', type: 'post' }, count: 2 }]);
+  t.mock.method(Activity, 'find', () => ({ select: async () => [] }));
+  t.mock.method(Activity, 'bulkWrite', async () => {
+    throw new Error('not primary');
+  });
+
+  await assert.rejects(ActivityStore.rollupFromEvents(USER_ID, { timezone: 'UTC' }), /not primary/);
+});
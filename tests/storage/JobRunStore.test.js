@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobRun } = require('../../database/models');
+const JobRunStore = require('../../src/storage/JobRunStore');
+
+test('runs are not recorded without a database', async t => {
+  const create = t.mock.method(JobRun, 'create', async fields => fields);
+
+  assert.equal(await JobRunStore.start('nightly-sync'), null);
+  await JobRunStore.finish(null, { status: 'success' });
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('started runs expire after the retention period', async t => {
+  t.mock.method(JobRunStore, 'isConnected', () => true);
+  const create = t.mock.method(JobRun, 'create', async fields => fields);
+  const startedAt = new Date('2024-01-01T02:00:00Z');
+
+  const run = await JobRunStore.start('nightly-sync', {
+    task: 'sync-all-users',
+    trigger: 'catch-up',
+    startedAt,
+    scheduledFor: startedAt,
+    instance: 'host-1'
+  });
+
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(run.job_name, 'nightly-sync');
+  assert.equal(run.trigger, 'catch-up');
+  assert.equal(run.scheduled_for, startedAt);
+  assert.equal(run.expires_at.toISOString(), '2024-03-31T02:00:00.000Z');
+});
+
+test('an occurrence already claimed throws, other recording errors are only logged', async t => {
+  t.mock.method(JobRunStore, 'isConnected', () => true);
+  const create = t.mock.method(JobRun, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+
+  await assert.rejects(JobRunStore.start('nightly-sync', { scheduledFor: new Date() }), { code: 11000 });
+
+  create.mock.mockImplementation(async () => {
+    throw new Error('connection reset');
+  });
+  assert.equal(await JobRunStore.start('nightly-sync'), null);
+});
+
+test('finished runs store their outcome, duration and attempts', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-01-01T02:00:05Z') });
+  let saved = 0;
+  const run = {
+    job_name: 'nightly-sync',
+    started_at: new Date('2024-01-01T02:00:00Z'),
+    async save() {
+      saved++;
+    }
+  };
+
+  await JobRunStore.finish(run, { status: 'failed', attempts: 3, error: new Error('LinkedIn unavailable') });
+
+  assert.equal(saved, 1);
+  assert.equal(run.status, 'failed');
+  assert.equal(run.duration_ms, 5000);
+  assert.equal(run.attempts, 3);
+  assert.equal(run.summary, null);
+  assert.equal(run.error.message, 'LinkedIn unavailable');
+
+  await JobRunStore.finish(run, { status: 'success', summary: { synced: 2 } });
+  assert.equal(run.attempts, 1);
+  assert.deepEqual(run.summary, { synced: 2 });
+  assert.equal(run.error, null);
+});
+
+test('history pages are newest first and at most 100 runs long', async t => {
+  const calls = {};
+  const query = {};
+  ['sort', 'skip', 'limit', 'select'].forEach(method => {
+    query[method] = value => {
+      calls[method] = value;
+      return query;
+    };
+  });
+  query.lean = async () => [];
+  t.mock.method(JobRun, 'find', () => query);
+  t.mock.method(JobRun, 'countDocuments', async () => 250);
+
+  const { pagination } = await JobRunStore.list('nightly-sync', { page: '3', limit: '500' });
+
+  assert.deepEqual(calls.sort, { started_at: -1 });
+  assert.equal(calls.skip, 200);
+  assert.equal(calls.limit, 100);
+  assert.deepEqual(pagination, { page: 3, limit: 100, total: 250, pages: 3 });
+});
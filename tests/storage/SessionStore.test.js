@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Session } = require('../../database/models');
+const SessionStore = require('../../src/storage/SessionStore');
+
+/**
+ * Save a session through the store
+ */
+function save(store, sid, sess) {
+  return new Promise((resolve, reject) => {
+    store.set(sid, sess, error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Load a session through the store from the given stored data
+ */
+function load(t, store, sid, data) {
+  t.mock.method(Session, 'findOne', () => ({
+    select: () => ({ lean: async () => ({ data: JSON.stringify(data) }) })
+  }));
+  return new Promise((resolve, reject) => {
+    store.load(sid, (error, sess) => (error ? reject(error) : resolve(sess)));
+  });
+}
+
+const cookie = () => ({ originalMaxAge: 60000, expires: new Date(Date.now() + 60000).toISOString() });
+
+test('sessions loaded from the store are updated but never recreated', async t => {
+  const store = new SessionStore();
+  const updateOne = t.mock.method(Session, 'updateOne', async () => ({ matchedCount: 0 }));
+
+  const sess = await load(t, store, 'sid-1', { cookie: cookie(), userId: 'u1' });
+  sess.client = { user_agent: 'curl/8.0', ip: '127.0.0.1' };
+  await save(store, 'sid-1', sess);
+
+  const [filter, update, options] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { sid_hash: SessionStore.hashSessionId('sid-1') });
+  assert.equal(update.$set.user_id, 'u1');
+  assert.equal(update.$set.device, 'curl');
+  assert.deepEqual(options, { upsert: false });
+  assert.ok(!update.$set.data.includes('stored'));
+});
+
+test('sessions created during the request are inserted once', async t => {
+  const store = new SessionStore();
+  const updateOne = t.mock.method(Session, 'updateOne', async () => ({ matchedCount: 1 }));
+  const sess = { cookie: cookie(), userId: 'u1' };
+
+  await save(store, 'sid-2', sess);
+  await save(store, 'sid-2', sess);
+
+  assert.deepEqual(updateOne.mock.calls.map(call => call.arguments[2]), [{ upsert: true }, { upsert: false }]);
+});
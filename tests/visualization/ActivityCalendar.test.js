@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Activity } = require('../../database/models');
+const ActivityCalendar = require('../../src/visualization/ActivityCalendar');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+test('color levels follow the heatmap thresholds', () => {
+  assert.deepEqual([0, 1, 2, 3, 4, 5, 7, 8, 50].map(count => ActivityCalendar.getColorLevel(count)), [0, 1, 1, 2, 2, 3, 3, 4, 4]);
+});
+
+test('ranges default to one year ending today in the user timezone', t => {
+  // Already the 2nd in Tokyo, still the 1st in UTC
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-03-01T20:00:00Z') });
+
+  const utc = ActivityCalendar.resolveRange({});
+  assert.equal(utc.to.toISOString(), '2024-03-01T00:00:00.000Z');
+  assert.equal(utc.from.toISOString(), '2023-03-03T00:00:00.000Z');
+
+  const tokyo = ActivityCalendar.resolveRange({}, { timezone: 'Asia/Tokyo' });
+  assert.equal(tokyo.to.toISOString(), '2024-03-02T00:00:00.000Z');
+});
+
+test('invalid, reversed and oversized ranges are rejected', () => {
+  const cases = [
+    [{ from: '2024-02-30', to: '2024-03-01' }, 'invalid_range'],
+    [{ from: '2024-3-1', to: '2024-03-01' }, 'invalid_range'],
+    [{ from: '2024-03-02', to: '2024-03-01' }, 'invalid_range'],
+    [{ from: '2010-01-01', to: '2024-03-01' }, 'range_too_large']
+  ];
+
+  for (const [query, code] of cases) {
+    assert.throws(() => ActivityCalendar.resolveRange(query), { name: 'CalendarError', code }, JSON.stringify(query));
+  }
+
+  const range = ActivityCalendar.resolveRange({ from: '2024-01-01', to: '2024-01-10' }, { maxDays: 10 });
+  assert.equal(range.from.toISOString(), '2024-01-01T00:00:00.000Z');
+  assert.throws(() => ActivityCalendar.resolveRange({ from: '2024-01-01', to: '2024-01-11' }, { maxDays: 10 }), {
+    code: 'range_too_large'
+  });
+});
+
+test('types are parsed from a comma-separated list', () => {
+  assert.deepEqual(ActivityCalendar.parseTypes(undefined), ['posts', 'likes', 'comments']);
+  assert.deepEqual(ActivityCalendar.parseTypes(' comments, posts,comments '), ['comments', 'posts']);
+  assert.deepEqual(ActivityCalendar.parseTypes(['posts', 'likes']), ['posts', 'likes']);
+
+  assert.throws(() => ActivityCalendar.parseTypes('posts,shares'), { code: 'invalid_types' });
+  assert.throws(() => ActivityCalendar.parseTypes(','), { code: 'invalid_types' });
+});
+
+test('calendars are gap-filled and only count the requested types', async t => {
+  const find = t.mock.method(Activity, 'find', () => ({
+    select: () => ({
+      lean: async () => [
+        { date: new Date('2024-01-02T00:00:00Z'), posts: 3, comments: 5 },
+        { date: new Date('2024-01-04T00:00:00Z'), posts: 1, comments: 0 }
+      ]
+    })
+  }));
+
+  const calendar = await ActivityCalendar.getCalendar(USER_ID, {
+    from: new Date('2024-01-01T00:00:00Z'),
+    to: new Date('2024-01-04T00:00:00Z'),
+    types: ['posts', 'comments']
+  });
+
+  assert.deepEqual(find.mock.calls[0].arguments[0].date, {
+    $gte: new Date('2024-01-01T00:00:00Z'),
+    $lte: new Date('2024-01-04T00:00:00Z')
+  });
+  assert.deepEqual(calendar.days, [
+    { date: '2024-01-01', count: 0, posts: 0, comments: 0, level: 0 },
+    { date: '2024-01-02', count: 8, posts: 3, comments: 5, level: 4 },
+    { date: '2024-01-03', count: 0, posts: 0, comments: 0, level: 0 },
+    { date: '2024-01-04', count: 1, posts: 1, comments: 0, level: 1 }
+  ]);
+  assert.deepEqual(calendar.totals, { count: 9, active_days: 2, posts: 4, comments: 5 });
+  assert.equal(calendar.max_count, 8);
+  assert.equal(calendar.from, '2024-01-01');
+  assert.equal(calendar.to, '2024-01-04');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Activity } = require('../../database/models');
+const ActivityStats = require('../../src/visualization/ActivityStats');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+/**
+ * Serve aggregation results with the given groups
+ */
+function mockAggregate(t, facets = {}) {
+  return t.mock.method(Activity, 'aggregate', async () => [{
+    totals: [],
+    busiest: [],
+    weekdays: [],
+    months: [],
+    years: [],
+    activeDays: [],
+    ...facets
+  }]);
+}
+
+test('averages count every weekday and month in the range', async t => {
+  mockAggregate(t, {
+    weekdays: [{ _id: 3, total: 10 }, { _id: 1, total: 8 }],
+    months: [{ _id: 2, total: 6 }]
+  });
+
+  // Wednesday to Friday, 31 days: Wed-Fri occur 5 times, other weekdays 4
+  const stats = await ActivityStats.getStats(USER_ID, {
+    from: new Date('2024-01-31T00:00:00Z'),
+    to: new Date('2024-03-01T00:00:00Z')
+  });
+
+  assert.equal(stats.totals.days, 31);
+  assert.deepEqual(stats.weekdays.slice(0, 3), [
+    { weekday: 'Mon', total: 8, average: 2 },
+    { weekday: 'Tue', total: 0, average: 0 },
+    { weekday: 'Wed', total: 10, average: 2 }
+  ]);
+  assert.deepEqual(stats.months.slice(0, 3).map(month => month.average), [0, 6, 0]);
+});
+
+test('long ranges are counted without walking every day', async t => {
+  mockAggregate(t, { months: [{ _id: 1, total: 30 }] });
+
+  const stats = await ActivityStats.getStats(USER_ID, {
+    from: new Date('1995-01-01T00:00:00Z'),
+    to: new Date('2024-12-31T00:00:00Z')
+  });
+
+  assert.equal(stats.totals.days, 10958);
+  assert.equal(stats.months[0].average, 1);
+  assert.equal(stats.years.length, 30);
+});